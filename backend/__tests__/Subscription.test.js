@@ -0,0 +1,42 @@
+import Subscription from '../src/models/Subscription.js';
+
+const subscription = (filters) => new Subscription({ url: 'https://youtube.com/@channel', filters });
+
+describe('Subscription filters', () => {
+  it('finds plain text anywhere in the title, ignoring case', () => {
+    const filter = subscription({ titlePattern: 'trailer' });
+
+    expect(filter.matches({ title: 'Official TRAILER #2' })).toBe(true);
+    expect(filter.matches({ title: 'Behind the scenes' })).toBe(false);
+    expect(filter.matches({})).toBe(false);
+  });
+
+  it('supports * and ? wildcards', () => {
+    expect(subscription({ titlePattern: 'episode ? -*recap' }).matches({ title: 'Episode 4 - weekly recap' })).toBe(true);
+    expect(subscription({ titlePattern: 'episode ? -*recap' }).matches({ title: 'Episode 12 - recap' })).toBe(false);
+    expect(subscription({ titlePattern: 'a*b*c' }).matches({ title: 'xaxxbxxcx' })).toBe(true);
+    expect(subscription({ titlePattern: 'a*b*c' }).matches({ title: 'xaxxcxxbx' })).toBe(false);
+  });
+
+  it('treats regular expression syntax literally', () => {
+    expect(subscription({ titlePattern: '(live)' }).matches({ title: 'Concert (Live)' })).toBe(true);
+    expect(subscription({ titlePattern: '(live)' }).matches({ title: 'Concert live' })).toBe(false);
+  });
+
+  it('checks hostile patterns without backtracking', () => {
+    const title = `${'a'.repeat(5000)}!`;
+    const started = Date.now();
+
+    expect(subscription({ titlePattern: '(a+)+$' }).matches({ title })).toBe(false);
+    expect(subscription({ titlePattern: `${'*a'.repeat(100)}*b` }).matches({ title })).toBe(false);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  it('skips entries longer than maxDuration, letting unknown durations through', () => {
+    const filter = subscription({ maxDuration: 600 });
+
+    expect(filter.matches({ title: 'Short', duration: 300 })).toBe(true);
+    expect(filter.matches({ title: 'Long', duration: 3600 })).toBe(false);
+    expect(filter.matches({ title: 'Unknown' })).toBe(true);
+  });
+});
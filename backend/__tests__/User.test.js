@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals';
+import bcrypt from 'bcryptjs';
+import User from '../src/models/User.js';
+import { hashToken } from '../src/utils/tokenUtils.js';
+import { generateSecret, generateTOTP } from '../src/utils/totpUtils.js';
+
+// save() runs the schema hooks and then writes through the collection,
+// which is stubbed so no database is needed
+describe('User model', () => {
+  let updateOne;
+
+  beforeEach(() => {
+    jest.spyOn(User.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+    updateOne = jest.spyOn(User.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createUser = async () => {
+    const user = new User({ username: 'alice', email: 'alice@example.com', password: 'Secret123!' });
+    await user.save();
+    return user;
+  };
+
+  it('hashes the password of a new user', async () => {
+    const user = await createUser();
+
+    expect(user.password).not.toBe('Secret123!');
+    await expect(bcrypt.compare('Secret123!', user.password)).resolves.toBe(true);
+  });
+
+  it('saves changes that leave the password alone', async () => {
+    const user = await createUser();
+    const hash = user.password;
+
+    user.emailVerified = true;
+    await expect(user.save()).resolves.toBe(user);
+
+    expect(user.password).toBe(hash);
+    const [, update] = updateOne.mock.calls[0];
+    expect(update.$set).toEqual({ emailVerified: true });
+  });
+
+  it('hashes a changed password', async () => {
+    const user = await createUser();
+
+    user.password = 'Changed456!';
+    await user.save();
+
+    await expect(user.comparePassword('Changed456!')).resolves.toBe(true);
+    await expect(user.comparePassword('Secret123!')).resolves.toBe(false);
+  });
+
+  describe('second factor', () => {
+    const time = 1700000000 * 1000;
+
+    const enableTwoFactor = async () => {
+      const user = await createUser();
+      const secret = generateSecret();
+
+      user.twoFactorEnabled = true;
+      user.twoFactor.secret = secret;
+      user.twoFactor.backupCodes = [hashToken('ab12cd34')];
+      await user.save();
+
+      return { user, secret };
+    };
+
+    it('saves the 2FA settings without touching the password', async () => {
+      const { user } = await enableTwoFactor();
+      const [, update] = updateOne.mock.calls[0];
+
+      expect(update.$set).toHaveProperty('twoFactorEnabled', true);
+      expect(update.$set).not.toHaveProperty('password');
+      await expect(user.comparePassword('Secret123!')).resolves.toBe(true);
+    });
+
+    it('accepts a TOTP code only once', async () => {
+      const { user, secret } = await enableTwoFactor();
+      const code = generateTOTP(secret, { time });
+
+      expect(user.verifySecondFactor(code, { time })).toBe('totp');
+      await user.save();
+
+      expect(user.verifySecondFactor(code, { time })).toBeNull();
+    });
+
+    it('burns a backup code once used', async () => {
+      const { user } = await enableTwoFactor();
+
+      expect(user.verifySecondFactor('AB12-CD34', { time })).toBe('backup');
+      await user.save();
+
+      expect(user.twoFactor.backupCodes).toHaveLength(0);
+      expect(user.verifySecondFactor('AB12-CD34', { time })).toBeNull();
+    });
+  });
+});
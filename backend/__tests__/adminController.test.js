@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import cron from 'node-cron';
+import request from 'supertest';
+import User from '../src/models/User.js';
+import Download from '../src/models/Download.js';
+import sessionService from '../src/services/sessionService.js';
+import auditLogger from '../src/services/auditLogger.js';
+import quotaService from '../src/services/quotaService.js';
+import {
+  updateUserRole,
+  updateUserPlan,
+  disableUser,
+  enableUser
+} from '../src/controllers/adminController.js';
+import { adminValidation } from '../src/utils/validator.js';
+import { errorHandler } from '../src/middlewares/errorMiddleware.js';
+
+const admin = { _id: new mongoose.Types.ObjectId(), email: 'admin@example.com', role: 'admin' };
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = admin;
+    next();
+  });
+  app.patch('/users/:id/role', adminValidation.updateRole, updateUserRole);
+  app.patch('/users/:id/plan', adminValidation.updatePlan, updateUserPlan);
+  app.post('/users/:id/disable', adminValidation.disableUser, disableUser);
+  app.post('/users/:id/enable', adminValidation.id, enableUser);
+  app.use(errorHandler);
+  return app;
+};
+
+// Admin changes go through user.save(), whose password hook must let
+// saves that do not touch the password through
+describe('admin user management', () => {
+  let target;
+  let updateOne;
+
+  beforeEach(() => {
+    target = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      username: 'bob',
+      email: 'bob@example.com',
+      password: 'hash',
+      role: 'user',
+      plan: 'free',
+      disabled: false
+    });
+
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => target });
+    updateOne = jest.spyOn(User.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(Download, 'find').mockResolvedValue([]);
+    jest.spyOn(sessionService, 'revokeAll').mockResolvedValue(2);
+    jest.spyOn(auditLogger, 'record').mockResolvedValue();
+    jest.spyOn(quotaService, 'getSummary').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    // Housekeeping jobs scheduled when the storage modules load
+    for (const task of cron.getTasks().values()) {
+      await task.destroy();
+    }
+  });
+
+  const savedFields = () => {
+    const { $set } = updateOne.mock.calls[0][1];
+    expect($set).not.toHaveProperty('password');
+    return $set;
+  };
+
+  it('changes the role', async () => {
+    const res = await request(createApp()).patch(`/users/${target._id}/role`).send({ role: 'admin' }).expect(200);
+
+    expect(res.body.user.role).toBe('admin');
+    expect(savedFields()).toMatchObject({ role: 'admin' });
+    expect(auditLogger.record).toHaveBeenCalledWith(expect.anything(), 'user.role', expect.objectContaining({
+      details: { from: 'user', to: 'admin' }
+    }));
+  });
+
+  it('changes the plan and limit overrides', async () => {
+    const res = await request(createApp())
+      .patch(`/users/${target._id}/plan`)
+      .send({ plan: 'pro', overrides: { concurrentJobs: 5 } })
+      .expect(200);
+
+    expect(res.body.user.plan).toBe('pro');
+    expect(savedFields()).toMatchObject({ plan: 'pro', 'quotaOverrides.concurrentJobs': 5 });
+  });
+
+  it('disables and signs out the user', async () => {
+    const res = await request(createApp())
+      .post(`/users/${target._id}/disable`)
+      .send({ reason: 'Abuse' })
+      .expect(200);
+
+    expect(res.body.user.disabled).toBe(true);
+    expect(savedFields()).toMatchObject({ disabled: true, disabledReason: 'Abuse' });
+    expect(sessionService.revokeAll).toHaveBeenCalledWith(target._id, 'account_disabled');
+  });
+
+  it('enables a disabled user', async () => {
+    target = User.hydrate({ ...target.toObject(), disabled: true, disabledAt: new Date(), disabledReason: 'Abuse' });
+
+    const res = await request(createApp()).post(`/users/${target._id}/enable`).expect(200);
+
+    expect(res.body.user.disabled).toBe(false);
+    expect(savedFields()).toMatchObject({ disabled: false });
+  });
+});
@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import cron from 'node-cron';
+
+// Read when the modules load: downloads go to a scratch directory and the
+// SSRF guard lets the local test server through
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'downloads-'));
+process.env.TEMP_DIR = tempDir;
+process.env.SSRF_ALLOWLIST = '127.0.0.1';
+
+const { downloadFile, downloadFileSegmented } = await import('../src/utils/downloadUtils.js');
+
+// Serves one file with an ETag and honours Range / If-Range the way HTTP
+// servers do. `intercept` lets a test answer a request itself.
+const createServer = async () => {
+  const state = { file: Buffer.alloc(0), etag: '"v1"', requests: [], intercept: null };
+
+  const server = http.createServer((req, res) => {
+    state.requests.push({ method: req.method, range: req.headers.range, ifRange: req.headers['if-range'] });
+    if (state.intercept?.(req, res)) return;
+
+    const { file, etag } = state;
+    const headers = { 'Content-Type': 'application/octet-stream', 'Accept-Ranges': 'bytes', ETag: etag };
+
+    const match = req.headers.range?.match(/^bytes=(\d+)-(\d*)$/);
+    const ifRange = req.headers['if-range'];
+
+    if (req.method === 'HEAD' || !match || (ifRange && ifRange !== etag)) {
+      res.writeHead(200, { ...headers, 'Content-Length': file.length });
+      return res.end(req.method === 'HEAD' ? undefined : file);
+    }
+
+    const start = parseInt(match[1]);
+    const end = match[2] ? parseInt(match[2]) : file.length - 1;
+
+    if (start >= file.length) {
+      res.writeHead(416, { 'Content-Range': `bytes */${file.length}` });
+      return res.end();
+    }
+
+    res.writeHead(206, {
+      ...headers,
+      'Content-Length': end - start + 1,
+      'Content-Range': `bytes ${start}-${end}/${file.length}`
+    });
+    res.end(file.subarray(start, end + 1));
+  });
+
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  return {
+    state,
+    url: `http://127.0.0.1:${server.address().port}/video.bin`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+};
+
+describe('download utilities', () => {
+  let server;
+
+  const tempFiles = () => fs.readdir(tempDir);
+
+  // An earlier attempt's partial file
+  const writePartial = async (bytes) => {
+    const tempFileName = crypto.randomBytes(16).toString('hex');
+    await fs.writeFile(path.join(tempDir, tempFileName), bytes);
+    return tempFileName;
+  };
+
+  beforeAll(async () => {
+    server = await createServer();
+  });
+
+  beforeEach(() => {
+    Object.assign(server.state, {
+      file: crypto.randomBytes(64 * 1024),
+      etag: '"v1"',
+      requests: [],
+      intercept: null
+    });
+  });
+
+  afterEach(async () => {
+    for (const file of await tempFiles()) {
+      await fs.unlink(path.join(tempDir, file));
+    }
+  });
+
+  afterAll(async () => {
+    await server.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+
+    // Housekeeping jobs scheduled when the storage modules load
+    for (const task of cron.getTasks().values()) {
+      await task.destroy();
+    }
+  });
+
+  describe('downloadFile', () => {
+    it('resumes a partial file with Range and If-Range', async () => {
+      const { file } = server.state;
+      const tempFileName = await writePartial(file.subarray(0, 1000));
+
+      const result = await downloadFile(server.url, { resumeFrom: { tempFileName, etag: '"v1"' } });
+
+      expect(server.state.requests).toEqual([{ method: 'GET', range: 'bytes=1000-', ifRange: '"v1"' }]);
+      expect(result.fileSize).toBe(file.length);
+      expect((await fs.readFile(result.filePath)).equals(file)).toBe(true);
+    });
+
+    it('starts from zero when the file changed since the partial download', async () => {
+      const tempFileName = await writePartial(crypto.randomBytes(1000));
+      server.state.etag = '"v2"';
+      const states = [];
+
+      const result = await downloadFile(server.url, {
+        resumeFrom: { tempFileName, etag: '"v1"' },
+        onResumeState: async (state) => { states.push(state); }
+      });
+
+      expect(server.state.requests[0]).toMatchObject({ range: 'bytes=1000-', ifRange: '"v1"' });
+      expect(states[0]).toMatchObject({ tempFileName, etag: '"v2"', resumable: true });
+      expect(result.fileSize).toBe(server.state.file.length);
+      expect((await fs.readFile(result.filePath)).equals(server.state.file)).toBe(true);
+    });
+
+    it('starts over when the range is not satisfiable', async () => {
+      // Longer than the remote file, which shrank under the same ETag
+      const tempFileName = await writePartial(crypto.randomBytes(server.state.file.length + 10));
+
+      const result = await downloadFile(server.url, { resumeFrom: { tempFileName, etag: '"v1"' } });
+
+      expect(server.state.requests.map(request => request.range)).toEqual([`bytes=${server.state.file.length + 10}-`, undefined]);
+      expect((await fs.readFile(result.filePath)).equals(server.state.file)).toBe(true);
+      expect(await tempFiles()).toEqual([path.basename(result.filePath)]);
+    });
+
+    it('keeps the partial file of an interrupted download for resuming', async () => {
+      const { file } = server.state;
+      server.state.intercept = (req, res) => {
+        res.writeHead(200, { 'Content-Length': file.length, 'Accept-Ranges': 'bytes', ETag: '"v1"' });
+        res.write(file.subarray(0, 4096), () => res.destroy());
+        return true;
+      };
+
+      const error = await downloadFile(server.url).catch(error => error);
+
+      expect(error.resumable).toBe(true);
+      expect(error.bytesDownloaded).toBe(4096);
+      const [partial] = await tempFiles();
+      expect((await fs.readFile(path.join(tempDir, partial))).equals(file.subarray(0, 4096))).toBe(true);
+    });
+  });
+
+  describe('downloadFileSegmented', () => {
+    const MB = 1024 * 1024;
+
+    beforeEach(() => {
+      server.state.file = crypto.randomBytes(2 * MB + 10);
+    });
+
+    it('reassembles the segments in order', async () => {
+      const result = await downloadFileSegmented(server.url, { connections: 2 });
+
+      expect(result.segments).toBe(2);
+      expect((await fs.readFile(result.filePath)).equals(server.state.file)).toBe(true);
+      expect(server.state.requests.filter(request => request.method === 'GET').map(request => request.ifRange)).toEqual(['"v1"', '"v1"']);
+      expect(await tempFiles()).toEqual([path.basename(result.filePath)]);
+    });
+
+    it('stops the other segments and removes every part when one fails', async () => {
+      const { file } = server.state;
+      const second = `bytes=${MB + 5}-`;
+
+      server.state.intercept = (req, res) => {
+        if (req.headers.range?.startsWith(second)) {
+          res.writeHead(503);
+          res.end();
+          return true;
+        }
+
+        // The first segment is still being written when the second gives up
+        if (req.method === 'GET') {
+          const end = MB + 4;
+          res.writeHead(206, { 'Content-Length': end + 1, 'Content-Range': `bytes 0-${end}/${file.length}` });
+          res.write(file.subarray(0, 64 * 1024));
+          const timer = setTimeout(() => res.end(file.subarray(64 * 1024, end + 1)), 2000);
+          res.on('close', () => clearTimeout(timer));
+          return true;
+        }
+
+        return false;
+      };
+
+      await expect(downloadFileSegmented(server.url, { connections: 2 })).rejects.toThrow('Server responded with 503');
+
+      // The first attempt and both retries
+      expect(server.state.requests.filter(request => request.range?.startsWith(second))).toHaveLength(3);
+      expect(await tempFiles()).toEqual([]);
+    });
+  });
+});
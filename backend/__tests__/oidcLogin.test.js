@@ -0,0 +1,257 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import http from 'http';
+import { once } from 'events';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import cron from 'node-cron';
+import request from 'supertest';
+import User from '../src/models/User.js';
+import oidcClient from '../src/services/oidcClient.js';
+import sessionService from '../src/services/sessionService.js';
+import loginSecurity from '../src/services/loginSecurityService.js';
+import { oidcLogin, oidcCallback, verifyTwoFactorLogin } from '../src/controllers/authController.js';
+import { authValidation } from '../src/utils/validator.js';
+import { errorHandler } from '../src/middlewares/errorMiddleware.js';
+import { generateSecret, generateTOTP } from '../src/utils/totpUtils.js';
+
+const CLIENT_ID = 'file-downloader';
+
+// Minimal OpenID provider: discovery, JWKS and a token endpoint that answers
+// for the authorization codes a test registers
+const createProvider = async () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const codes = new Map();
+  let issuer;
+
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.url === '/.well-known/openid-configuration') {
+      return send(200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        id_token_signing_alg_values_supported: ['RS256']
+      });
+    }
+
+    if (req.url === '/jwks') {
+      return send(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' }] });
+    }
+
+    if (req.url === '/token' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const params = new URLSearchParams(body);
+        const grant = codes.get(params.get('code'));
+        codes.delete(params.get('code'));
+
+        const challenge = grant && crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+        if (!grant || challenge !== grant.codeChallenge) {
+          return send(400, { error: 'invalid_grant' });
+        }
+
+        const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+          algorithm: 'RS256',
+          keyid: 'test-key',
+          issuer,
+          audience: CLIENT_ID,
+          expiresIn: '5m'
+        });
+        send(200, { access_token: 'access', token_type: 'Bearer', id_token: idToken });
+      });
+      return;
+    }
+
+    send(404, { error: 'not_found' });
+  });
+
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+    // What the provider would do after the user signs in at authorizationUrl
+    authorize(authorizationUrl, claims) {
+      const url = new URL(authorizationUrl);
+      const code = crypto.randomBytes(8).toString('hex');
+      codes.set(code, {
+        claims,
+        nonce: url.searchParams.get('nonce'),
+        codeChallenge: url.searchParams.get('code_challenge')
+      });
+      return { code, state: url.searchParams.get('state') };
+    }
+  };
+};
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.get('/api/v1/auth/oidc/login', oidcLogin);
+  app.get('/api/v1/auth/oidc/callback', oidcCallback);
+  app.post('/api/v1/auth/login/2fa', authValidation.twoFactorLogin, verifyTwoFactorLogin);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('single sign-on with two-factor authentication', () => {
+  let provider;
+  let user;
+  let secret;
+  let updateOne;
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.CLIENT_URL = 'http://client.test';
+    provider = await createProvider();
+
+    Object.assign(oidcClient, {
+      issuer: provider.issuer,
+      clientId: CLIENT_ID,
+      redirectUri: 'http://api.test/api/v1/auth/oidc/callback',
+      metadata: null
+    });
+  });
+
+  afterAll(async () => {
+    await provider.close();
+
+    // Housekeeping jobs scheduled when the storage modules load
+    for (const task of cron.getTasks().values()) {
+      await task.destroy();
+    }
+  });
+
+  beforeEach(() => {
+    secret = generateSecret();
+    user = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      username: 'alice',
+      email: 'alice@example.com',
+      password: 'hash',
+      emailVerified: true,
+      twoFactorEnabled: true,
+      twoFactor: { secret, backupCodes: [] },
+      actionTokens: {}
+    });
+
+    // The account exists with this email but is not linked yet
+    jest.spyOn(User, 'findOne').mockImplementation(async (query) => (query.email === user.email ? user : null));
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    updateOne = jest.spyOn(User.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(sessionService, 'create').mockResolvedValue({
+      accessToken: 'access-token',
+      refreshToken: 'refresh-token',
+      refreshTokenExpiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    jest.spyOn(loginSecurity, 'recordSuccess').mockResolvedValue({ newDevice: false });
+    jest.spyOn(loginSecurity, 'recordFailure').mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Run the redirect flow up to the callback and return the agent holding the cookies
+  const signIn = async () => {
+    const agent = request.agent(createApp());
+
+    const login = await agent.get('/api/v1/auth/oidc/login').expect(302);
+    expect(login.headers.location.startsWith(`${provider.issuer}/authorize?`)).toBe(true);
+
+    const { code, state } = provider.authorize(login.headers.location, {
+      sub: 'provider-user-1',
+      email: 'alice@example.com',
+      email_verified: true
+    });
+
+    const callback = await agent.get('/api/v1/auth/oidc/callback').query({ code, state }).expect(302);
+    return { agent, callback };
+  };
+
+  it('links the account and hands the challenge over in a cookie, not the URL', async () => {
+    const { callback } = await signIn();
+    const location = new URL(callback.headers.location);
+
+    expect(location.origin).toBe('http://client.test');
+    expect(location.searchParams.get('twoFactorRequired')).toBe('true');
+    expect(location.searchParams.has('challengeToken')).toBe(false);
+    expect(callback.headers.location).not.toMatch(/eyJ/);
+
+    const cookie = callback.headers['set-cookie'].find(header => header.startsWith('twoFactorChallenge='));
+    expect(cookie).toMatch(/HttpOnly/);
+    expect(cookie).toMatch(/Path=\/api\/v1\/auth\/login\/2fa/);
+
+    expect(user.oidc.subject).toBe('provider-user-1');
+    expect(user.oidc.issuer).toBe(provider.issuer);
+    expect(updateOne).toHaveBeenCalled();
+  });
+
+  it('writes only the challenge, leaving other pending tokens alone', async () => {
+    // As loaded by the sign-in lookup, which does not select actionTokens
+    user = User.hydrate({ ...user.toObject(), actionTokens: undefined });
+
+    await signIn();
+
+    const updates = updateOne.mock.calls.map(([, update]) => update);
+    const challenge = updates.find(update => update.$set?.['actionTokens.twoFactor']);
+
+    expect(challenge.$set['actionTokens.twoFactor'].jtiHash).toBeDefined();
+    expect(updates.flatMap(update => [...Object.keys(update.$set || {}), ...Object.keys(update.$unset || {})])
+      .filter(key => key.startsWith('actionTokens'))).toEqual(['actionTokens.twoFactor']);
+  });
+
+  it('completes the login once with the cookie and a valid code', async () => {
+    const { agent } = await signIn();
+
+    const res = await agent
+      .post('/api/v1/auth/login/2fa')
+      .send({ code: generateTOTP(secret) })
+      .expect(200);
+
+    expect(res.body.token).toBe('access-token');
+    expect(sessionService.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the challenge after a wrong code', async () => {
+    const { agent } = await signIn();
+
+    const code = generateTOTP(secret);
+    const wrong = String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+    await agent.post('/api/v1/auth/login/2fa').send({ code: wrong }).expect(401);
+    expect(loginSecurity.recordFailure).toHaveBeenCalledTimes(1);
+
+    await agent.post('/api/v1/auth/login/2fa').send({ code }).expect(200);
+  });
+
+  it('refuses to reuse a challenge', async () => {
+    const { callback } = await signIn();
+    const cookie = callback.headers['set-cookie'].find(header => header.startsWith('twoFactorChallenge=')).split(';')[0];
+    const app = createApp();
+
+    await request(app).post('/api/v1/auth/login/2fa').set('Cookie', cookie).send({ code: generateTOTP(secret) }).expect(200);
+
+    // A later code, so only the spent challenge can be the reason for refusal
+    const next = generateTOTP(secret, { time: Date.now() + 30 * 1000 });
+    const res = await request(app).post('/api/v1/auth/login/2fa').set('Cookie', cookie).send({ code: next }).expect(401);
+
+    expect(res.body.message).toBe('Login challenge expired, please log in again');
+    expect(sessionService.create).toHaveBeenCalledTimes(1);
+  });
+});
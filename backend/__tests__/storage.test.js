@@ -0,0 +1,216 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { text } from 'stream/consumers';
+import S3Storage from '../src/services/storage/s3Storage.js';
+import LocalStorage from '../src/services/storage/localStorage.js';
+import MirrorStorage from '../src/services/storage/mirrorStorage.js';
+
+const notFound = (name) => Object.assign(new Error(name), { name, $metadata: { httpStatusCode: 404 } });
+
+// In-memory bucket answering the commands the driver sends, the way a
+// MinIO server would. Listings come back two keys per page.
+const createBucket = () => {
+  const objects = new Map();
+
+  const readBody = async (body) => {
+    if (typeof body === 'string' || body instanceof Uint8Array) return Buffer.from(body);
+    const chunks = [];
+    for await (const chunk of body) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks);
+  };
+
+  const send = async (command) => {
+    const { Key, Prefix = '', ContinuationToken } = command.input;
+    const object = objects.get(Key);
+
+    switch (command.constructor.name) {
+      case 'PutObjectCommand':
+        objects.set(Key, { data: await readBody(command.input.Body), contentType: command.input.ContentType, lastModified: new Date() });
+        return { ETag: '"etag"' };
+
+      case 'GetObjectCommand':
+        if (!object) throw notFound('NoSuchKey');
+        return {
+          Body: Object.assign(Readable.from([object.data]), {
+            transformToByteArray: async () => new Uint8Array(object.data)
+          })
+        };
+
+      case 'HeadObjectCommand':
+        if (!object) throw notFound('NotFound');
+        return { ContentLength: object.data.length, LastModified: object.lastModified };
+
+      case 'DeleteObjectCommand':
+        objects.delete(Key);
+        return {};
+
+      case 'ListObjectsV2Command': {
+        const keys = [...objects.keys()].filter(key => key.startsWith(Prefix)).sort();
+        const start = ContinuationToken ? parseInt(ContinuationToken) : 0;
+        const page = keys.slice(start, start + 2);
+        return {
+          Contents: page.map(key => ({ Key: key, Size: objects.get(key).data.length, LastModified: objects.get(key).lastModified })),
+          IsTruncated: start + 2 < keys.length,
+          NextContinuationToken: String(start + 2)
+        };
+      }
+
+      default:
+        throw new Error(`Unexpected command ${command.constructor.name}`);
+    }
+  };
+
+  return { objects, send };
+};
+
+const createS3 = (bucket, options = {}) => {
+  const driver = new S3Storage({
+    bucket: 'downloads',
+    endpoint: 'http://minio.test:9000',
+    forcePathStyle: true,
+    accessKeyId: 'minio',
+    secretAccessKey: 'minio-secret',
+    ...options
+  });
+  jest.spyOn(driver.client, 'send').mockImplementation(bucket.send);
+  return driver;
+};
+
+describe('storage drivers', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('S3Storage', () => {
+    let bucket;
+    let s3;
+
+    beforeEach(() => {
+      bucket = createBucket();
+      s3 = createS3(bucket, { prefix: 'files/' });
+    });
+
+    it('requires a bucket', () => {
+      expect(() => new S3Storage({})).toThrow('S3 storage requires a bucket (S3_BUCKET)');
+    });
+
+    it('puts buffers, files and streams below the prefix', async () => {
+      const filePath = path.join(tempDir, 'local.txt');
+      await fs.writeFile(filePath, 'from disk');
+
+      await expect(s3.put('a/buffer.txt', Buffer.from('hello'), { contentType: 'text/plain' })).resolves.toEqual({ key: 'a/buffer.txt', size: 5 });
+      await expect(s3.put('a/file.txt', filePath)).resolves.toEqual({ key: 'a/file.txt', size: 9 });
+      await expect(s3.put('a/stream.txt', Readable.from(['stre', 'amed']))).resolves.toEqual({ key: 'a/stream.txt', size: 8 });
+
+      expect([...bucket.objects.keys()]).toEqual(['files/a/buffer.txt', 'files/a/file.txt', 'files/a/stream.txt']);
+      expect(bucket.objects.get('files/a/buffer.txt').contentType).toBe('text/plain');
+    });
+
+    it('gets and streams objects', async () => {
+      await s3.put('video.mp4', Buffer.from('video bytes'));
+
+      expect((await s3.get('video.mp4')).toString()).toBe('video bytes');
+      expect(await text(await s3.stream('video.mp4'))).toBe('video bytes');
+    });
+
+    it('reports missing objects like the local driver', async () => {
+      await expect(s3.stream('missing.mp4')).rejects.toMatchObject({ code: 'ENOENT', message: 'Object not found: missing.mp4' });
+      await expect(s3.stat('missing.mp4')).resolves.toBeNull();
+      await expect(s3.exists('missing.mp4')).resolves.toBe(false);
+    });
+
+    it('stats and deletes objects', async () => {
+      await s3.put('video.mp4', Buffer.from('12345'));
+
+      await expect(s3.stat('video.mp4')).resolves.toMatchObject({ key: 'video.mp4', size: 5 });
+      await s3.delete('video.mp4');
+
+      await expect(s3.exists('video.mp4')).resolves.toBe(false);
+      expect(bucket.objects.size).toBe(0);
+    });
+
+    it('lists every page without the prefix', async () => {
+      for (const key of ['u1/a', 'u1/b', 'u1/c', 'u2/d']) {
+        await s3.put(key, Buffer.from(key));
+      }
+      bucket.objects.set('other/u1/x', { data: Buffer.from('x'), lastModified: new Date() });
+
+      expect((await s3.list('u1/')).map(object => object.key)).toEqual(['u1/a', 'u1/b', 'u1/c']);
+      expect(await s3.list()).toHaveLength(4);
+    });
+
+    it('rejects keys that climb out of the prefix', async () => {
+      await expect(s3.put('../escape', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+      expect(() => s3.objectKey('a/../../b')).toThrow('Invalid storage key');
+    });
+  });
+
+  describe('MirrorStorage', () => {
+    let bucket;
+    let mirror;
+    let storage;
+
+    beforeEach(() => {
+      bucket = createBucket();
+      mirror = new LocalStorage({ rootDir: tempDir });
+      storage = new MirrorStorage({ primary: createS3(bucket), mirror });
+    });
+
+    it('writes to both drivers, copying streams from the primary', async () => {
+      await storage.put('a.txt', Buffer.from('buffer'));
+      await storage.put('b.txt', Readable.from(['stream']));
+
+      expect(bucket.objects.get('b.txt').data.toString()).toBe('stream');
+      expect((await mirror.get('a.txt')).toString()).toBe('buffer');
+      expect((await mirror.get('b.txt')).toString()).toBe('stream');
+      expect(storage.name).toBe('mirror(s3,local)');
+    });
+
+    it('reads from the mirror when the primary copy is missing', async () => {
+      await storage.put('a.txt', Buffer.from('kept'));
+      bucket.objects.clear();
+
+      expect((await storage.get('a.txt')).toString()).toBe('kept');
+      expect(await text(await storage.stream('a.txt'))).toBe('kept');
+      await expect(storage.stat('a.txt')).resolves.toMatchObject({ size: 4 });
+    });
+
+    it('reads from the mirror when the primary is down', async () => {
+      await storage.put('a.txt', Buffer.from('kept'));
+      storage.primary.client.send.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      expect((await storage.get('a.txt')).toString()).toBe('kept');
+      await expect(storage.exists('a.txt')).resolves.toBe(true);
+    });
+
+    it('keeps the primary write when mirroring fails', async () => {
+      jest.spyOn(mirror, 'put').mockRejectedValue(new Error('disk full'));
+
+      await expect(storage.put('a.txt', Buffer.from('data'))).resolves.toEqual({ key: 'a.txt', size: 4 });
+      expect(bucket.objects.has('a.txt')).toBe(true);
+    });
+
+    it('deletes from both, tolerating a mirror failure', async () => {
+      await storage.put('a.txt', Buffer.from('data'));
+      await storage.delete('a.txt');
+
+      expect(bucket.objects.size).toBe(0);
+      await expect(mirror.exists('a.txt')).resolves.toBe(false);
+
+      await storage.put('b.txt', Buffer.from('data'));
+      jest.spyOn(mirror, 'delete').mockRejectedValue(new Error('read-only'));
+      await expect(storage.delete('b.txt')).resolves.toBeUndefined();
+      expect(bucket.objects.has('b.txt')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+import {
+  parseVtt,
+  parseSrt,
+  parseAss,
+  formatVtt,
+  formatSrt,
+  formatAss,
+  detectSubtitleFormat,
+  convertSubtitles
+} from '../src/utils/subtitleUtils.js';
+
+const VTT = `WEBVTT - Example
+Kind: captions
+Language: en
+
+STYLE
+::cue {
+  color: yellow;
+}
+
+NOTE This note
+spans two lines
+
+REGION
+id:top
+width:40%
+
+intro
+00:00:01.000 --> 00:00:04.250 align:start position:10%
+<v Narrator>Hello <b>world</b></v>
+
+00:01:05.120 --> 00:01:07.900
+First line
+<i>second</i> line
+
+01:00:00.000 --> 01:00:02.005
+Fish &amp; chips &lt;3
+`;
+
+const SRT = `1
+00:00:01,000 --> 00:00:04,250
+Hello <b>world</b>
+
+2
+00:01:05,120 --> 00:01:07,900
+First line
+<i>second</i> line
+`;
+
+const ASS = `[Script Info]
+Title: Example
+ScriptType: v4.00+
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Default,Arial,20,&H00FFFFFF,&H000000FF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,2,2,2,10,10,10,1
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Comment: 0,0:00:00.00,0:00:01.00,Default,,0,0,0,,Not shown
+Dialogue: 0,0:01:05.12,0:01:07.90,Default,,0,0,0,,First line\\N{\\i1}second{\\i0} line
+Dialogue: 0,0:00:01.00,0:00:04.25,Default,Narrator,0,0,0,,{\\an8\\pos(320,50)\\c&H00FFFF&}Hello {\\b1}world{\\b0}, again
+Dialogue: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,{\\fad(200,200)\\k20}Sing{\\k30}ing\\hnow
+`;
+
+// Cues are { start, end, text } with times in milliseconds and text limited
+// to <b>, <i> and <u> markup, whatever the source format
+describe('parsing', () => {
+  it('skips the VTT header, STYLE, NOTE and REGION blocks', () => {
+    const cues = parseVtt(VTT);
+
+    expect(cues).toHaveLength(3);
+    expect(cues.map(cue => cue.text).join('\n')).not.toMatch(/color|note|width|Kind/i);
+  });
+
+  it('reads VTT timings with cue settings, identifiers and markup', () => {
+    const [first, second, third] = parseVtt(VTT);
+
+    expect(first).toEqual({ start: 1000, end: 4250, text: 'Hello <b>world</b>' });
+    expect(second).toEqual({ start: 65120, end: 67900, text: 'First line\n<i>second</i> line' });
+    expect(third).toEqual({ start: 3600000, end: 3602005, text: 'Fish & chips <3' });
+  });
+
+  it('accepts VTT timestamps without hours', () => {
+    expect(parseVtt('WEBVTT\n\n01:02.500 --> 01:03.000\nShort')).toEqual([{ start: 62500, end: 63000, text: 'Short' }]);
+  });
+
+  it('reads SRT cues, including multi-line ones and CRLF line endings', () => {
+    const cues = parseSrt(SRT.replace(/\n/g, '\r\n'));
+
+    expect(cues).toEqual([
+      { start: 1000, end: 4250, text: 'Hello <b>world</b>' },
+      { start: 65120, end: 67900, text: 'First line\n<i>second</i> line' }
+    ]);
+  });
+
+  it('reads ASS dialogue in time order and ignores comments', () => {
+    const cues = parseAss(ASS);
+
+    expect(cues.map(cue => cue.start)).toEqual([1000, 5000, 65120]);
+    expect(cues[2]).toEqual({ start: 65120, end: 67900, text: 'First line\n<i>second</i> line' });
+  });
+
+  it('strips ASS override tags but keeps bold, italic and underline', () => {
+    const [first, karaoke] = parseAss(ASS);
+
+    expect(first.text).toBe('Hello <b>world</b>, again');
+    expect(karaoke.text).toBe('Singing now');
+    expect(parseAss(ASS.replace('Not shown', '{\\u1}x{\\u0}').replace('Comment:', 'Dialogue:'))[0].text).toBe('<u>x</u>');
+  });
+});
+
+describe('detectSubtitleFormat', () => {
+  it('recognises each format', () => {
+    expect(detectSubtitleFormat(`\uFEFF${VTT}`)).toBe('vtt');
+    expect(detectSubtitleFormat(SRT)).toBe('srt');
+    expect(detectSubtitleFormat(ASS)).toBe('ass');
+    expect(detectSubtitleFormat('just some text')).toBeNull();
+  });
+});
+
+describe('formatting', () => {
+  const cues = [
+    { start: 1000, end: 4250, text: 'Hello <b>world</b>' },
+    { start: 3723456, end: 3725000, text: 'Two\nlines & <3' }
+  ];
+
+  it('writes VTT with escaped text', () => {
+    expect(formatVtt(cues)).toBe(
+      'WEBVTT\n\n00:00:01.000 --> 00:00:04.250\nHello <b>world</b>\n\n'
+      + '01:02:03.456 --> 01:02:05.000\nTwo\nlines &amp; &lt;3\n'
+    );
+  });
+
+  it('writes numbered SRT cues', () => {
+    expect(formatSrt(cues)).toBe(
+      '1\n00:00:01,000 --> 00:00:04,250\nHello <b>world</b>\n\n'
+      + '2\n01:02:03,456 --> 01:02:05,000\nTwo\nlines & <3\n'
+    );
+  });
+
+  it('writes ASS events with override tags and hard line breaks', () => {
+    const events = formatAss(cues).split('\n').filter(line => line.startsWith('Dialogue:'));
+
+    expect(events).toEqual([
+      'Dialogue: 0,0:00:01.00,0:00:04.25,Default,,0,0,0,,Hello {\\b1}world{\\b0}',
+      'Dialogue: 0,1:02:03.45,1:02:05.00,Default,,0,0,0,,Two\\Nlines & <3'
+    ]);
+  });
+});
+
+describe('convertSubtitles', () => {
+  const expected = [
+    { start: 1000, end: 4250, text: 'Hello <b>world</b>' },
+    { start: 65120, end: 67900, text: 'First line\n<i>second</i> line' }
+  ];
+  const sources = {
+    vtt: `WEBVTT\n\nNOTE comment\n\n${formatVtt(expected).replace('WEBVTT\n\n', '')}`,
+    srt: SRT,
+    ass: formatAss(expected)
+  };
+  const parsers = { vtt: parseVtt, srt: parseSrt, ass: parseAss };
+
+  const directions = Object.keys(sources).flatMap(from => Object.keys(sources).map(to => [from, to]));
+
+  it.each(directions)('converts %s to %s keeping timings and text', (from, to) => {
+    const output = convertSubtitles(sources[from], to);
+
+    expect(detectSubtitleFormat(output)).toBe(to);
+    expect(parsers[to](output)).toEqual(expected);
+  });
+
+  it('survives repeated round trips without drift', () => {
+    let text = SRT;
+    for (const to of ['vtt', 'ass', 'srt', 'ass', 'vtt', 'srt']) {
+      text = convertSubtitles(text, to);
+    }
+
+    expect(text).toBe(SRT);
+  });
+
+  it('rounds to whole centiseconds when going through ASS', () => {
+    const output = convertSubtitles('1\n00:00:01,239 --> 00:00:02,001\nHi\n', 'srt', 'srt');
+    expect(output).toContain('00:00:01,239 --> 00:00:02,001');
+
+    const throughAss = convertSubtitles(convertSubtitles(output, 'ass'), 'srt');
+    expect(throughAss).toContain('00:00:01,230 --> 00:00:02,000');
+  });
+
+  it('drops markup VTT and ASS cannot share', () => {
+    const output = convertSubtitles('1\n00:00:01,000 --> 00:00:02,000\n<font color="red">Red</font> text\n', 'vtt');
+    expect(parseVtt(output)[0].text).toBe('Red text');
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => convertSubtitles('just some text', 'srt')).toThrow('Unsupported subtitle format: unknown');
+    expect(() => convertSubtitles(SRT, 'sub')).toThrow('Unsupported subtitle format: sub');
+  });
+});
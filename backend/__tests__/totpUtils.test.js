@@ -0,0 +1,121 @@
+import {
+  base32Encode,
+  base32Decode,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  getTimeStep,
+  buildOtpauthUri,
+  normalizeBackupCode
+} from '../src/utils/totpUtils.js';
+
+// Test secrets from RFC 4226 and RFC 6238, appendix B
+const SHA1_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const SHA256_SECRET = base32Encode(Buffer.from('12345678901234567890123456789012'));
+const SHA512_SECRET = base32Encode(Buffer.from('1234567890123456789012345678901234567890123456789012345678901234'));
+
+describe('base32', () => {
+  it('round-trips arbitrary bytes', () => {
+    const bytes = Buffer.from([0, 1, 2, 127, 128, 254, 255]);
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+  });
+
+  it('encodes the RFC 4648 examples without padding', () => {
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(base32Decode('mzxw6ytboi======')).toEqual(Buffer.from('foobar'));
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character: 1');
+  });
+});
+
+describe('generateHOTP', () => {
+  it('matches the RFC 4226 test values', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+    expected.forEach((code, counter) => {
+      expect(generateHOTP(SHA1_SECRET, counter)).toBe(code);
+    });
+  });
+});
+
+describe('generateTOTP', () => {
+  // [time in seconds, SHA-1, SHA-256, SHA-512]
+  const vectors = [
+    [59, '94287082', '46119246', '90693936'],
+    [1111111109, '07081804', '68084774', '25091201'],
+    [1111111111, '14050471', '67062674', '99943326'],
+    [1234567890, '89005924', '91819424', '93441116'],
+    [2000000000, '69279037', '90698825', '38618901'],
+    [20000000000, '65353130', '77737706', '47863826']
+  ];
+
+  it.each(vectors)('matches the RFC 6238 values at %i seconds', (seconds, sha1, sha256, sha512) => {
+    const time = seconds * 1000;
+
+    expect(generateTOTP(SHA1_SECRET, { time, digits: 8 })).toBe(sha1);
+    expect(generateTOTP(SHA256_SECRET, { time, digits: 8, algorithm: 'sha256' })).toBe(sha256);
+    expect(generateTOTP(SHA512_SECRET, { time, digits: 8, algorithm: 'sha512' })).toBe(sha512);
+  });
+
+  it('produces six digit codes by default', () => {
+    expect(generateTOTP(SHA1_SECRET, { time: 59 * 1000 })).toBe('287082');
+  });
+});
+
+describe('verifyTOTP', () => {
+  const time = 1111111111 * 1000;
+  const current = getTimeStep(time);
+  const codeAt = (offset) => generateTOTP(SHA1_SECRET, { time: time + offset * 30 * 1000 });
+
+  it('accepts the current code and returns its time step', () => {
+    expect(verifyTOTP(codeAt(0), SHA1_SECRET, { time })).toBe(current);
+  });
+
+  it('accepts codes one step either side for clock drift', () => {
+    expect(verifyTOTP(codeAt(-1), SHA1_SECRET, { time })).toBe(current - 1);
+    expect(verifyTOTP(codeAt(1), SHA1_SECRET, { time })).toBe(current + 1);
+  });
+
+  it('rejects codes outside the drift window', () => {
+    expect(verifyTOTP(codeAt(-2), SHA1_SECRET, { time })).toBeNull();
+    expect(verifyTOTP(codeAt(2), SHA1_SECRET, { time })).toBeNull();
+  });
+
+  it('honours a narrower window', () => {
+    expect(verifyTOTP(codeAt(-1), SHA1_SECRET, { time, window: 0 })).toBeNull();
+  });
+
+  it('rejects a code whose step was already used', () => {
+    const step = verifyTOTP(codeAt(0), SHA1_SECRET, { time });
+
+    expect(verifyTOTP(codeAt(0), SHA1_SECRET, { time, afterStep: step })).toBeNull();
+    // Nor can an earlier code from the drift window be used after it
+    expect(verifyTOTP(codeAt(-1), SHA1_SECRET, { time, afterStep: step })).toBeNull();
+    expect(verifyTOTP(codeAt(1), SHA1_SECRET, { time, afterStep: step })).toBe(current + 1);
+  });
+
+  it('ignores spaces and rejects malformed codes', () => {
+    const code = codeAt(0);
+
+    expect(verifyTOTP(`${code.slice(0, 3)} ${code.slice(3)}`, SHA1_SECRET, { time })).toBe(current);
+    expect(verifyTOTP(code.slice(1), SHA1_SECRET, { time })).toBeNull();
+    expect(verifyTOTP('abcdef', SHA1_SECRET, { time })).toBeNull();
+    expect(verifyTOTP(undefined, SHA1_SECRET, { time })).toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('builds a key URI authenticator apps understand', () => {
+    const uri = buildOtpauthUri({ secret: SHA1_SECRET, account: 'alice@example.com', issuer: 'File Downloader' });
+
+    expect(uri).toBe(`otpauth://totp/File%20Downloader%3Aalice%40example.com?secret=${SHA1_SECRET}`
+      + '&issuer=File%20Downloader&algorithm=SHA1&digits=6&period=30');
+  });
+});
+
+describe('normalizeBackupCode', () => {
+  it('ignores case, spaces and separators', () => {
+    expect(normalizeBackupCode(' AB12-cd34 ')).toBe('ab12cd34');
+  });
+});
@@ -0,0 +1,152 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import path from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+import transcoder from '../src/services/transcoder.js';
+import { TEMP_DIR } from '../src/config/constants.js';
+
+// ffprobe output for the containers used below
+const probes = {
+  webm: {
+    format: { format_name: 'matroska,webm' },
+    streams: [{ codec_type: 'video', codec_name: 'vp9', width: 1920, height: 1080 }, { codec_type: 'audio', codec_name: 'opus' }]
+  },
+  mp4: {
+    format: { format_name: 'mov,mp4,m4a,3gp,3g2,mj2', tags: { major_brand: 'isom' } },
+    streams: [{ codec_type: 'video', codec_name: 'h264', width: 1280, height: 720 }, { codec_type: 'audio', codec_name: 'aac' }]
+  },
+  mov: {
+    format: { format_name: 'mov,mp4,m4a,3gp,3g2,mj2', tags: { major_brand: 'qt  ' } },
+    streams: [{ codec_type: 'video', codec_name: 'h264', width: 1280, height: 720 }]
+  },
+  mp3: {
+    format: { format_name: 'mp3' },
+    streams: [{ codec_type: 'audio', codec_name: 'mp3' }, { codec_type: 'video', codec_name: 'mjpeg', disposition: { attached_pic: 1 } }]
+  }
+};
+
+describe('resolveSettings', () => {
+  it('uses the container defaults', () => {
+    expect(transcoder.resolveSettings({ format: 'webm' })).toMatchObject({
+      format: 'webm',
+      audioOnly: false,
+      videoCodec: 'libvpx-vp9',
+      audioCodec: 'libopus'
+    });
+  });
+
+  it('lets the preset pick the format and caps the height', () => {
+    const settings = transcoder.resolveSettings({ format: 'mkv', preset: 'web' });
+
+    expect(settings).toMatchObject({ format: 'mp4', videoCodec: 'libx264', crf: 23, audioBitrate: '128k' });
+    expect(settings.scale).toBe("scale=-2:'min(ih,1080)'");
+  });
+
+  it('keeps the plan limit below the requested resolution', () => {
+    expect(transcoder.resolveSettings({ resolution: '1920x1080', maxHeight: 720 }).scale).toBe("scale=-2:'min(ih,720)'");
+    expect(transcoder.resolveSettings({ resolution: '1280x720', maxHeight: 1080 }).scale).toBe('scale=1280:720');
+  });
+
+  it('drops the video settings for audio formats', () => {
+    expect(transcoder.resolveSettings({ format: 'mp3', videoBitrate: '2M' })).toMatchObject({
+      audioOnly: true,
+      videoCodec: undefined,
+      videoBitrate: undefined,
+      audioCodec: 'libmp3lame'
+    });
+  });
+
+  it('rejects unknown presets, formats and codecs the container cannot hold', () => {
+    expect(() => transcoder.resolveSettings({ preset: 'huge' })).toThrow('Unknown transcoding preset: huge');
+    expect(() => transcoder.resolveSettings({ format: 'exe' })).toThrow('Unsupported output format: exe');
+    expect(() => transcoder.resolveSettings({ format: 'webm', videoCodec: 'libx264' })).toThrow('webm cannot hold libx264 video');
+    expect(() => transcoder.resolveSettings({ resolution: 'big' })).toThrow('Invalid resolution: big');
+  });
+});
+
+describe('matchesSettings', () => {
+  it('tells mp4 and mov apart by brand', () => {
+    expect(transcoder.matchesSettings(probes.mp4, { format: 'mp4' })).toBe(true);
+    expect(transcoder.matchesSettings(probes.mov, { format: 'mp4' })).toBe(false);
+    expect(transcoder.matchesSettings(probes.mov, { format: 'mov' })).toBe(true);
+  });
+
+  it('treats cover art as no video', () => {
+    expect(transcoder.matchesSettings(probes.mp3, { format: 'mp3', audioOnly: true })).toBe(true);
+  });
+
+  it('only accepts webm with webm codecs', () => {
+    expect(transcoder.matchesSettings(probes.webm, { format: 'webm' })).toBe(true);
+    expect(transcoder.matchesSettings({ ...probes.webm, streams: probes.mp4.streams }, { format: 'webm' })).toBe(false);
+  });
+});
+
+describe('process', () => {
+  let probe;
+  let transcode;
+  let input;
+
+  const outputOf = (size) => async (inputPath, settings) => {
+    const filePath = path.join(TEMP_DIR, `test_${size}_transcoded.${settings.format}`);
+    await fs.writeFile(filePath, Buffer.alloc(size));
+    return { filePath, fileSize: size };
+  };
+
+  const exists = (filePath) => fs.access(filePath).then(() => true, () => false);
+
+  beforeEach(async () => {
+    await fs.mkdir(TEMP_DIR, { recursive: true });
+    input = { filePath: path.join(TEMP_DIR, 'test_input.webm'), fileName: 'Clip.webm', fileSize: 100, duration: 12 };
+    await fs.writeFile(input.filePath, Buffer.alloc(100));
+
+    // ffprobe answers by file extension; ffmpeg itself is replaced by transcode()
+    probe = jest.spyOn(ffmpeg, 'ffprobe').mockImplementation((filePath, callback) => {
+      callback(null, probes[path.extname(filePath).slice(1)]);
+    });
+    transcode = jest.spyOn(transcoder, 'transcode').mockImplementation(outputOf(200));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    for (const file of await fs.readdir(TEMP_DIR)) {
+      if (file.startsWith('test_')) await fs.unlink(path.join(TEMP_DIR, file));
+    }
+  });
+
+  it('converts into the requested container and removes the original', async () => {
+    const result = await transcoder.process(input, { format: 'mp4' });
+
+    expect(transcode).toHaveBeenCalledWith(input.filePath, expect.objectContaining({ format: 'mp4', videoCodec: 'libx264' }), expect.objectContaining({ duration: 12 }));
+    expect(result).toMatchObject({ fileName: 'Clip.mp4', fileSize: 200, format: 'mp4', codec: 'h264/aac', resolution: '1280x720' });
+    expect(await exists(input.filePath)).toBe(false);
+    expect(await exists(result.filePath)).toBe(true);
+  });
+
+  it('leaves a file that already matches alone', async () => {
+    const result = await transcoder.process(input, { format: 'webm' });
+
+    expect(transcode).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ filePath: input.filePath, fileSize: 100, codec: 'vp9/opus' });
+  });
+
+  it('always transcodes custom encodings', async () => {
+    await transcoder.process(input, { format: 'webm', videoBitrate: '1M' });
+
+    expect(transcode).toHaveBeenCalledWith(input.filePath, expect.objectContaining({ videoBitrate: '1M', crf: undefined }), expect.anything());
+  });
+
+  it('deletes an output that is not the requested container', async () => {
+    probe.mockImplementation((filePath, callback) => callback(null, probes.mov));
+
+    await expect(transcoder.process(input, { format: 'mp4', preset: 'web' })).rejects.toThrow(/expected mp4/);
+    expect(await exists(path.join(TEMP_DIR, 'test_200_transcoded.mp4'))).toBe(false);
+  });
+
+  it('deletes an output that outgrew the file size limit', async () => {
+    transcode.mockImplementation(outputOf(3 * 1024 * 1024));
+
+    await expect(transcoder.process(input, { format: 'mp4', maxFileSize: 2 * 1024 * 1024 }))
+      .rejects.toThrow('File size exceeds limit of 2MB');
+    expect(await exists(path.join(TEMP_DIR, `test_${3 * 1024 * 1024}_transcoded.mp4`))).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+import bcrypt from 'bcryptjs';
+import express from 'express';
+import mongoose from 'mongoose';
+import cron from 'node-cron';
+import request from 'supertest';
+import User from '../src/models/User.js';
+import mailer from '../src/services/mail/index.js';
+import { updateProfile } from '../src/controllers/authController.js';
+import { hashToken } from '../src/utils/tokenUtils.js';
+import { authValidation } from '../src/utils/validator.js';
+import { errorHandler } from '../src/middlewares/errorMiddleware.js';
+
+describe('PATCH /auth/profile', () => {
+  let user;
+  let passwordHash;
+  let updateOne;
+
+  const createApp = () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { _id: user._id };
+      next();
+    });
+    app.patch('/profile', authValidation.updateProfile, updateProfile);
+    app.use(errorHandler);
+    return app;
+  };
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-secret';
+    passwordHash = await bcrypt.hash('Secret123!', 4);
+  });
+
+  beforeEach(() => {
+    user = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      username: 'alice',
+      email: 'alice@example.com',
+      password: passwordHash,
+      emailVerified: true,
+      actionTokens: {}
+    });
+
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    updateOne = jest.spyOn(User.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(mailer, 'sendVerificationEmail').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    // Housekeeping jobs scheduled when the storage modules load
+    for (const task of cron.getTasks().values()) {
+      await task.destroy();
+    }
+  });
+
+  it('changes the username without touching the password', async () => {
+    const res = await request(createApp()).patch('/profile').send({ username: 'alice_2' }).expect(200);
+
+    expect(res.body.user.username).toBe('alice_2');
+    expect(res.body.user.emailVerified).toBe(true);
+
+    const [, update] = updateOne.mock.calls[0];
+    expect(update.$set).toMatchObject({ username: 'alice_2' });
+    expect(update.$set).not.toHaveProperty('password');
+    expect(user.password).toBe(passwordHash);
+  });
+
+  it('refuses a username that is already taken', async () => {
+    User.findOne.mockResolvedValue({ username: 'alice_2', email: 'other@example.com' });
+
+    const res = await request(createApp()).patch('/profile').send({ username: 'alice_2' }).expect(400);
+
+    expect(res.body.message).toBe('Username is already in use');
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  it('changes the email once the password is confirmed and asks for verification', async () => {
+    const res = await request(createApp())
+      .patch('/profile')
+      .send({ email: 'alice@example.org', currentPassword: 'Secret123!' })
+      .expect(200);
+
+    expect(res.body.user).toMatchObject({ email: 'alice@example.org', emailVerified: false });
+    expect(mailer.sendVerificationEmail).toHaveBeenCalledWith(user, expect.any(String));
+    expect(user.actionTokens.verifyEmail.jtiHash).toBeDefined();
+  });
+
+  it('invalidates links mailed to the old address, even when the new mail fails', async () => {
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+    user = User.hydrate({
+      ...user.toObject(),
+      actionTokens: {
+        resetPassword: { jtiHash: hashToken('reset-jti'), expiresAt },
+        verifyEmail: { jtiHash: hashToken('verify-jti'), expiresAt }
+      }
+    });
+
+    // Issuing the new verification token fails after the profile is saved
+    updateOne.mockResolvedValueOnce({ acknowledged: true, matchedCount: 1, modifiedCount: 1 })
+      .mockRejectedValueOnce(new Error('database unavailable'));
+
+    await request(createApp())
+      .patch('/profile')
+      .send({ email: 'alice@example.org', currentPassword: 'Secret123!' })
+      .expect(200);
+
+    // The profile save itself drops both tokens
+    const [, update] = updateOne.mock.calls[0];
+    expect(update.$set).toMatchObject({ email: 'alice@example.org' });
+    expect(update.$unset).toMatchObject({ 'actionTokens.resetPassword': 1, 'actionTokens.verifyEmail': 1 });
+    expect(user.consumeActionToken('resetPassword', 'reset-jti')).toBe(false);
+    expect(user.consumeActionToken('verifyEmail', 'verify-jti')).toBe(false);
+  });
+});
@@ -1,3 +1,5 @@
+// Load .env before any module reads process.env
+import 'dotenv/config';
 import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
@@ -5,7 +7,6 @@ import helmet from 'helmet';
 import morgan from 'morgan';
 import compression from 'compression';
 import cookieParser from 'cookie-parser';
-import { config } from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -17,12 +18,10 @@ import downloadRoutes from './src/routes/downloadRoutes.js';
 import { notFound, errorHandler } from './src/middlewares/errorMiddleware.js';
 import { apiLimiter } from './src/middlewares/rateLimiter.js';
 import videoRoutes from './src/routes/videoRoutes.js';
+import adminRoutes from './src/routes/adminRoutes.js';
 import SystemCheck from './src/utils/systemCheck.js';
 import logger from './src/utils/logger.js';
 
-// Config
-config();
-
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const app = express();
@@ -47,7 +46,7 @@ const corsOptions = {
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With', 'Accept']
 };
 
 app.use(cors(corsOptions));
@@ -103,9 +102,11 @@ app.get('/api/v1/health/video', async (req, res) => {
 });
 
 // API routes with rate limiting
+app.use('/api', apiLimiter);
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/download', downloadRoutes);
 app.use('/api/v1/video', videoRoutes);
+app.use('/api/v1/admin', adminRoutes);
 
 // 404 handler
 app.use(notFound);
@@ -1,5 +1,8 @@
 import app from './app.js';
 import connectDB from './src/config/db.js';
+import jobQueue from './src/services/jobQueue.js';
+import subscriptionRunner from './src/services/subscriptionRunner.js';
+import User from './src/models/User.js';
 import logger from './src/utils/logger.js';
 
 // Handle uncaught exceptions
@@ -16,6 +19,17 @@ const startServer = async () => {
     // Connect to database
     await connectDB();
     
+    const promoted = await User.promoteConfiguredAdmins();
+    if (promoted > 0) {
+      logger.info(`Granted admin role to ${promoted} account(s) from ADMIN_EMAILS`);
+    }
+    
+    // Start background download workers
+    await jobQueue.start();
+    
+    // Check subscribed channels and playlists on their schedules
+    await subscriptionRunner.start();
+    
     // Start server
     const server = app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
@@ -33,6 +47,8 @@ const startServer = async () => {
     // Handle SIGTERM
     process.on('SIGTERM', () => {
       logger.info('SIGTERM RECEIVED. Shutting down gracefully');
+      jobQueue.stop();
+      subscriptionRunner.stop();
       server.close(() => {
         logger.info('Process terminated');
       });
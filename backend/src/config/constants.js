@@ -1,3 +1,5 @@
+import path from 'path';
+
 export const FILE_TYPES = {
   IMAGE: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp'],
   DOCUMENT: ['pdf', 'doc', 'docx', 'txt', 'rtf'],
@@ -23,8 +25,55 @@ export const VIDEO_QUALITIES = {
 export const VIDEO_FORMATS = ['mp4', 'webm', 'mkv', 'avi', 'mov'];
 export const AUDIO_FORMATS = ['mp3', 'wav', 'aac', 'flac', 'ogg'];
 
+// Named transcoding presets; the preset decides the output format
+export const TRANSCODE_PRESETS = {
+  web: {
+    description: 'MP4 with H.264 video and AAC audio that plays in every browser',
+    format: 'mp4',
+    videoCodec: 'libx264',
+    audioCodec: 'aac',
+    crf: 23,
+    audioBitrate: '128k',
+    maxHeight: 1080
+  },
+  mobile: {
+    description: 'Small MP4 for phones and slow connections',
+    format: 'mp4',
+    videoCodec: 'libx264',
+    audioCodec: 'aac',
+    videoBitrate: '800k',
+    audioBitrate: '96k',
+    maxHeight: 480
+  },
+  lossless: {
+    description: 'Lossless FLAC audio',
+    format: 'flac',
+    audioCodec: 'flac',
+    audioOnly: true
+  },
+  podcast: {
+    description: 'Mono MP3 at 64 kbps for spoken word',
+    format: 'mp3',
+    audioCodec: 'libmp3lame',
+    audioBitrate: '64k',
+    audioChannels: 1,
+    audioFrequency: 44100,
+    audioOnly: true
+  }
+};
+
 export const MAX_VIDEO_SIZE = 500 * 1024 * 1024; // 500MB
 export const MAX_VIDEO_DURATION = 3600; // 1 hour in seconds
+export const MAX_PLAYLIST_ENTRIES = 500;     // entries resolved when expanding a playlist
+export const MAX_PLAYLIST_DOWNLOADS = 50;    // items queued by one playlist request
+
+// Channel and playlist subscriptions
+export const MAX_SUBSCRIPTIONS = 20;
+export const SUBSCRIPTION_DEFAULT_SCHEDULE = '0 * * * *';       // hourly
+export const SUBSCRIPTION_MIN_INTERVAL = 15 * 60 * 1000;         // checks run at most every 15 minutes
+export const SUBSCRIPTION_SCAN_LIMIT = 50;                       // newest entries looked at per check
+export const SUBSCRIPTION_MAX_PER_RUN = 10;                      // downloads queued per check
+export const SUBSCRIPTION_ARCHIVE_SIZE = 5000;                   // seen video ids kept per subscription
 
 export const SUPPORTED_PLATFORMS = [
   'youtube',
@@ -43,3 +92,94 @@ export const MAX_FILE_SIZE = 100 * 1024 * 1024;    // 100MB
 export const DOWNLOAD_TIMEOUT = 30000;    // 30 seconds
 export const MAX_CONCURRENT_DOWNLOADS = 5;
 export const TEMP_FILE_RETENTION_DAYS = 1;
+
+// Working directory shared by every downloader before files go to storage
+export const TEMP_DIR = process.env.TEMP_DIR || path.join(process.cwd(), 'temp');
+
+export const JOB_POLL_INTERVAL = 2000;          // 2 seconds
+export const JOB_HEARTBEAT_INTERVAL = 15000;    // 15 seconds
+export const JOB_STALE_TIMEOUT = 60000;         // job considered orphaned after 1 minute without heartbeat
+export const JOB_MAX_ATTEMPTS = 3;
+export const PROGRESS_UPDATE_INTERVAL = 1000;   // throttle progress events to 1 per second
+export const SSE_POLL_INTERVAL = 2000;          // 2 seconds
+
+export const SEGMENTED_CONNECTIONS = 4;
+export const MAX_SEGMENTED_CONNECTIONS = 16;
+export const MIN_SEGMENT_SIZE = 1024 * 1024;    // 1MB
+export const SEGMENT_RETRIES = 2;
+
+export const LIBRARY_QUOTA_BYTES = 2 * 1024 * 1024 * 1024;   // 2GB per user
+export const LIBRARY_RETENTION_DAYS = 7;
+
+export const ACCESS_TOKEN_EXPIRE = '15m';
+export const REFRESH_TOKEN_EXPIRE_DAYS = 30;
+export const EMAIL_VERIFICATION_EXPIRE_HOURS = 24;
+export const PASSWORD_RESET_EXPIRE_HOURS = 1;
+// Limits for accounts that have not confirmed their email address
+export const UNVERIFIED_DAILY_DOWNLOADS = 5;
+export const TWO_FACTOR_CHALLENGE_EXPIRE_HOURS = 5 / 60;  // 5 minutes
+export const TWO_FACTOR_BACKUP_CODES = 10;
+export const TOTP_ISSUER = 'File Downloader';
+
+// Per-account lockout: from the LOGIN_LOCKOUT_THRESHOLD-th failure in a row
+// the account is locked, doubling from LOGIN_LOCKOUT_BASE up to LOGIN_LOCKOUT_MAX
+export const LOGIN_LOCKOUT_THRESHOLD = 5;
+export const LOGIN_LOCKOUT_BASE = 60 * 1000;                // 1 minute
+export const LOGIN_LOCKOUT_MAX = 60 * 60 * 1000;            // 1 hour
+export const LOGIN_FAILURE_RESET = 24 * 60 * 60 * 1000;     // failures are forgotten after a quiet day
+export const LOGIN_HISTORY_SIZE = 20;
+export const MAX_KNOWN_DEVICES = 20;
+
+export const API_KEY_PREFIX = 'fdk_';
+export const API_KEY_SCOPES = ['download:read', 'download:write', 'video:read', 'video:write'];
+export const MAX_API_KEYS = 20;
+export const API_KEY_MAX_EXPIRE_DAYS = 365;
+
+// Rate limits per client (user, API key or IP). Each can be overridden with
+// RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_MS.
+export const RATE_LIMITS = {
+  auth: { windowMs: 15 * 60 * 1000, max: 10 },      // failed attempts only
+  mail: { windowMs: 60 * 60 * 1000, max: 5 },
+  download: { windowMs: 60 * 60 * 1000, max: 50 },
+  video: { windowMs: 60 * 60 * 1000, max: 20 },
+  api: { windowMs: 15 * 60 * 1000, max: 100 }
+};
+
+export const OIDC_DISCOVERY_TTL = 60 * 60 * 1000; // 1 hour
+export const OIDC_TRANSACTION_EXPIRE = '10m';
+
+// Usage plans. null means unlimited; sizes in bytes, durations in seconds,
+// resolution as video height.
+export const PLANS = {
+  free: {
+    dailyBytes: 1024 * 1024 * 1024,            // 1GB
+    monthlyBytes: 10 * 1024 * 1024 * 1024,     // 10GB
+    dailyDownloads: 50,
+    monthlyDownloads: 500,
+    maxFileSize: MAX_FILE_SIZE,
+    maxVideoDuration: MAX_VIDEO_DURATION,
+    maxVideoResolution: 1080,
+    concurrentJobs: 3
+  },
+  pro: {
+    dailyBytes: 20 * 1024 * 1024 * 1024,       // 20GB
+    monthlyBytes: 200 * 1024 * 1024 * 1024,    // 200GB
+    dailyDownloads: 500,
+    monthlyDownloads: 10000,
+    maxFileSize: 2 * 1024 * 1024 * 1024,       // 2GB
+    maxVideoDuration: 4 * 3600,
+    maxVideoResolution: 2160,
+    concurrentJobs: 10
+  },
+  unlimited: {
+    dailyBytes: null,
+    monthlyBytes: null,
+    dailyDownloads: null,
+    monthlyDownloads: null,
+    maxFileSize: null,
+    maxVideoDuration: null,
+    maxVideoResolution: null,
+    concurrentJobs: null
+  }
+};
+export const DEFAULT_PLAN = 'free';
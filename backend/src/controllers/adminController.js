@@ -0,0 +1,416 @@
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Download from '../models/Download.js';
+import AuditLog from '../models/AuditLog.js';
+import jobQueue from '../services/jobQueue.js';
+import sessionService from '../services/sessionService.js';
+import fileLibrary from '../services/fileLibrary.js';
+import auditLogger from '../services/auditLogger.js';
+import quotaService from '../services/quotaService.js';
+import { asyncHandler, AppError } from '../middlewares/errorMiddleware.js';
+import logger from '../utils/logger.js';
+
+const USER_FIELDS = 'username email role plan quotaOverrides emailVerified twoFactorEnabled disabled disabledAt disabledReason failedLoginCount lockedUntil oidc.issuer createdAt';
+const DOWNLOAD_FIELDS = '-__v -storage.key -subtitles.key -job.options -resume.tempFileName';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const paginate = ({ page = 1, limit = 20 }) => {
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const limitNumber = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  return { page: pageNumber, limit: limitNumber, skip: (pageNumber - 1) * limitNumber };
+};
+
+const paginationInfo = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit)
+});
+
+const findUserOr404 = async (id) => {
+  const user = await User.findById(id).select(USER_FIELDS);
+  
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  
+  return user;
+};
+
+// Users
+
+export const listUsers = asyncHandler(async (req, res, next) => {
+  const { search, role, disabled } = req.query;
+  const pagination = paginate(req.query);
+  
+  const query = {};
+  
+  if (search) {
+    const pattern = new RegExp(escapeRegExp(search), 'i');
+    query.$or = [{ username: pattern }, { email: pattern }];
+  }
+  
+  if (role) {
+    query.role = role;
+  }
+  
+  if (disabled !== undefined) {
+    query.disabled = disabled === 'true';
+  }
+  
+  const [users, total] = await Promise.all([
+    User.find(query)
+      .sort({ createdAt: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .select(USER_FIELDS),
+    User.countDocuments(query)
+  ]);
+  
+  await auditLogger.record(req, 'user.list', { details: { search, role, disabled } });
+  
+  res.status(200).json({
+    success: true,
+    data: users,
+    pagination: paginationInfo(pagination, total)
+  });
+});
+
+export const getUser = asyncHandler(async (req, res, next) => {
+  const user = await findUserOr404(req.params.id);
+  
+  const [downloads, library, activeSessions] = await Promise.all([
+    Download.aggregate([
+      { $match: { user: user._id } },
+      { $group: { _id: '$status', count: { $sum: 1 }, totalSize: { $sum: '$fileSize' } } }
+    ]),
+    fileLibrary.getUsage(user._id),
+    Session.countDocuments({ user: user._id, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } })
+  ]);
+  
+  await auditLogger.record(req, 'user.view', { targetType: 'User', targetId: user._id });
+  
+  res.status(200).json({
+    success: true,
+    user,
+    stats: {
+      downloads,
+      library,
+      activeSessions
+    }
+  });
+});
+
+export const updateUserRole = asyncHandler(async (req, res, next) => {
+  const { role } = req.body;
+  const user = await findUserOr404(req.params.id);
+  
+  if (user._id.equals(req.user._id) && role !== 'admin') {
+    throw new AppError('You cannot remove your own admin role', 400);
+  }
+  
+  const previousRole = user.role;
+  user.role = role;
+  await user.save();
+  
+  await auditLogger.record(req, 'user.role', {
+    targetType: 'User',
+    targetId: user._id,
+    details: { from: previousRole, to: role }
+  });
+  
+  logger.info(`Admin ${req.user.email} changed role of ${user.email}: ${previousRole} -> ${role}`);
+  
+  res.status(200).json({
+    success: true,
+    user
+  });
+});
+
+// Change the plan and/or per-user limit overrides. An override of null
+// removes it so the plan value applies again.
+export const updateUserPlan = asyncHandler(async (req, res, next) => {
+  const { plan, overrides } = req.body;
+  const user = await findUserOr404(req.params.id);
+  
+  const previous = { plan: user.plan, overrides: user.quotaOverrides?.toObject() };
+  
+  if (plan) {
+    user.plan = plan;
+  }
+  
+  for (const [key, value] of Object.entries(overrides || {})) {
+    user.set(`quotaOverrides.${key}`, value === null ? undefined : value);
+  }
+  
+  await user.save();
+  
+  await auditLogger.record(req, 'user.plan', {
+    targetType: 'User',
+    targetId: user._id,
+    details: { from: previous, to: { plan: user.plan, overrides: user.quotaOverrides?.toObject() } }
+  });
+  
+  res.status(200).json({
+    success: true,
+    user,
+    quota: await quotaService.getSummary(user)
+  });
+});
+
+export const disableUser = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+  const user = await findUserOr404(req.params.id);
+  
+  if (user._id.equals(req.user._id)) {
+    throw new AppError('You cannot disable your own account', 400);
+  }
+  
+  user.disabled = true;
+  user.disabledAt = new Date();
+  user.disabledReason = reason;
+  await user.save();
+  
+  // Sign the user out everywhere and stop their queued work
+  const revokedSessions = await sessionService.revokeAll(user._id, 'account_disabled');
+  const activeJobs = await Download.find({ user: user._id, status: { $in: ['pending', 'downloading'] } });
+  for (const job of activeJobs) {
+    await jobQueue.cancel(job, 'Account disabled');
+  }
+  
+  await auditLogger.record(req, 'user.disable', {
+    targetType: 'User',
+    targetId: user._id,
+    details: { reason, revokedSessions, cancelledJobs: activeJobs.length }
+  });
+  
+  logger.warn(`Admin ${req.user.email} disabled ${user.email}`);
+  
+  res.status(200).json({
+    success: true,
+    user
+  });
+});
+
+export const enableUser = asyncHandler(async (req, res, next) => {
+  const user = await findUserOr404(req.params.id);
+  
+  user.disabled = false;
+  user.disabledAt = undefined;
+  user.disabledReason = undefined;
+  await user.save();
+  
+  await auditLogger.record(req, 'user.enable', { targetType: 'User', targetId: user._id });
+  
+  logger.info(`Admin ${req.user.email} enabled ${user.email}`);
+  
+  res.status(200).json({
+    success: true,
+    user
+  });
+});
+
+// Downloads
+
+export const listDownloads = asyncHandler(async (req, res, next) => {
+  const { user, status, type, search, startDate, endDate } = req.query;
+  const pagination = paginate(req.query);
+  
+  const query = {};
+  
+  if (user) query.user = user;
+  if (status) query.status = status;
+  if (type) query.type = type;
+  
+  if (search) {
+    const pattern = new RegExp(escapeRegExp(search), 'i');
+    query.$or = [{ fileName: pattern }, { fileUrl: pattern }];
+  }
+  
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+  
+  const [downloads, total] = await Promise.all([
+    Download.find(query)
+      .sort({ createdAt: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .select(DOWNLOAD_FIELDS)
+      .populate('user', 'username email'),
+    Download.countDocuments(query)
+  ]);
+  
+  await auditLogger.record(req, 'download.list', { details: { user, status, type, search } });
+  
+  res.status(200).json({
+    success: true,
+    data: downloads,
+    pagination: paginationInfo(pagination, total)
+  });
+});
+
+export const getDownload = asyncHandler(async (req, res, next) => {
+  const download = await Download.findById(req.params.id)
+    .select(DOWNLOAD_FIELDS)
+    .populate('user', 'username email');
+  
+  if (!download) {
+    throw new AppError('Download record not found', 404);
+  }
+  
+  await auditLogger.record(req, 'download.view', { targetType: 'Download', targetId: download._id });
+  
+  res.status(200).json({
+    success: true,
+    data: download
+  });
+});
+
+export const cancelDownload = asyncHandler(async (req, res, next) => {
+  const download = await Download.findById(req.params.id);
+  
+  if (!download) {
+    throw new AppError('Download record not found', 404);
+  }
+  
+  const reason = req.body.reason || 'Cancelled by administrator';
+  let cancelled;
+  
+  // Cancelling a playlist cancels every item still waiting or running
+  if (download.type === 'playlist') {
+    cancelled = ['pending', 'downloading'].includes(download.status);
+    if (cancelled) await jobQueue.cancelPlaylist(download, reason);
+  } else {
+    cancelled = await jobQueue.cancel(download, reason);
+  }
+  
+  if (!cancelled) {
+    throw new AppError(`Cannot cancel a download that is ${download.status}`, 400);
+  }
+  
+  await auditLogger.record(req, 'download.cancel', {
+    targetType: 'Download',
+    targetId: download._id,
+    details: { reason, owner: download.user }
+  });
+  
+  res.status(200).json({
+    success: true,
+    jobId: download._id,
+    status: download.status
+  });
+});
+
+// System
+
+export const getSystemStats = asyncHandler(async (req, res, next) => {
+  const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  
+  const [
+    totalUsers,
+    usersByRole,
+    disabledUsers,
+    newUsers,
+    downloadsByStatus,
+    downloadsByType,
+    storage,
+    last7Days,
+    topUsers
+  ] = await Promise.all([
+    User.countDocuments(),
+    User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+    User.countDocuments({ disabled: true }),
+    User.countDocuments({ createdAt: { $gte: since } }),
+    Download.aggregate([{ $group: { _id: '$status', count: { $sum: 1 }, totalSize: { $sum: '$fileSize' } } }]),
+    Download.aggregate([{ $group: { _id: '$type', count: { $sum: 1 } } }]),
+    Download.aggregate([
+      { $match: { 'storage.key': { $exists: true } } },
+      { $group: { _id: null, used: { $sum: '$storage.size' }, files: { $sum: 1 } } }
+    ]),
+    Download.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          count: { $sum: 1 },
+          totalSize: { $sum: '$fileSize' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    Download.aggregate([
+      { $match: { status: 'completed' } },
+      { $group: { _id: '$user', count: { $sum: 1 }, totalSize: { $sum: '$fileSize' } } },
+      { $sort: { totalSize: -1 } },
+      { $limit: 10 },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+      { $project: { count: 1, totalSize: 1, username: { $first: '$user.username' }, email: { $first: '$user.email' } } }
+    ])
+  ]);
+  
+  await auditLogger.record(req, 'system.stats');
+  
+  res.status(200).json({
+    success: true,
+    stats: {
+      users: {
+        total: totalUsers,
+        byRole: usersByRole,
+        disabled: disabledUsers,
+        newLast7Days: newUsers
+      },
+      downloads: {
+        byStatus: downloadsByStatus,
+        byType: downloadsByType,
+        last7Days,
+        topUsers
+      },
+      storage: {
+        used: storage[0]?.used || 0,
+        files: storage[0]?.files || 0
+      },
+      queue: {
+        maxConcurrent: jobQueue.maxConcurrent,
+        pending: downloadsByStatus.find(entry => entry._id === 'pending')?.count || 0,
+        running: downloadsByStatus.find(entry => entry._id === 'downloading')?.count || 0,
+        runningOnThisInstance: jobQueue.active.size
+      }
+    }
+  });
+});
+
+export const listAuditLogs = asyncHandler(async (req, res, next) => {
+  const { actor, action, targetId, startDate, endDate } = req.query;
+  const pagination = paginate(req.query);
+  
+  const query = {};
+  
+  if (actor) query.actor = actor;
+  if (action) query.action = action;
+  if (targetId) query['target.id'] = targetId;
+  
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+  
+  const [entries, total] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .select('-__v'),
+    AuditLog.countDocuments(query)
+  ]);
+  
+  res.status(200).json({
+    success: true,
+    data: entries,
+    pagination: paginationInfo(pagination, total)
+  });
+});
@@ -0,0 +1,100 @@
+import ApiKey from '../models/ApiKey.js';
+import { asyncHandler, AppError } from '../middlewares/errorMiddleware.js';
+import logger from '../utils/logger.js';
+import { generateApiKey, hashToken } from '../utils/tokenUtils.js';
+import { MAX_API_KEYS } from '../config/constants.js';
+
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt,
+  expired: apiKey.isExpired(),
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  createdAt: apiKey.createdAt
+});
+
+const findOwnKey = async (req) => {
+  const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!apiKey) {
+    throw new AppError('API key not found', 404);
+  }
+
+  return apiKey;
+};
+
+export const listApiKeys = asyncHandler(async (req, res, next) => {
+  const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    apiKeys: apiKeys.map(formatApiKey)
+  });
+});
+
+export const createApiKey = asyncHandler(async (req, res, next) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  const count = await ApiKey.countDocuments({ user: req.user._id });
+  if (count >= MAX_API_KEYS) {
+    throw new AppError(`You can have at most ${MAX_API_KEYS} API keys`, 400);
+  }
+
+  const { key, prefix } = generateApiKey();
+
+  const apiKey = await ApiKey.create({
+    user: req.user._id,
+    name,
+    prefix,
+    keyHash: hashToken(key),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+  });
+
+  logger.info(`API key created: ${apiKey.prefix} for user ${req.user._id}`);
+
+  // The full key is only ever returned here
+  res.status(201).json({
+    success: true,
+    key,
+    apiKey: formatApiKey(apiKey)
+  });
+});
+
+export const getApiKey = asyncHandler(async (req, res, next) => {
+  const apiKey = await findOwnKey(req);
+
+  res.status(200).json({
+    success: true,
+    apiKey: formatApiKey(apiKey)
+  });
+});
+
+export const updateApiKey = asyncHandler(async (req, res, next) => {
+  const apiKey = await findOwnKey(req);
+  const { name, scopes } = req.body;
+
+  if (name !== undefined) apiKey.name = name;
+  if (scopes !== undefined) apiKey.scopes = [...new Set(scopes)];
+  await apiKey.save();
+
+  res.status(200).json({
+    success: true,
+    apiKey: formatApiKey(apiKey)
+  });
+});
+
+export const deleteApiKey = asyncHandler(async (req, res, next) => {
+  const apiKey = await findOwnKey(req);
+  await apiKey.deleteOne();
+
+  logger.info(`API key revoked: ${apiKey.prefix} for user ${req.user._id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'API key revoked'
+  });
+});
@@ -1,8 +1,78 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
-import { generateToken } from '../utils/tokenUtils.js';
+import sessionService from '../services/sessionService.js';
+import mailer from '../services/mail/index.js';
+import oidcClient from '../services/oidcClient.js';
+import quotaService from '../services/quotaService.js';
+import loginSecurity from '../services/loginSecurityService.js';
+import accountService from '../services/accountService.js';
+import { verifyActionToken } from '../utils/tokenUtils.js';
+import {
+  EMAIL_VERIFICATION_EXPIRE_HOURS,
+  PASSWORD_RESET_EXPIRE_HOURS,
+  TWO_FACTOR_CHALLENGE_EXPIRE_HOURS,
+  OIDC_TRANSACTION_EXPIRE
+} from '../config/constants.js';
 import { asyncHandler, AppError } from '../middlewares/errorMiddleware.js';
 import logger from '../utils/logger.js';
 
+const REFRESH_COOKIE = 'refreshToken';
+const CHALLENGE_COOKIE = 'twoFactorChallenge';
+const CHALLENGE_COOKIE_PATH = '/api/v1/auth/login/2fa';
+
+const getClientInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+// Mail problems must not fail the request that triggered the mail
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = user.createActionToken('verifyEmail', EMAIL_VERIFICATION_EXPIRE_HOURS);
+    await user.save();
+    await mailer.sendVerificationEmail(user, token);
+  } catch (error) {
+    logger.error(`Failed to send verification email to ${user.email}: ${error.message}`);
+  }
+};
+
+// The refresh token is also set as an httpOnly cookie scoped to the auth
+// routes, so browser clients never have to store it themselves
+const setRefreshCookie = (res, refreshToken, expires) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/v1/auth',
+    expires
+  });
+};
+
+// Answered with the second factor at POST /auth/login/2fa. Each challenge
+// completes one login and a newer one replaces it.
+const issueChallengeToken = async (user) => {
+  const token = user.createActionToken('twoFactor', TWO_FACTOR_CHALLENGE_EXPIRE_HOURS);
+  // Only this token is written, so the user's other tokens survive even when
+  // actionTokens was not loaded
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'actionTokens.twoFactor': user.get('actionTokens.twoFactor') } }
+  );
+  return token;
+};
+
+const sendTokens = (res, statusCode, { accessToken, refreshToken, refreshTokenExpiresAt }, body) => {
+  setRefreshCookie(res, refreshToken, refreshTokenExpiresAt);
+  
+  res.status(statusCode).json({
+    success: true,
+    token: accessToken,
+    refreshToken,
+    ...body
+  });
+};
+
 export const signup = asyncHandler(async (req, res, next) => {
   const { username, email, password } = req.body;
   
@@ -22,21 +92,23 @@ export const signup = asyncHandler(async (req, res, next) => {
     password
   });
   
-  // Generate token
-  const token = generateToken(user._id);
+  await sendVerificationEmail(user);
+  
+  // Start a session
+  const tokens = await sessionService.create(user, getClientInfo(req));
+  await loginSecurity.recordSuccess(user, getClientInfo(req), 'signup');
   
   // Remove password from response
   user.password = undefined;
   
   logger.info(`New user registered: ${user.email}`);
   
-  res.status(201).json({
-    success: true,
-    token,
+  sendTokens(res, 201, tokens, {
     user: {
       id: user._id,
       username: user.username,
       email: user.email,
+      emailVerified: user.emailVerified,
       createdAt: user.createdAt
     }
   });
@@ -57,33 +129,122 @@ export const login = asyncHandler(async (req, res, next) => {
     throw new AppError('Invalid credentials', 401);
   }
   
+  loginSecurity.assertNotLocked(user, res);
+  
   // Check if password is correct
   const isPasswordCorrect = await user.comparePassword(password);
   
   if (!isPasswordCorrect) {
+    await loginSecurity.recordFailure(user, getClientInfo(req));
     throw new AppError('Invalid credentials', 401);
   }
   
-  // Generate token
-  const token = generateToken(user._id);
+  if (user.disabled) {
+    throw new AppError('Account disabled', 403);
+  }
+  
+  // With 2FA on, the session is only created after the code is verified
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: await issueChallengeToken(user)
+    });
+  }
+  
+  // Start a session
+  const tokens = await sessionService.create(user, getClientInfo(req));
+  await loginSecurity.recordSuccess(user, getClientInfo(req), 'password');
   
   // Remove password from response
   user.password = undefined;
   
   logger.info(`User logged in: ${user.email}`);
   
-  res.status(200).json({
-    success: true,
-    token,
+  sendTokens(res, 200, tokens, {
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified
+    }
+  });
+});
+
+export const verifyTwoFactorLogin = asyncHandler(async (req, res, next) => {
+  const { code } = req.body;
+  // Single sign-on hands the challenge over in a cookie instead of the URL
+  const challengeToken = req.body.challengeToken || req.cookies?.[CHALLENGE_COOKIE];
+  
+  let decoded;
+  try {
+    decoded = verifyActionToken(challengeToken, 'twoFactor');
+  } catch (error) {
+    throw new AppError('Login challenge expired, please log in again', 401);
+  }
+  
+  const user = await User.findById(decoded.id).select('+twoFactor +actionTokens');
+  
+  if (!user || user.disabled) {
+    throw new AppError('Invalid credentials', 401);
+  }
+  
+  // Wrong codes count towards the same lockout as wrong passwords
+  loginSecurity.assertNotLocked(user, res);
+  
+  const method = user.verifySecondFactor(code);
+  
+  if (!method) {
+    await loginSecurity.recordFailure(user, getClientInfo(req));
+    throw new AppError('Invalid authentication code', 401);
+  }
+  
+  // Each challenge completes one login
+  if (!user.consumeActionToken('twoFactor', decoded.jti)) {
+    throw new AppError('Login challenge expired, please log in again', 401);
+  }
+  
+  await user.save();
+  res.clearCookie(CHALLENGE_COOKIE, { path: CHALLENGE_COOKIE_PATH });
+  
+  const tokens = await sessionService.create(user, getClientInfo(req));
+  await loginSecurity.recordSuccess(user, getClientInfo(req), 'twoFactor');
+  
+  logger.info(`User logged in with ${method === 'backup' ? 'a backup code' : 'TOTP'}: ${user.email}`);
+  
+  sendTokens(res, 200, tokens, {
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified
+    },
+    ...(method === 'backup' && { backupCodesRemaining: user.twoFactor.backupCodes.length })
+  });
+});
+
+export const refresh = asyncHandler(async (req, res, next) => {
+  const refreshToken = req.body?.refreshToken || req.cookies?.[REFRESH_COOKIE];
+  
+  const { user, ...tokens } = await sessionService.rotate(refreshToken, getClientInfo(req));
+  
+  sendTokens(res, 200, tokens, {
     user: {
       id: user._id,
       username: user.username,
-      email: user.email
+      email: user.email,
+      emailVerified: user.emailVerified
     }
   });
 });
 
 export const logout = asyncHandler(async (req, res, next) => {
+  // Revoking the session invalidates its refresh tokens and any access
+  // token still in circulation
+  await sessionService.revoke(req.sessionId, 'logout');
+  
+  res.clearCookie(REFRESH_COOKIE, { path: '/api/v1/auth' });
+  
   logger.info(`User logged out: ${req.user.email}`);
   
   res.status(200).json({
@@ -101,7 +262,437 @@ export const getProfile = asyncHandler(async (req, res, next) => {
       id: user._id,
       username: user.username,
       email: user.email,
+      emailVerified: user.emailVerified,
+      createdAt: user.createdAt
+    }
+  });
+});
+
+export const getUsage = asyncHandler(async (req, res, next) => {
+  const usage = await quotaService.getSummary(req.user);
+  
+  res.status(200).json({
+    success: true,
+    ...usage
+  });
+});
+
+export const verifyEmail = asyncHandler(async (req, res, next) => {
+  let decoded;
+  try {
+    decoded = verifyActionToken(req.body.token, 'verifyEmail');
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+  
+  const user = await User.findById(decoded.id).select('+actionTokens');
+  
+  if (!user || !user.consumeActionToken('verifyEmail', decoded.jti)) {
+    throw new AppError('Invalid or expired token', 400);
+  }
+  
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  await user.save();
+  
+  logger.info(`Email verified: ${user.email}`);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully'
+  });
+});
+
+export const resendVerification = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('+actionTokens');
+  
+  if (user.emailVerified) {
+    throw new AppError('Email is already verified', 400);
+  }
+  
+  await sendVerificationEmail(user);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Verification email sent'
+  });
+});
+
+export const forgotPassword = asyncHandler(async (req, res, next) => {
+  const user = await User.findOne({ email: req.body.email }).select('+actionTokens');
+  
+  // Same response whether or not the account exists
+  if (user) {
+    try {
+      const token = user.createActionToken('resetPassword', PASSWORD_RESET_EXPIRE_HOURS);
+      await user.save();
+      await mailer.sendPasswordResetEmail(user, token);
+      
+      logger.info(`Password reset requested: ${user.email}`);
+    } catch (error) {
+      logger.error(`Failed to send password reset email to ${user.email}: ${error.message}`);
+    }
+  }
+  
+  res.status(200).json({
+    success: true,
+    message: 'If an account with that email exists, a password reset link has been sent'
+  });
+});
+
+export const resetPassword = asyncHandler(async (req, res, next) => {
+  const { token, password } = req.body;
+  
+  let decoded;
+  try {
+    decoded = verifyActionToken(token, 'resetPassword');
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+  
+  const user = await User.findById(decoded.id).select('+actionTokens');
+  
+  if (!user || !user.consumeActionToken('resetPassword', decoded.jti)) {
+    throw new AppError('Invalid or expired token', 400);
+  }
+  
+  user.password = password;
+  // A new password also lifts any login lockout
+  user.failedLoginCount = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockedUntil = undefined;
+  // The link proves the user controls the mailbox
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+  
+  // Sign out everywhere; whoever knew the old password loses access
+  await sessionService.revokeAll(user._id, 'password_reset');
+  
+  logger.info(`Password reset: ${user.email}`);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Password has been reset, please log in again'
+  });
+});
+
+// Account self-service
+
+// Re-authentication for sensitive account changes. Wrong passwords count
+// towards the login lockout, so a stolen session cannot be used to guess it.
+const confirmPassword = async (req, res, user, password) => {
+  loginSecurity.assertNotLocked(user, res);
+  
+  if (!password || !(await user.comparePassword(password))) {
+    await loginSecurity.recordFailure(user, getClientInfo(req));
+    throw new AppError('Current password is incorrect', 401);
+  }
+};
+
+export const updateProfile = asyncHandler(async (req, res, next) => {
+  const { username, email, currentPassword } = req.body;
+  const user = await User.findById(req.user._id).select('+password +actionTokens');
+  
+  const usernameChanged = username !== undefined && username !== user.username;
+  const emailChanged = email !== undefined && email !== user.email;
+  
+  if (!usernameChanged && !emailChanged) {
+    throw new AppError('Nothing to update', 400);
+  }
+  
+  // Password reset links go to this address, so changing it needs the password
+  if (emailChanged) {
+    await confirmPassword(req, res, user, currentPassword);
+  }
+  
+  const taken = await User.findOne({
+    _id: { $ne: user._id },
+    $or: [
+      ...(usernameChanged ? [{ username }] : []),
+      ...(emailChanged ? [{ email }] : [])
+    ]
+  });
+  
+  if (taken) {
+    throw new AppError(`${usernameChanged && taken.username === username ? 'Username' : 'Email'} is already in use`, 400);
+  }
+  
+  const previousEmail = user.email;
+  
+  if (usernameChanged) {
+    user.username = username;
+  }
+  
+  // A new address has to be verified again before the account gets its
+  // full allowance back. Links already mailed to the old address stop working.
+  if (emailChanged) {
+    user.email = email;
+    user.emailVerified = false;
+    user.emailVerifiedAt = undefined;
+    user.set('actionTokens.resetPassword', undefined);
+    user.set('actionTokens.verifyEmail', undefined);
+  }
+  
+  await user.save();
+  
+  if (emailChanged) {
+    await sendVerificationEmail(user);
+    logger.info(`Email changed: ${previousEmail} -> ${user.email}`);
+  }
+  
+  res.status(200).json({
+    success: true,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
       createdAt: user.createdAt
+    },
+    ...(emailChanged && { message: 'Please check your inbox to verify your new email address' })
+  });
+});
+
+export const changePassword = asyncHandler(async (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+  const user = await User.findById(req.user._id).select('+password');
+  
+  await confirmPassword(req, res, user, currentPassword);
+  
+  if (await user.comparePassword(newPassword)) {
+    throw new AppError('New password must be different from the current one', 400);
+  }
+  
+  user.password = newPassword;
+  await user.save();
+  
+  // Everyone else who knew the old password is signed out; this session stays
+  const revokedSessions = await sessionService.revokeAll(user._id, 'password_change', { except: req.sessionId });
+  
+  logger.info(`Password changed: ${user.email} (${revokedSessions} other sessions revoked)`);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Password changed',
+    revokedSessions
+  });
+});
+
+export const deleteAccount = asyncHandler(async (req, res, next) => {
+  const { password, code } = req.body;
+  const user = await User.findById(req.user._id).select('+password +twoFactor');
+  
+  await confirmPassword(req, res, user, password);
+  
+  if (user.twoFactorEnabled && !user.verifySecondFactor(code)) {
+    await loginSecurity.recordFailure(user, getClientInfo(req));
+    throw new AppError('Invalid authentication code', 401);
+  }
+  
+  // Keep at least one administrator who can run the admin console
+  if (user.role === 'admin' && !(await User.exists({ _id: { $ne: user._id }, role: 'admin', disabled: false }))) {
+    throw new AppError('The last administrator cannot delete their account', 400);
+  }
+  
+  const deleted = await accountService.deleteAccount(user);
+  
+  res.clearCookie(REFRESH_COOKIE, { path: '/api/v1/auth' });
+  
+  res.status(200).json({
+    success: true,
+    message: 'Account deleted',
+    deleted
+  });
+});
+
+export const exportAccount = asyncHandler(async (req, res, next) => {
+  const date = new Date().toISOString().slice(0, 10);
+  
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="account-${req.user.username}-${date}.json"`);
+  res.setHeader('Cache-Control', 'no-store');
+  
+  try {
+    await accountService.writeExport(req.user._id, res);
+  } catch (error) {
+    // Once the body has started the error handler can no longer respond
+    if (!res.headersSent) throw error;
+    
+    logger.error(`Account export failed for ${req.user.email}: ${error.message}`);
+    res.destroy(error);
+  }
+});
+
+// Single sign-on (OpenID Connect)
+
+const OIDC_COOKIE = 'oidcTransaction';
+const OIDC_COOKIE_PATH = '/api/v1/auth/oidc';
+
+const createSsoError = (message, reason) => {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+};
+
+// Send the browser back to the client app. Tokens never go in the URL: on
+// success the refresh cookie is set and the client calls POST /auth/refresh;
+// with 2FA the challenge cookie is set and the client posts the code to
+// POST /auth/login/2fa.
+const redirectToClient = (res, params) => {
+  const url = new URL(process.env.OIDC_POST_LOGIN_REDIRECT || `${process.env.CLIENT_URL || 'http://localhost:3000'}/login/sso`);
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  res.redirect(url.toString());
+};
+
+const createUniqueUsername = async (preferred) => {
+  const base = (preferred || 'user').replace(/[^a-zA-Z0-9_]/g, '_').slice(0, 24).padEnd(3, '_');
+  
+  let username = base;
+  for (let attempt = 0; await User.exists({ username }); attempt++) {
+    if (attempt >= 5) throw new Error('Could not find a free username');
+    username = `${base}_${crypto.randomInt(1000, 10000)}`;
+  }
+  
+  return username;
+};
+
+// Find the account linked to this identity, link an existing account with
+// the same verified email, or create a new one
+const findOrCreateOidcUser = async (claims) => {
+  const identity = { issuer: oidcClient.issuer, subject: claims.sub };
+  
+  const linked = await User.findOne({ 'oidc.issuer': identity.issuer, 'oidc.subject': identity.subject });
+  if (linked) return linked;
+  
+  if (!claims.email || claims.email_verified !== true) {
+    throw createSsoError(`Identity ${claims.sub} has no verified email`, 'email_not_verified');
+  }
+  
+  const email = claims.email.toLowerCase();
+  const existing = await User.findOne({ email });
+  
+  if (existing) {
+    if (existing.oidc?.subject) {
+      throw createSsoError(`Account ${email} is linked to another identity`, 'account_conflict');
     }
+    
+    existing.oidc = { ...identity, linkedAt: new Date() };
+    if (!existing.emailVerified) {
+      existing.emailVerified = true;
+      existing.emailVerifiedAt = new Date();
+    }
+    await existing.save();
+    
+    logger.info(`Linked ${email} to single sign-on identity ${identity.subject}`);
+    return existing;
+  }
+  
+  if (process.env.OIDC_ALLOW_SIGNUP === 'false') {
+    throw createSsoError(`No account for ${email} and sign-up is disabled`, 'signup_disabled');
+  }
+  
+  // SSO-only accounts get an unusable random password; a local one can be
+  // set later through the password reset flow
+  const user = await User.create({
+    username: await createUniqueUsername(claims.preferred_username || email.split('@')[0]),
+    email,
+    password: crypto.randomBytes(32).toString('hex'),
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    oidc: { ...identity, linkedAt: new Date() }
   });
-});
\ No newline at end of file
+  
+  logger.info(`New user registered through single sign-on: ${email}`);
+  return user;
+};
+
+export const oidcLogin = asyncHandler(async (req, res, next) => {
+  if (!oidcClient.isEnabled()) {
+    throw new AppError('Single sign-on is not configured', 404);
+  }
+  
+  const { url, state, nonce, codeVerifier } = await oidcClient.createAuthorizationRequest();
+  
+  // Kept in a signed cookie so any instance can finish the flow. SameSite=Lax
+  // lets it through on the provider's redirect back to us.
+  const transaction = jwt.sign(
+    { purpose: 'oidc', state, nonce, codeVerifier },
+    process.env.JWT_SECRET,
+    { expiresIn: OIDC_TRANSACTION_EXPIRE }
+  );
+  
+  res.cookie(OIDC_COOKIE, transaction, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: OIDC_COOKIE_PATH
+  });
+  
+  res.redirect(url);
+});
+
+export const oidcCallback = asyncHandler(async (req, res, next) => {
+  const { code, state, error, error_description: errorDescription } = req.query;
+  const cookie = req.cookies?.[OIDC_COOKIE];
+  
+  res.clearCookie(OIDC_COOKIE, { path: OIDC_COOKIE_PATH });
+  
+  if (error) {
+    logger.warn(`Single sign-on rejected by provider: ${error} ${errorDescription || ''}`);
+    return redirectToClient(res, { error: 'provider_error' });
+  }
+  
+  let transaction;
+  try {
+    transaction = jwt.verify(cookie, process.env.JWT_SECRET);
+  } catch {
+    transaction = null;
+  }
+  
+  if (!code || !state || transaction?.purpose !== 'oidc' || transaction.state !== state) {
+    logger.warn('Single sign-on callback with missing or mismatched state');
+    return redirectToClient(res, { error: 'invalid_state' });
+  }
+  
+  let user;
+  try {
+    const claims = await oidcClient.completeAuthorization({
+      code,
+      codeVerifier: transaction.codeVerifier,
+      nonce: transaction.nonce
+    });
+    user = await findOrCreateOidcUser(claims);
+  } catch (ssoError) {
+    logger.error(`Single sign-on failed: ${ssoError.message}`);
+    return redirectToClient(res, { error: ssoError.reason || 'sso_failed' });
+  }
+  
+  if (user.disabled) {
+    return redirectToClient(res, { error: 'account_disabled' });
+  }
+  
+  // Accounts with 2FA still have to present their code
+  if (user.twoFactorEnabled) {
+    res.cookie(CHALLENGE_COOKIE, await issueChallengeToken(user), {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict',
+      path: CHALLENGE_COOKIE_PATH,
+      maxAge: TWO_FACTOR_CHALLENGE_EXPIRE_HOURS * 60 * 60 * 1000
+    });
+    return redirectToClient(res, { twoFactorRequired: 'true' });
+  }
+  
+  const { refreshToken, refreshTokenExpiresAt } = await sessionService.create(user, getClientInfo(req));
+  await loginSecurity.recordSuccess(user, getClientInfo(req), 'oidc');
+  setRefreshCookie(res, refreshToken, refreshTokenExpiresAt);
+  
+  logger.info(`User logged in through single sign-on: ${user.email}`);
+  
+  redirectToClient(res, { status: 'success' });
+});
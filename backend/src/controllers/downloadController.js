@@ -1,67 +1,49 @@
 import { 
   downloadFile, 
   downloadMultipleFiles,
-  cleanupTempFiles 
+  cleanupTempFiles,
+  removePartialDownload
 } from '../utils/downloadUtils.js';
 import Download from '../models/Download.js';
+import jobQueue from '../services/jobQueue.js';
+import progressEvents from '../services/progressEvents.js';
+import fileLibrary from '../services/fileLibrary.js';
+import contentScanner from '../services/scanner/index.js';
+import quotaService from '../services/quotaService.js';
+import { SSE_POLL_INTERVAL } from '../config/constants.js';
 import { asyncHandler, AppError } from '../middlewares/errorMiddleware.js';
 import logger from '../utils/logger.js';
+import { createBatchArchive } from '../utils/archiveUtils.js';
+import { buildIntegrity } from '../utils/checksumUtils.js';
 import fs from 'fs/promises';
 import path from 'path';
+import mime from 'mime-types';
+import contentDisposition from 'content-disposition';
 
 export const downloadSingle = asyncHandler(async (req, res, next) => {
-  const { url, fileName, timeout } = req.body;
+  const { url, fileName, timeout, segmented = false, connections, checksum } = req.body;
   const userId = req.user._id;
   
-  // Create download record
-  const downloadRecord = await Download.create({
+  // Queue the download; a background worker fetches the file
+  const downloadRecord = await jobQueue.enqueue({
     user: userId,
-    fileUrl: url,
-    fileName: fileName || 'pending',
-    status: 'downloading'
-  });
-  
-  try {
-    // Download file
-    const result = await downloadFile(url, {
+    kind: 'file',
+    url,
+    fileName,
+    options: {
       timeout: timeout || 30000,
       customFileName: fileName,
-      userId
-    });
-    
-    // Update download record
-    downloadRecord.fileName = result.fileName;
-    downloadRecord.fileSize = result.fileSize;
-    downloadRecord.status = 'completed';
-    downloadRecord.completedAt = new Date();
-    await downloadRecord.save();
-    
-    logger.info(`File downloaded: ${result.fileName} by user ${userId}`);
-    
-    // Send file
-    res.download(result.filePath, result.fileName, async (err) => {
-      // Cleanup after sending
-      if (err) {
-        logger.error(`Error sending file: ${err.message}`);
-      }
-      
-      try {
-        await fs.unlink(result.filePath);
-      } catch (cleanupError) {
-        logger.error(`Failed to cleanup file: ${cleanupError.message}`);
-      }
-    });
-    
-  } catch (error) {
-    // Update download record with error
-    downloadRecord.status = 'failed';
-    downloadRecord.error = error.message;
-    await downloadRecord.save();
-    
-    logger.error(`Download failed: ${error.message} for user ${userId}`);
-    
-    throw new AppError(`Download failed: ${error.message}`, 400);
-  }
+      segmented,
+      connections,
+      checksum
+    }
+  });
+  
+  res.status(202).json({
+    success: true,
+    jobId: downloadRecord._id,
+    status: downloadRecord.status
+  });
 });
 
 export const downloadMultiple = asyncHandler(async (req, res, next) => {
@@ -75,12 +57,19 @@ export const downloadMultiple = asyncHandler(async (req, res, next) => {
   // Limit number of concurrent downloads
   const maxDownloads = Math.min(options?.maxConcurrent || 3, 5);
   
+  // Per-file size limit from the user's plan
+  const { maxFileSize } = await quotaService.getAllowance(req.user);
+  
+  // Optionally stream the files back as one ZIP while they arrive
+  const zip = options?.zip ? createBatchArchive(res, 'downloads.zip') : null;
+  
   // Create download records
   const downloadRecords = await Promise.all(
     urls.map(url => 
       Download.create({
         user: userId,
         fileUrl: url,
+        fileName: 'pending',
         status: 'pending'
       })
     )
@@ -100,27 +89,43 @@ export const downloadMultiple = asyncHandler(async (req, res, next) => {
         record.status = 'downloading';
         await record.save();
         
+        // Only pass on the options a batch may set
         const result = await downloadFile(url, {
-          ...options,
-          userId
+          timeout: options?.timeout || 30000,
+          userId,
+          maxSize: maxFileSize ?? Infinity
         });
         
+        record.integrity = await buildIntegrity(result);
+        await contentScanner.inspect(record, result);
+        
+        // Keep the file in the user's library for later retrieval
+        await fileLibrary.store(record, result);
+        
         record.fileName = result.fileName;
         record.fileSize = result.fileSize;
         record.status = 'completed';
         record.completedAt = new Date();
         await record.save();
         
+        const archiveName = zip ? zip.addFile(await fileLibrary.openStream(record), result.fileName) : undefined;
+        
         return {
           success: true,
           url,
+          id: record._id,
+          archiveName,
           fileName: result.fileName,
-          fileSize: result.fileSize
+          fileSize: result.fileSize,
+          sha256: record.integrity.sha256,
+          downloadUrl: `/api/v1/download/${record._id}/file`
         };
       } catch (error) {
-        record.status = 'failed';
+        record.status = error.blocked ? 'blocked' : 'failed';
         record.error = error.message;
-        await record.save();
+        await record.save().catch(saveError => {
+          logger.error(`Failed to save download state for ${record._id}: ${saveError.message}`);
+        });
         
         return {
           success: false,
@@ -136,6 +141,10 @@ export const downloadMultiple = asyncHandler(async (req, res, next) => {
   
   logger.info(`Batch download completed by user ${userId}: ${results.filter(r => r.success).length} successful`);
   
+  if (zip) {
+    return zip.finalize(results);
+  }
+  
   res.status(200).json({
     success: true,
     results,
@@ -171,7 +180,7 @@ export const getDownloadHistory = asyncHandler(async (req, res, next) => {
       .sort({ timestamp: -1 })
       .skip(skip)
       .limit(parseInt(limit))
-      .select('-__v'),
+      .select('-__v -storage.key -subtitles.key -job.options -resume.tempFileName'),
     Download.countDocuments(query)
   ]);
   
@@ -223,15 +232,224 @@ export const getDownloadStats = asyncHandler(async (req, res, next) => {
     { $sort: { _id: 1 } }
   ]);
   
+  const library = await fileLibrary.getUsage(userId);
+  
   res.status(200).json({
     success: true,
     stats: {
       totalDownloads,
       totalSize: totalSize[0]?.total || 0,
       statusBreakdown: stats,
-      last7Days
+      last7Days,
+      library
+    }
+  });
+});
+
+export const getDownloadStatus = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user._id;
+  
+  const download = await Download.findOne({ _id: id, user: userId }).select('-__v -storage.key -subtitles.key -job.options -resume.tempFileName');
+  
+  if (!download) {
+    throw new AppError('Download record not found', 404);
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: download
+  });
+});
+
+export const getDownloadFile = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user._id;
+  
+  const download = await Download.findOne({ _id: id, user: userId });
+  
+  if (!download) {
+    throw new AppError('Download record not found', 404);
+  }
+  
+  if (download.status !== 'completed') {
+    throw new AppError(`Download is ${download.status}`, 409);
+  }
+  
+  const fileStream = await fileLibrary.openStream(download);
+  
+  if (!fileStream) {
+    throw new AppError('Stored file has expired or was removed', 410);
+  }
+  
+  res.setHeader('Content-Type', mime.lookup(download.fileName) || 'application/octet-stream');
+  res.setHeader('Content-Disposition', contentDisposition(download.fileName));
+  if (download.storage.size) {
+    res.setHeader('Content-Length', download.storage.size);
+  }
+  
+  fileStream.on('error', (error) => {
+    logger.error(`Error sending stored file ${id}: ${error.message}`);
+    res.destroy(error);
+  });
+  
+  fileStream.pipe(res);
+});
+
+export const getDownloadSubtitle = asyncHandler(async (req, res, next) => {
+  const { id, language } = req.params;
+  const userId = req.user._id;
+  
+  const download = await Download.findOne({ _id: id, user: userId });
+  
+  if (!download) {
+    throw new AppError('Download record not found', 404);
+  }
+  
+  const subtitle = download.subtitles?.find(track => track.language === language);
+  
+  if (!subtitle) {
+    throw new AppError(`No ${language} subtitles stored for this download`, 404);
+  }
+  
+  const fileStream = await fileLibrary.openSubtitleStream(download, subtitle);
+  
+  if (!fileStream) {
+    throw new AppError('Stored file has expired or was removed', 410);
+  }
+  
+  const fileName = `${path.parse(download.fileName).name}.${subtitle.language}.${subtitle.format}`;
+  
+  res.setHeader('Content-Type', `${mime.lookup(fileName) || 'text/plain'}; charset=utf-8`);
+  res.setHeader('Content-Disposition', contentDisposition(fileName));
+  if (subtitle.size) {
+    res.setHeader('Content-Length', subtitle.size);
+  }
+  
+  fileStream.on('error', (error) => {
+    logger.error(`Error sending stored subtitles ${id}/${language}: ${error.message}`);
+    res.destroy(error);
+  });
+  
+  fileStream.pipe(res);
+});
+
+export const resumeDownload = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user._id;
+  
+  const download = await Download.findOne({ _id: id, user: userId });
+  
+  if (!download) {
+    throw new AppError('Download record not found', 404);
+  }
+  
+  if (!download.job?.kind) {
+    throw new AppError('Only queued downloads can be resumed', 400);
+  }
+  
+  if (download.status !== 'failed') {
+    throw new AppError(`Cannot resume a download that is ${download.status}`, 400);
+  }
+  
+  await jobQueue.retry(download);
+  
+  res.status(202).json({
+    success: true,
+    jobId: download._id,
+    status: download.status,
+    resumeFrom: download.resume?.resumable ? download.resume.bytesDownloaded : 0
+  });
+});
+
+export const streamDownloadEvents = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user._id;
+  
+  const download = await Download.findOne({ _id: id, user: userId });
+  
+  if (!download) {
+    throw new AppError('Download record not found', 404);
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  
+  let lastUpdate = download.progress?.updatedAt?.getTime() || 0;
+  let lastStatus = download.status;
+  let closed = false;
+  
+  const send = (type, data) => {
+    if (closed) return;
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    // Flush through the compression middleware
+    res.flush?.();
+  };
+  
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(pollTimer);
+    unsubscribe();
+    res.end();
+  };
+  
+  // Events from workers running in this process
+  const unsubscribe = progressEvents.subscribe(id, ({ type, data }) => {
+    lastUpdate = Date.now();
+    lastStatus = data.status;
+    send(type, data);
+    
+    if (progressEvents.isTerminal(data.status)) {
+      close();
     }
   });
+  
+  // Jobs running on another instance only report through the database
+  const pollTimer = setInterval(async () => {
+    try {
+      const current = await Download.findById(id);
+      
+      if (!current) {
+        send('status', { id, status: 'deleted' });
+        return close();
+      }
+      
+      const updatedAt = current.progress?.updatedAt?.getTime() || 0;
+      
+      if (current.status !== lastStatus) {
+        lastStatus = current.status;
+        lastUpdate = Math.max(lastUpdate, updatedAt);
+        send('status', progressEvents.buildEvent(current));
+      } else if (updatedAt > lastUpdate) {
+        lastUpdate = updatedAt;
+        send('progress', progressEvents.buildEvent(current));
+      } else {
+        res.write(': keep-alive\n\n');
+        res.flush?.();
+      }
+      
+      if (progressEvents.isTerminal(current.status)) {
+        close();
+      }
+    } catch (error) {
+      logger.error(`SSE poll failed for download ${id}: ${error.message}`);
+    }
+  }, SSE_POLL_INTERVAL);
+  
+  // The response, not the request, closes when the client disconnects
+  res.on('close', close);
+  
+  // Initial snapshot
+  send('status', progressEvents.buildEvent(download));
+  
+  if (progressEvents.isTerminal(download.status)) {
+    close();
+  }
 });
 
 export const deleteDownloadRecord = asyncHandler(async (req, res, next) => {
@@ -244,6 +462,10 @@ export const deleteDownloadRecord = asyncHandler(async (req, res, next) => {
     throw new AppError('Download record not found', 404);
   }
   
+  await fileLibrary.remove(download);
+  
+  await removePartialDownload(download.resume?.tempFileName);
+  
   await download.deleteOne();
   
   logger.info(`Download record deleted: ${id} by user ${userId}`);
@@ -0,0 +1,63 @@
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import sessionService from '../services/sessionService.js';
+import { asyncHandler, AppError } from '../middlewares/errorMiddleware.js';
+import logger from '../utils/logger.js';
+
+const formatSession = (session, currentId) => ({
+  id: session._id,
+  ip: session.ip,
+  userAgent: session.userAgent,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session._id.equals(currentId)
+});
+
+export const listSessions = asyncHandler(async (req, res, next) => {
+  const [sessions, user] = await Promise.all([
+    Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 }),
+    User.findById(req.user._id).select('loginHistory')
+  ]);
+  
+  res.status(200).json({
+    success: true,
+    sessions: sessions.map(session => formatSession(session, req.sessionId)),
+    recentLogins: [...user.loginHistory].reverse()
+  });
+});
+
+// Revoking the current session works like logging out
+export const revokeSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+  
+  if (!session || !session.isActive()) {
+    throw new AppError('Session not found', 404);
+  }
+  
+  await sessionService.revoke(session._id, 'revoked_by_user');
+  
+  logger.info(`Session ${session._id} revoked by ${req.user.email}`);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked',
+    current: session._id.equals(req.sessionId)
+  });
+});
+
+// Sign out every other device
+export const revokeOtherSessions = asyncHandler(async (req, res, next) => {
+  const revoked = await sessionService.revokeAll(req.user._id, 'revoked_by_user', { except: req.sessionId });
+  
+  logger.info(`${revoked} other sessions revoked by ${req.user.email}`);
+  
+  res.status(200).json({
+    success: true,
+    revoked
+  });
+});
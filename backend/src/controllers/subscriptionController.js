@@ -0,0 +1,146 @@
+import Subscription from '../models/Subscription.js';
+import Download from '../models/Download.js';
+import VideoDownloader from '../services/videoDownloader.js';
+import subscriptionRunner from '../services/subscriptionRunner.js';
+import { asyncHandler, AppError } from '../middlewares/errorMiddleware.js';
+import logger from '../utils/logger.js';
+import {
+  MAX_SUBSCRIPTIONS,
+  SUBSCRIPTION_DEFAULT_SCHEDULE,
+  SUBSCRIPTION_SCAN_LIMIT,
+  SUBSCRIPTION_ARCHIVE_SIZE
+} from '../config/constants.js';
+
+const UPDATABLE_FIELDS = ['schedule', 'timezone', 'enabled', 'quality', 'format', 'extractAudio'];
+
+const findOwnSubscription = async (req) => {
+  const subscription = await Subscription.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!subscription) {
+    throw new AppError('Subscription not found', 404);
+  }
+
+  return subscription;
+};
+
+export const listSubscriptions = asyncHandler(async (req, res, next) => {
+  const subscriptions = await Subscription.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    subscriptions
+  });
+});
+
+// Entries that are already in the channel or playlist are marked as seen,
+// so only uploads after subscribing are downloaded, unless includeExisting is set
+export const createSubscription = asyncHandler(async (req, res, next) => {
+  const {
+    url,
+    schedule = SUBSCRIPTION_DEFAULT_SCHEDULE,
+    timezone,
+    quality = 'best',
+    format = 'mp4',
+    extractAudio = false,
+    filters = {},
+    includeExisting = false
+  } = req.body;
+
+  const { isSocialMedia, platform } = VideoDownloader.isSocialMediaUrl(url);
+
+  if (!isSocialMedia) {
+    throw new AppError('URL is not from a supported social media platform', 400);
+  }
+
+  const count = await Subscription.countDocuments({ user: req.user._id });
+  if (count >= MAX_SUBSCRIPTIONS) {
+    throw new AppError(`You can have at most ${MAX_SUBSCRIPTIONS} subscriptions`, 400);
+  }
+
+  let playlist;
+  try {
+    playlist = await VideoDownloader.getPlaylistInfo(url, { limit: SUBSCRIPTION_SCAN_LIMIT });
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  const subscription = await Subscription.create({
+    user: req.user._id,
+    url: playlist.webpageUrl,
+    platform,
+    title: playlist.title,
+    schedule,
+    timezone,
+    quality,
+    format,
+    extractAudio,
+    filters: { titlePattern: filters.titlePattern, maxDuration: filters.maxDuration },
+    archive: includeExisting ? [] : playlist.entries.map(entry => entry.id).filter(Boolean).slice(-SUBSCRIPTION_ARCHIVE_SIZE)
+  });
+
+  subscriptionRunner.schedule(subscription);
+
+  logger.info(`Subscription created: ${subscription._id} (${playlist.title}) for user ${req.user._id}`);
+
+  res.status(201).json({
+    success: true,
+    subscription
+  });
+});
+
+export const getSubscription = asyncHandler(async (req, res, next) => {
+  const subscription = await findOwnSubscription(req);
+
+  const recentDownloads = await Download.find({ subscription: subscription._id })
+    .sort({ createdAt: -1 })
+    .limit(20)
+    .select('-__v -storage.key -subtitles.key -job.options -resume.tempFileName');
+
+  res.status(200).json({
+    success: true,
+    subscription,
+    recentDownloads
+  });
+});
+
+// Filters are replaced as a whole; pass null to clear one
+export const updateSubscription = asyncHandler(async (req, res, next) => {
+  const subscription = await findOwnSubscription(req);
+
+  for (const field of UPDATABLE_FIELDS) {
+    if (req.body[field] !== undefined) {
+      subscription[field] = req.body[field];
+    }
+  }
+
+  if (req.body.filters !== undefined) {
+    subscription.filters = {
+      titlePattern: req.body.filters?.titlePattern ?? undefined,
+      maxDuration: req.body.filters?.maxDuration ?? undefined
+    };
+  }
+
+  await subscription.save();
+
+  subscriptionRunner.schedule(subscription);
+
+  res.status(200).json({
+    success: true,
+    subscription
+  });
+});
+
+// Downloads already made by the subscription stay in the library
+export const deleteSubscription = asyncHandler(async (req, res, next) => {
+  const subscription = await findOwnSubscription(req);
+  await subscription.deleteOne();
+
+  subscriptionRunner.unschedule(subscription._id.toString());
+
+  logger.info(`Subscription deleted: ${subscription._id} for user ${req.user._id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Subscription deleted'
+  });
+});
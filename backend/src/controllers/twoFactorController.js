@@ -0,0 +1,137 @@
+import User from '../models/User.js';
+import { asyncHandler, AppError } from '../middlewares/errorMiddleware.js';
+import logger from '../utils/logger.js';
+import { hashToken } from '../utils/tokenUtils.js';
+import {
+  generateSecret,
+  verifyTOTP,
+  buildOtpauthUri,
+  generateBackupCodes,
+  normalizeBackupCode
+} from '../utils/totpUtils.js';
+import { TWO_FACTOR_BACKUP_CODES, TOTP_ISSUER } from '../config/constants.js';
+
+// Codes are shown once; only their hashes are kept
+const issueBackupCodes = (user) => {
+  const codes = generateBackupCodes(TWO_FACTOR_BACKUP_CODES);
+  user.twoFactor.backupCodes = codes.map(code => hashToken(normalizeBackupCode(code)));
+  return codes;
+};
+
+export const getTwoFactorStatus = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('+twoFactor');
+  
+  res.status(200).json({
+    success: true,
+    enabled: user.twoFactorEnabled,
+    enabledAt: user.twoFactor?.enabledAt,
+    backupCodesRemaining: user.twoFactorEnabled ? user.twoFactor.backupCodes.length : 0
+  });
+});
+
+// Step 1: create a secret for the authenticator app. 2FA stays off until
+// the first code is confirmed.
+export const setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('+twoFactor');
+  
+  if (user.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+  
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+  
+  res.status(200).json({
+    success: true,
+    secret,
+    otpauthUrl: buildOtpauthUri({
+      secret,
+      account: user.email,
+      issuer: process.env.TOTP_ISSUER || TOTP_ISSUER
+    })
+  });
+});
+
+// Step 2: prove the app is set up, then switch 2FA on
+export const confirmTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('+twoFactor');
+  const { pendingSecret } = user.twoFactor;
+  
+  if (user.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+  
+  if (!pendingSecret) {
+    throw new AppError('Start two-factor setup first', 400);
+  }
+  
+  const step = verifyTOTP(req.body.code, pendingSecret);
+  
+  if (step === null) {
+    throw new AppError('Invalid authentication code', 400);
+  }
+  
+  user.twoFactorEnabled = true;
+  user.twoFactor.secret = pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = new Date();
+  const backupCodes = issueBackupCodes(user);
+  await user.save();
+  
+  logger.info(`Two-factor authentication enabled: ${user.email}`);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled',
+    backupCodes
+  });
+});
+
+export const disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { password, code } = req.body;
+  const user = await User.findById(req.user._id).select('+password +twoFactor');
+  
+  if (!user.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+  
+  if (!(await user.comparePassword(password)) || !user.verifySecondFactor(code)) {
+    throw new AppError('Invalid password or authentication code', 401);
+  }
+  
+  user.twoFactorEnabled = false;
+  user.twoFactor = {};
+  await user.save();
+  
+  logger.info(`Two-factor authentication disabled: ${user.email}`);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// Replaces every existing backup code
+export const regenerateBackupCodes = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('+twoFactor');
+  
+  if (!user.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+  
+  if (user.verifySecondFactor(req.body.code) !== 'totp') {
+    throw new AppError('Invalid authentication code', 401);
+  }
+  
+  const backupCodes = issueBackupCodes(user);
+  await user.save();
+  
+  logger.info(`Backup codes regenerated: ${user.email}`);
+  
+  res.status(200).json({
+    success: true,
+    backupCodes
+  });
+});
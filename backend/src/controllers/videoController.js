@@ -1,7 +1,17 @@
 import VideoDownloader from '../services/videoDownloader.js';
 import Download from '../models/Download.js';
+import jobQueue from '../services/jobQueue.js';
+import fileLibrary from '../services/fileLibrary.js';
+import contentScanner from '../services/scanner/index.js';
+import quotaService from '../services/quotaService.js';
+import transcoder from '../services/transcoder.js';
+import { getVideoLimits } from '../services/downloadJobs.js';
 import { asyncHandler, AppError } from '../middlewares/errorMiddleware.js';
 import logger from '../utils/logger.js';
+import { createBatchArchive } from '../utils/archiveUtils.js';
+import { buildIntegrity } from '../utils/checksumUtils.js';
+import { parseItemSelection } from '../utils/playlistUtils.js';
+import { MAX_PLAYLIST_ENTRIES, MAX_PLAYLIST_DOWNLOADS } from '../config/constants.js';
 import fs from 'fs/promises';
 import path from 'path';
 import mime from 'mime-types';
@@ -53,105 +63,54 @@ export const checkVideoUrl = asyncHandler(async (req, res, next) => {
 });
 
 export const downloadVideo = asyncHandler(async (req, res, next) => {
-  const { url, quality = 'best', format = 'mp4', fileName, extractAudio = false } = req.body;
+  const { url, quality = 'best', format = 'mp4', fileName, extractAudio = false, start, end, clipMode = 'accurate', transcode } = req.body;
   const userId = req.user._id;
   
   if (!url) {
     throw new AppError('URL is required', 400);
   }
   
-  const { isSocialMedia } = VideoDownloader.isSocialMediaUrl(url);
+  const { isSocialMedia, platform } = VideoDownloader.isSocialMediaUrl(url);
   
   if (!isSocialMedia) {
     throw new AppError('URL is not from a supported social media platform', 400);
   }
   
-  // Create download record
-  const downloadRecord = await Download.create({
-    user: userId,
-    fileUrl: url,
-    fileName: fileName || 'pending_video',
-    status: 'downloading',
-    metadata: { type: 'video', platform: VideoDownloader.isSocialMediaUrl(url).platform }
-  });
+  // Subtitle tracks are embedded into the video or stored as separate files
+  const subtitles = req.body.subtitles ? {
+    languages: req.body.subtitles.languages || ['en'],
+    mode: req.body.subtitles.mode || 'separate',
+    format: req.body.subtitles.format || 'srt',
+    automatic: req.body.subtitles.automatic || false
+  } : undefined;
+  
+  // Only a time range is downloaded; the worker resolves it against the video's length
+  const clip = start !== undefined || end !== undefined ? { start, end, mode: clipMode } : undefined;
   
+  // Refuse presets and codecs the output container cannot hold before queuing
+  let settings;
   try {
-    let result;
-    
-    if (extractAudio) {
-      // Download video first, then extract audio
-      const videoResult = await VideoDownloader.downloadVideo(url, { quality, format });
-      result = await VideoDownloader.extractAudio(videoResult.filePath, format);
-      
-      // Clean up video file
-      await fs.unlink(videoResult.filePath).catch(() => {});
-    } else {
-      // Download video directly
-      result = await VideoDownloader.downloadVideo(url, { 
-        quality, 
-        format, 
-        fileName 
-      });
-    }
-    
-    // Update download record
-    downloadRecord.fileName = result.fileName;
-    downloadRecord.fileSize = result.fileSize;
-    downloadRecord.status = 'completed';
-    downloadRecord.completedAt = new Date();
-    downloadRecord.metadata = {
-      ...downloadRecord.metadata,
-      duration: result.duration,
-      thumbnail: result.thumbnail,
-      quality,
-      format
-    };
-    await downloadRecord.save();
-    
-    logger.info(`Video downloaded: ${result.fileName} by user ${userId}`);
-    
-    // Set proper headers
-    const mimeType = mime.lookup(result.fileName) || 'application/octet-stream';
-    const disposition = contentDisposition(result.fileName);
-    
-    res.setHeader('Content-Type', mimeType);
-    res.setHeader('Content-Disposition', disposition);
-    res.setHeader('Content-Length', result.fileSize);
-    
-    // Stream file
-    const fileStream = fs.createReadStream(result.filePath);
-    
-    fileStream.pipe(res);
-    
-    // Cleanup after streaming
-    fileStream.on('end', async () => {
-      try {
-        await fs.unlink(result.filePath);
-        logger.info(`Cleaned up video file: ${result.fileName}`);
-      } catch (cleanupError) {
-        logger.error(`Failed to cleanup file: ${cleanupError.message}`);
-      }
-    });
-    
-    fileStream.on('error', async (error) => {
-      logger.error(`Stream error: ${error.message}`);
-      try {
-        await fs.unlink(result.filePath);
-      } catch (cleanupError) {
-        logger.error(`Failed to cleanup on stream error: ${cleanupError.message}`);
-      }
-    });
-    
+    settings = transcoder.resolveSettings({ ...transcode, format, audioOnly: extractAudio });
   } catch (error) {
-    // Update download record with error
-    downloadRecord.status = 'failed';
-    downloadRecord.error = error.message;
-    await downloadRecord.save();
-    
-    logger.error(`Video download failed: ${error.message} for user ${userId}`);
-    
-    throw new AppError(`Video download failed: ${error.message}`, 400);
+    throw new AppError(error.message, 400);
   }
+  
+  // Queue the download; a background worker fetches the video
+  const downloadRecord = await jobQueue.enqueue({
+    user: userId,
+    kind: 'video',
+    url,
+    fileName: fileName || 'pending_video',
+    type: settings.audioOnly ? 'audio' : 'video',
+    metadata: { platform, quality, format: settings.format },
+    options: { quality, format, fileName, extractAudio, subtitles, clip, transcode }
+  });
+  
+  res.status(202).json({
+    success: true,
+    jobId: downloadRecord._id,
+    status: downloadRecord.status
+  });
 });
 
 export const batchDownloadVideos = asyncHandler(async (req, res, next) => {
@@ -175,21 +134,28 @@ export const batchDownloadVideos = asyncHandler(async (req, res, next) => {
     throw new AppError('No valid social media URLs found', 400);
   }
   
+  // Plan limits, looked up before any record exists that could be left pending
+  const allowance = await quotaService.getAllowance(req.user);
+  
   // Create download records
   const downloadRecords = await Promise.all(
     socialMediaUrls.map(url => 
       Download.create({
         user: userId,
         fileUrl: url,
+        fileName: 'pending_video',
         status: 'pending',
+        type: 'video',
         metadata: { 
-          type: 'video', 
           platform: VideoDownloader.isSocialMediaUrl(url).platform 
         }
       })
     )
   );
   
+  // Optionally stream the videos back as one ZIP while they arrive
+  const zip = options.zip ? createBatchArchive(res, 'videos.zip') : null;
+  
   const results = [];
   
   for (let i = 0; i < socialMediaUrls.length; i++) {
@@ -200,7 +166,18 @@ export const batchDownloadVideos = asyncHandler(async (req, res, next) => {
       record.status = 'downloading';
       await record.save();
       
-      const result = await VideoDownloader.downloadVideo(url, options);
+      // Only the validated options reach the downloader
+      const result = await VideoDownloader.downloadVideo(url, {
+        quality: options.quality,
+        format: options.format,
+        ...(await getVideoLimits(url, allowance))
+      });
+      
+      record.integrity = await buildIntegrity(result);
+      await contentScanner.inspect(record, result);
+      
+      // Keep the video in the user's library for later retrieval
+      await fileLibrary.store(record, result);
       
       record.fileName = result.fileName;
       record.fileSize = result.fileSize;
@@ -215,21 +192,25 @@ export const batchDownloadVideos = asyncHandler(async (req, res, next) => {
       };
       await record.save();
       
-      // Cleanup file after record is saved
-      await fs.unlink(result.filePath).catch(() => {});
+      const archiveName = zip ? zip.addFile(await fileLibrary.openStream(record), result.fileName) : undefined;
       
       results.push({
         success: true,
         url,
+        id: record._id,
+        archiveName,
         fileName: result.fileName,
         fileSize: result.fileSize,
-        duration: result.duration
+        duration: result.duration,
+        downloadUrl: `/api/v1/download/${record._id}/file`
       });
       
     } catch (error) {
-      record.status = 'failed';
+      record.status = error.blocked ? 'blocked' : 'failed';
       record.error = error.message;
-      await record.save();
+      await record.save().catch(saveError => {
+        logger.error(`Failed to save download state for ${record._id}: ${saveError.message}`);
+      });
       
       results.push({
         success: false,
@@ -241,6 +222,15 @@ export const batchDownloadVideos = asyncHandler(async (req, res, next) => {
   
   logger.info(`Batch video download completed by user ${userId}: ${results.filter(r => r.success).length} successful`);
   
+  if (zip) {
+    // URLs that were not recognised as videos are listed as failed in the manifest
+    const skipped = urls
+      .filter(url => !socialMediaUrls.includes(url))
+      .map(url => ({ success: false, url, error: 'URL is not from a supported social media platform' }));
+    
+    return zip.finalize([...results, ...skipped]);
+  }
+  
   res.status(200).json({
     success: true,
     results,
@@ -282,4 +272,188 @@ export const getVideoFormats = asyncHandler(async (req, res, next) => {
   } catch (error) {
     throw new AppError(`Could not fetch available formats: ${error.message}`, 400);
   }
-});
\ No newline at end of file
+});
+
+export const getVideoSubtitles = asyncHandler(async (req, res, next) => {
+  const { url } = req.query;
+  
+  if (!url) {
+    throw new AppError('URL is required', 400);
+  }
+  
+  const { isSocialMedia, platform } = VideoDownloader.isSocialMediaUrl(url);
+  
+  if (!isSocialMedia) {
+    throw new AppError('URL is not from a supported social media platform', 400);
+  }
+  
+  try {
+    const { title, duration, subtitles, automaticCaptions } = await VideoDownloader.getSubtitles(url);
+    
+    res.status(200).json({
+      success: true,
+      platform,
+      title,
+      duration,
+      subtitles,
+      automaticCaptions
+    });
+    
+  } catch (error) {
+    throw new AppError(`Could not fetch subtitles: ${error.message}`, 400);
+  }
+});
+
+// Playlists, channels and profiles
+
+const expandOrFail = async (url, limit) => {
+  const { isSocialMedia, platform } = VideoDownloader.isSocialMediaUrl(url);
+  
+  if (!isSocialMedia) {
+    throw new AppError('URL is not from a supported social media platform', 400);
+  }
+  
+  try {
+    return { platform, playlist: await VideoDownloader.getPlaylistInfo(url, { limit }) };
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+};
+
+export const expandPlaylist = asyncHandler(async (req, res, next) => {
+  const { url, limit = MAX_PLAYLIST_ENTRIES } = req.body;
+  
+  const { platform, playlist } = await expandOrFail(url, limit);
+  
+  res.status(200).json({
+    success: true,
+    platform,
+    playlist: {
+      id: playlist.id,
+      title: playlist.title,
+      uploader: playlist.uploader,
+      url: playlist.webpageUrl,
+      entryCount: playlist.entryCount,
+      truncated: playlist.entries.length < playlist.entryCount
+    },
+    entries: playlist.entries
+  });
+});
+
+// Queue the selected items. The playlist is resolved again here so only
+// entries that really belong to it can be queued.
+export const downloadPlaylist = asyncHandler(async (req, res, next) => {
+  const { url, items, quality = 'best', format = 'mp4', extractAudio = false } = req.body;
+  const userId = req.user._id;
+  
+  const { platform, playlist } = await expandOrFail(url, MAX_PLAYLIST_ENTRIES);
+  
+  if (playlist.entries.length === 0) {
+    throw new AppError('Playlist has no downloadable entries', 400);
+  }
+  
+  let positions;
+  try {
+    positions = parseItemSelection(items, playlist.entries.length);
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+  
+  if (positions.length > MAX_PLAYLIST_DOWNLOADS) {
+    throw new AppError(`Maximum ${MAX_PLAYLIST_DOWNLOADS} items per request, select a smaller range`, 400);
+  }
+  
+  // Every item is a queued job, so the whole selection counts against the concurrent job limit
+  await quotaService.assertCanStart(req.user, { count: positions.length, queued: true });
+  
+  const playlistInfo = { id: playlist.id, title: playlist.title, uploader: playlist.uploader };
+  
+  const parent = await Download.create({
+    user: userId,
+    fileUrl: playlist.webpageUrl,
+    fileName: playlist.title,
+    status: 'pending',
+    type: 'playlist',
+    metadata: { platform, quality, format },
+    playlist: { ...playlistInfo, itemCount: positions.length }
+  });
+  
+  const queued = [];
+  
+  for (const position of positions) {
+    const entry = playlist.entries[position - 1];
+    
+    const record = await jobQueue.enqueue({
+      user: userId,
+      kind: 'video',
+      url: entry.url,
+      fileName: 'pending_video',
+      type: extractAudio ? 'audio' : 'video',
+      metadata: { platform, quality, format, duration: entry.duration, thumbnail: entry.thumbnail },
+      options: { quality, format, extractAudio },
+      parent: parent._id,
+      playlist: { ...playlistInfo, index: entry.index }
+    });
+    
+    queued.push({ jobId: record._id, index: entry.index, title: entry.title, url: entry.url });
+  }
+  
+  logger.info(`Playlist queued by user ${userId}: ${playlist.title} (${queued.length} items)`);
+  
+  res.status(202).json({
+    success: true,
+    playlistId: parent._id,
+    status: parent.status,
+    items: queued
+  });
+});
+
+export const getPlaylist = asyncHandler(async (req, res, next) => {
+  const parent = await Download.findOne({ _id: req.params.id, user: req.user._id, type: 'playlist' })
+    .select('-__v -job -resume');
+  
+  if (!parent) {
+    throw new AppError('Playlist not found', 404);
+  }
+  
+  const items = await Download.find({ parent: parent._id })
+    .sort({ 'playlist.index': 1 })
+    .select('-__v -storage.key -subtitles.key -job.options -resume.tempFileName');
+  
+  const summary = {};
+  for (const item of items) {
+    summary[item.status] = (summary[item.status] || 0) + 1;
+  }
+  
+  res.status(200).json({
+    success: true,
+    playlist: parent,
+    summary: {
+      total: items.length,
+      ...summary,
+      totalSize: items.reduce((sum, item) => sum + (item.fileSize || 0), 0)
+    },
+    items
+  });
+});
+
+export const cancelPlaylist = asyncHandler(async (req, res, next) => {
+  const parent = await Download.findOne({ _id: req.params.id, user: req.user._id, type: 'playlist' });
+  
+  if (!parent) {
+    throw new AppError('Playlist not found', 404);
+  }
+  
+  if (!['pending', 'downloading'].includes(parent.status)) {
+    throw new AppError(`Cannot cancel a playlist that is ${parent.status}`, 400);
+  }
+  
+  const cancelled = await jobQueue.cancelPlaylist(parent, 'Cancelled by user');
+  
+  res.status(200).json({
+    success: true,
+    playlistId: parent._id,
+    status: parent.status,
+    cancelledItems: cancelled
+  });
+});
@@ -1,12 +1,55 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Download from '../models/Download.js';
+import ApiKey from '../models/ApiKey.js';
+import sessionService from '../services/sessionService.js';
 import logger from '../utils/logger.js';
+import { isApiKey, hashToken } from '../utils/tokenUtils.js';
+import { UNVERIFIED_DAILY_DOWNLOADS } from '../config/constants.js';
 
+// Only record usage once a minute to avoid a write on every request
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+  
+  if (!apiKey || apiKey.isExpired()) {
+    return res.status(401).json({
+      success: false,
+      message: apiKey ? 'API key expired' : 'Invalid API key'
+    });
+  }
+  
+  const user = await User.findById(apiKey.user).select('-password');
+  
+  if (!user || user.disabled) {
+    return res.status(401).json({
+      success: false,
+      message: user ? 'Account disabled' : 'User not found'
+    });
+  }
+  
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION) {
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+    ).catch(error => logger.warn(`Failed to record API key usage: ${error.message}`));
+  }
+  
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
+
+// Accepts a session JWT (bearer header or cookie) or a personal API key
+// (X-API-Key header or bearer header)
 export const protect = async (req, res, next) => {
   try {
     let token;
     
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    if (req.headers['x-api-key']) {
+      token = req.headers['x-api-key'];
+    } else if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
       token = req.headers.authorization.split(' ')[1];
     } else if (req.cookies?.token) {
       token = req.cookies.token;
@@ -19,18 +62,32 @@ export const protect = async (req, res, next) => {
       });
     }
     
+    if (isApiKey(token)) {
+      return await authenticateApiKey(req, res, next, token);
+    }
+    
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Tokens from a revoked or expired session are rejected even if the
+    // JWT itself has not expired yet
+    if (!(await sessionService.isActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session revoked, please log in again'
+      });
+    }
+    
     const user = await User.findById(decoded.id).select('-password');
     
-    if (!user) {
+    if (!user || user.disabled) {
       return res.status(401).json({
         success: false,
-        message: 'User not found'
+        message: user ? 'Account disabled' : 'User not found'
       });
     }
     
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     logger.error(`Auth middleware error: ${error.message}`);
@@ -74,4 +131,64 @@ export const authorize = (...roles) => {
     
     next();
   };
-};
\ No newline at end of file
+};
+
+// API keys only reach routes covered by their scopes; logged-in users
+// are not restricted
+export const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.hasScope(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is missing the ${scope} scope`
+      });
+    }
+    
+    next();
+  };
+};
+
+// Account and security settings cannot be changed with an API key
+export const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: 'This route requires a logged-in session'
+    });
+  }
+  
+  next();
+};
+
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to use this feature'
+    });
+  }
+  
+  next();
+};
+
+// Accounts without a confirmed email address get a small daily allowance
+export const limitUnverified = async (req, res, next) => {
+  if (req.user?.emailVerified) return next();
+  
+  try {
+    const limit = parseInt(process.env.UNVERIFIED_DAILY_DOWNLOADS) || UNVERIFIED_DAILY_DOWNLOADS;
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const count = await Download.countDocuments({ user: req.user._id, createdAt: { $gte: since } });
+    
+    if (count >= limit) {
+      return res.status(403).json({
+        success: false,
+        message: `Unverified accounts are limited to ${limit} downloads per day, please verify your email address`
+      });
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,21 @@
+import { asyncHandler, AppError } from './errorMiddleware.js';
+import quotaService from '../services/quotaService.js';
+import { VIDEO_QUALITIES } from '../config/constants.js';
+
+// Check the user's plan before a download request creates any records.
+// Batch routes count every URL; queued routes also respect the concurrent job limit.
+export const enforceQuota = ({ queued = false } = {}) => asyncHandler(async (req, res, next) => {
+  const count = Array.isArray(req.body?.urls) ? req.body.urls.length : 1;
+  
+  await quotaService.assertCanStart(req.user, { count, queued });
+  
+  // An explicit resolution above the plan is refused; "best" is capped by the worker
+  const quality = req.body?.quality || req.body?.options?.quality;
+  const { limits } = quotaService.getLimits(req.user);
+  
+  if (limits.maxVideoResolution !== null && VIDEO_QUALITIES[quality] > limits.maxVideoResolution) {
+    throw new AppError(`Your plan allows videos up to ${limits.maxVideoResolution}p`, 403);
+  }
+  
+  next();
+});
@@ -1,43 +1,122 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
+import ApiKey from '../models/ApiKey.js';
+import MongoRateLimitStore from '../utils/mongoRateLimitStore.js';
+import logger from '../utils/logger.js';
+import { isApiKey, hashToken } from '../utils/tokenUtils.js';
+import { RATE_LIMITS } from '../config/constants.js';
 
-// Auth limiter
-export const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 10, // Limit each IP to 10 requests per windowMs
-  message: {
-    success: false,
-    message: 'Too many login attempts, please try again after 15 minutes'
-  },
-  skipSuccessfulRequests: true
+// mongo (default) shares counters between instances; memory is per process
+const STORE = (process.env.RATE_LIMIT_STORE || 'mongo').toLowerCase();
+
+const readLimit = (name) => {
+  const defaults = RATE_LIMITS[name];
+  const env = (suffix) => parseInt(process.env[`RATE_LIMIT_${name.toUpperCase()}_${suffix}`]);
+
+  return {
+    windowMs: env('WINDOW_MS') > 0 ? env('WINDOW_MS') : defaults.windowMs,
+    max: env('MAX') >= 0 ? env('MAX') : defaults.max
+  };
+};
+
+// Callers already authenticated by `protect`
+const authenticatedKey = (req) => {
+  if (req.apiKey) return `key:${req.apiKey._id}`;
+  if (req.user) return `user:${req.user._id}`;
+  return null;
+};
+
+const ipKey = (req) => `ip:${ipKeyGenerator(req.ip)}`;
+
+// Login and mail routes count unauthenticated callers by IP. A token sent
+// there has not been checked against its session, so it must not buy an
+// extra budget.
+const preAuthKey = (req) => authenticatedKey(req) || ipKey(req);
+
+// Identify the client by API key or user rather than IP, so users behind a
+// shared address do not share a limit. Routes mounted after `protect` already
+// know the caller; earlier limiters verify the credential themselves and
+// fall back to the IP when it is missing or invalid.
+const clientKey = async (req) => {
+  const authenticated = authenticatedKey(req);
+  if (authenticated) return authenticated;
+
+  let token = req.headers['x-api-key'];
+  if (!token && req.headers.authorization?.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  } else if (!token) {
+    token = req.cookies?.token;
+  }
+
+  if (token) {
+    try {
+      if (isApiKey(token)) {
+        // Skip the lookup rather than wait on a disconnected database
+        const apiKey = mongoose.connection.readyState === 1
+          ? await ApiKey.findOne({ keyHash: hashToken(token) }).select('_id')
+          : null;
+        if (apiKey) return `key:${apiKey._id}`;
+      } else {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.id) return `user:${decoded.id}`;
+      }
+    } catch (error) {
+      // Invalid credentials are limited by IP; protect rejects them later
+    }
+  }
+
+  return ipKey(req);
+};
+
+const createLimiter = (name, { message, ...options }) => {
+  const { windowMs, max } = readLimit(name);
+
+  return rateLimit({
+    windowMs,
+    limit: max,
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    keyGenerator: clientKey,
+    store: STORE === 'memory' ? undefined : new MongoRateLimitStore({ prefix: `rl:${name}:` }),
+    // A database outage should not take the whole API down with it
+    passOnStoreError: true,
+    message: {
+      success: false,
+      message
+    },
+    handler: (req, res, next, options) => {
+      logger.warn(`Rate limit "${name}" exceeded by ${req.rateLimit.key} on ${req.originalUrl}`);
+      res.status(options.statusCode).json(options.message);
+    },
+    ...options
+  });
+};
+
+// Auth limiter (failed attempts only)
+export const authLimiter = createLimiter('auth', {
+  message: 'Too many login attempts, please try again later',
+  skipSuccessfulRequests: true,
+  keyGenerator: preAuthKey
+});
+
+// Limiter for routes that send email
+export const mailLimiter = createLimiter('mail', {
+  message: 'Too many email requests, please try again later',
+  keyGenerator: preAuthKey
 });
 
 // Download limiter
-export const downloadLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 50, // Limit each IP to 50 downloads per hour
-  message: {
-    success: false,
-    message: 'Too many download requests, please try again later'
-  }
+export const downloadLimiter = createLimiter('download', {
+  message: 'Too many download requests, please try again later'
 });
 
 // Video limiter
-export const videoLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 20, // Limit each user to 20 video downloads per hour
-  keyGenerator: (req) => req.user?._id || ipKeyGenerator(req), // ✅ Fix for IPv6
-  message: {
-    success: false,
-    message: 'Too many video download requests, please try again later'
-  }
+export const videoLimiter = createLimiter('video', {
+  message: 'Too many video download requests, please try again later'
 });
 
 // General API limiter
-export const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per windowMs
-  message: {
-    success: false,
-    message: 'Too many requests, please try again later'
-  }
+export const apiLimiter = createLimiter('api', {
+  message: 'Too many requests, please try again later'
 });
@@ -0,0 +1,21 @@
+import { asyncHandler, AppError } from './errorMiddleware.js';
+import { assertUrlResolvesPublic } from '../utils/ssrfGuard.js';
+
+// Reject requests whose url/urls point at private, loopback or metadata addresses
+export const blockPrivateUrls = asyncHandler(async (req, res, next) => {
+  const urls = [
+    req.body?.url,
+    req.query?.url,
+    ...(Array.isArray(req.body?.urls) ? req.body.urls : [])
+  ].filter(url => typeof url === 'string' && url);
+  
+  for (const url of urls) {
+    try {
+      await assertUrlResolvesPublic(url);
+    } catch (error) {
+      throw new AppError(error.code === 'ESSRF' ? error.message : `Cannot resolve URL: ${url}`, 400);
+    }
+  }
+  
+  next();
+});
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import { API_KEY_SCOPES } from '../config/constants.js';
+
+const apiKeySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true },
+  // First characters of the key, shown in listings so users can tell keys apart
+  prefix: { type: String, required: true },
+  // SHA-256 of the full key; the key itself is only returned on creation
+  keyHash: { type: String, required: true, unique: true, select: false },
+  scopes: [{ type: String, enum: API_KEY_SCOPES }],
+  expiresAt: { type: Date },
+  lastUsedAt: { type: Date },
+  lastUsedIp: { type: String }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+apiKeySchema.methods.isExpired = function() {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+};
+
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+export default mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// Append-only record of actions taken through the admin console
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Kept as a copy so entries stay readable after the account is deleted
+  actorEmail: { type: String },
+  action: { type: String, required: true },
+  target: {
+    type: { type: String },
+    id: { type: mongoose.Schema.Types.ObjectId }
+  },
+  details: { type: mongoose.Schema.Types.Mixed },
+  ip: { type: String },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.id': 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { JOB_MAX_ATTEMPTS } from '../config/constants.js';
 
 const downloadSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -7,14 +8,31 @@ const downloadSchema = new mongoose.Schema({
   fileUrl: { type: String, required: true },
   status: { 
     type: String, 
-    enum: ['pending', 'downloading', 'completed', 'failed'],
+    enum: ['pending', 'downloading', 'completed', 'failed', 'blocked', 'cancelled'],
     default: 'pending'
   },
   type: {
     type: String,
-    enum: ['regular', 'video', 'audio'],
+    enum: ['regular', 'video', 'audio', 'playlist'],
     default: 'regular'
   },
+  // Items queued from a playlist point to the playlist's own record
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Download' },
+  // Set on downloads queued automatically by a subscription
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription' },
+  playlist: {
+    id: String,
+    title: String,
+    uploader: String,
+    index: Number,        // position of an item in the playlist
+    itemCount: Number     // items queued (playlist record only)
+  },
+  // Time range of a clip download, in seconds of the source video
+  clip: {
+    start: Number,
+    end: Number,
+    mode: { type: String, enum: ['accurate', 'fast'] }
+  },
   metadata: {
     platform: String,
     duration: Number,
@@ -24,6 +42,71 @@ const downloadSchema = new mongoose.Schema({
     resolution: String,
     codec: String
   },
+  // Hashes computed while downloading and the optional expected checksum
+  integrity: {
+    sha256: String,
+    sha1: String,
+    md5: String,
+    expected: {
+      algorithm: { type: String, enum: ['sha256', 'sha1', 'md5'] },
+      value: String
+    },
+    verified: { type: Boolean, default: false }
+  },
+  // Malware scan verdict
+  scan: {
+    status: { type: String, enum: ['clean', 'infected', 'error', 'skipped'] },
+    engine: String,
+    signature: String,
+    scannedAt: Date,
+    error: String,
+    quarantineFile: String
+  },
+  // Stored copy in the user's file library
+  storage: {
+    key: String,
+    size: Number,
+    storedAt: Date,
+    expiresAt: Date
+  },
+  // Subtitle files stored next to the video
+  subtitles: [{
+    _id: false,
+    language: String,
+    format: String,
+    automatic: Boolean,
+    key: String,
+    size: Number
+  }],
+  // Latest progress reported by the worker
+  progress: {
+    stage: { type: String, enum: ['download', 'transcode'] },
+    bytesReceived: Number,
+    totalBytes: Number,
+    speed: Number,
+    eta: Number,
+    percent: Number,
+    updatedAt: Date
+  },
+  // Partial file and validators for resuming an interrupted download
+  resume: {
+    tempFileName: String,
+    bytesDownloaded: Number,
+    totalBytes: Number,
+    etag: String,
+    lastModified: String,
+    resumable: { type: Boolean, default: false }
+  },
+  // Background job state (only set for records processed by the job queue)
+  job: {
+    kind: { type: String, enum: ['file', 'video'] },
+    options: { type: mongoose.Schema.Types.Mixed, default: {} },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: JOB_MAX_ATTEMPTS },
+    workerId: String,
+    startedAt: Date,
+    heartbeatAt: Date
+  },
   timestamp: { type: Date, default: Date.now },
   completedAt: { type: Date },
   error: { type: String }
@@ -35,5 +118,8 @@ const downloadSchema = new mongoose.Schema({
 downloadSchema.index({ user: 1, timestamp: -1 });
 downloadSchema.index({ status: 1 });
 downloadSchema.index({ type: 1 });
+downloadSchema.index({ 'job.kind': 1, status: 1, createdAt: 1 });
+downloadSchema.index({ 'storage.expiresAt': 1 });
+downloadSchema.index({ parent: 1, status: 1 }, { sparse: true });
 
-export default mongoose.model('Download', downloadSchema);
\ No newline at end of file
+export default mongoose.model('Download', downloadSchema);
@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// Hit counter for one rate limit window, shared by every backend instance.
+// The _id is the limiter prefix plus the client key.
+const rateLimitSchema = new mongoose.Schema({
+  _id: { type: String },
+  hits: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true }
+}, {
+  versionKey: false
+});
+
+// Finished windows are removed by MongoDB
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RateLimit', rateLimitSchema);
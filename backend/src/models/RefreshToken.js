@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// Refresh tokens are stored as SHA-256 hashes, never in plain text
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  session: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, required: true },
+  // Set once the token has been exchanged; presenting it again means it leaked
+  usedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+refreshTokenSchema.index({ session: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// One login session; its refresh tokens form a rotation family
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, required: true },
+  lastUsedAt: { type: Date, default: Date.now },
+  revokedAt: { type: Date },
+  revokedReason: { type: String },
+  ip: { type: String },
+  userAgent: { type: String }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.model('Session', sessionSchema);
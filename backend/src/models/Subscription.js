@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import { VIDEO_QUALITIES, SUBSCRIPTION_DEFAULT_SCHEDULE } from '../config/constants.js';
+
+// A channel or playlist checked on a schedule; new uploads are queued as
+// downloads into the owner's library
+const subscriptionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  url: { type: String, required: true },
+  platform: { type: String },
+  title: { type: String },
+  // Cron expression (minute hour day month weekday)
+  schedule: { type: String, default: SUBSCRIPTION_DEFAULT_SCHEDULE },
+  timezone: { type: String },
+  enabled: { type: Boolean, default: true },
+  quality: { type: String, enum: [...Object.keys(VIDEO_QUALITIES), 'best', 'lowest', 'audio'], default: 'best' },
+  format: { type: String, default: 'mp4' },
+  extractAudio: { type: Boolean, default: false },
+  filters: {
+    titlePattern: { type: String },       // case-insensitive glob: * any text, ? one character
+    maxDuration: { type: Number }         // seconds
+  },
+  // Ids of every entry already handled (downloaded or filtered out)
+  archive: { type: [String], select: false, default: [] },
+  lastRunAt: { type: Date },
+  lastCheckedAt: { type: Date },
+  lastQueuedCount: { type: Number, default: 0 },
+  totalQueued: { type: Number, default: 0 },
+  lastError: { type: String }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ user: 1, createdAt: -1 });
+subscriptionSchema.index({ enabled: 1 });
+
+// Is the glob found anywhere in the title? User patterns never become a
+// RegExp: this walk takes at most title length x pattern length steps, so
+// no pattern can stall the scheduler.
+const matchesTitle = (title, pattern) => {
+  const text = title.toLowerCase();
+  const glob = `*${pattern.toLowerCase()}*`;
+  let t = 0;
+  let g = 0;
+  let star = -1;
+  let resumeAt = 0;
+
+  while (t < text.length) {
+    if (glob[g] === '?' || (glob[g] !== '*' && glob[g] === text[t])) {
+      t++;
+      g++;
+    } else if (glob[g] === '*') {
+      // Try matching nothing first; widen the star on a later mismatch
+      star = g++;
+      resumeAt = t;
+    } else if (star !== -1) {
+      g = star + 1;
+      t = ++resumeAt;
+    } else {
+      return false;
+    }
+  }
+
+  while (glob[g] === '*') g++;
+  return g === glob.length;
+};
+
+// Does the entry pass the subscription's filters? Unknown durations pass;
+// the plan's duration limit is still enforced by the download job.
+subscriptionSchema.methods.matches = function(entry) {
+  const { titlePattern, maxDuration } = this.filters || {};
+
+  if (titlePattern && !matchesTitle(entry.title || '', titlePattern)) {
+    return false;
+  }
+
+  if (maxDuration && entry.duration && entry.duration > maxDuration) {
+    return false;
+  }
+
+  return true;
+};
+
+export default mongoose.model('Subscription', subscriptionSchema);
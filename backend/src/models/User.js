@@ -1,16 +1,95 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { generateActionToken, hashToken } from '../utils/tokenUtils.js';
+import { verifyTOTP, normalizeBackupCode } from '../utils/totpUtils.js';
+import { PLANS, DEFAULT_PLAN } from '../config/constants.js';
+
+const actionTokenSchema = new mongoose.Schema({
+  jtiHash: { type: String },
+  expiresAt: { type: Date }
+}, { _id: false });
+
+const loginEntrySchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  ip: { type: String },
+  userAgent: { type: String },
+  method: { type: String, enum: ['signup', 'password', 'twoFactor', 'oidc'] }
+}, { _id: false });
+
+const knownDeviceSchema = new mongoose.Schema({
+  userAgent: { type: String },
+  firstSeenAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, default: 'user' },
+  role: { type: String, enum: ['user', 'admin'], default: 'user' },
+  plan: { type: String, enum: Object.keys(PLANS), default: DEFAULT_PLAN },
+  // Per-user exceptions to the plan limits; unset fields use the plan value
+  quotaOverrides: {
+    dailyBytes: { type: Number },
+    monthlyBytes: { type: Number },
+    dailyDownloads: { type: Number },
+    monthlyDownloads: { type: Number },
+    maxFileSize: { type: Number },
+    maxVideoDuration: { type: Number },
+    maxVideoResolution: { type: Number },
+    concurrentJobs: { type: Number }
+  },
+  // Disabled accounts cannot log in and their sessions and API keys stop working
+  disabled: { type: Boolean, default: false },
+  disabledAt: { type: Date },
+  disabledReason: { type: String },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date },
+  // Outstanding one-time tokens, keyed by purpose
+  actionTokens: {
+    type: new mongoose.Schema({
+      verifyEmail: actionTokenSchema,
+      resetPassword: actionTokenSchema,
+      // Login waiting for the second factor
+      twoFactor: actionTokenSchema
+    }, { _id: false }),
+    select: false,
+    default: {}
+  },
+  twoFactorEnabled: { type: Boolean, default: false },
+  // TOTP secrets and hashed backup codes, never returned by default
+  twoFactor: {
+    type: new mongoose.Schema({
+      secret: { type: String },
+      pendingSecret: { type: String },
+      backupCodes: [{ type: String }],
+      lastUsedStep: { type: Number },
+      enabledAt: { type: Date }
+    }, { _id: false }),
+    select: false,
+    default: {}
+  },
+  // Consecutive failed logins and the lockout they caused
+  failedLoginCount: { type: Number, default: 0 },
+  lastFailedLoginAt: { type: Date },
+  lockedUntil: { type: Date },
+  // Most recent successful logins, newest last
+  loginHistory: { type: [loginEntrySchema], select: false, default: [] },
+  // Browsers and clients that have logged in before
+  knownDevices: { type: [knownDeviceSchema], select: false, default: [] },
+  // Identity at the single sign-on provider this account is linked to
+  oidc: {
+    issuer: { type: String },
+    subject: { type: String },
+    linkedAt: { type: Date }
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
-userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+userSchema.index({ 'oidc.issuer': 1, 'oidc.subject': 1 }, { unique: true, sparse: true });
+
+userSchema.pre('save', async function() {
+  if (!this.isModified('password')) return;
   this.password = await bcrypt.hash(this.password, 12);
 });
 
@@ -19,4 +98,68 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.methods.isLocked = function(now = new Date()) {
+  return !!this.lockedUntil && this.lockedUntil > now;
+};
+
+// Issue a token for an email link. A newer token replaces the previous one.
+userSchema.methods.createActionToken = function(purpose, expiresInHours) {
+  const { token, jti } = generateActionToken(this._id, purpose, expiresInHours);
+
+  this.set(`actionTokens.${purpose}`, {
+    jtiHash: hashToken(jti),
+    expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Returns true and clears the token when jti matches the outstanding one.
+// Requires the user to be loaded with +actionTokens.
+userSchema.methods.consumeActionToken = function(purpose, jti) {
+  const stored = this.actionTokens?.[purpose];
+
+  if (!stored?.jtiHash || stored.expiresAt <= new Date() || stored.jtiHash !== hashToken(jti)) {
+    return false;
+  }
+
+  this.set(`actionTokens.${purpose}`, undefined);
+  return true;
+};
+
+// Check a TOTP or backup code. Returns 'totp', 'backup' or null; used codes
+// are burnt. Requires the user to be loaded with +twoFactor.
+userSchema.methods.verifySecondFactor = function(code, { time = Date.now() } = {}) {
+  const twoFactor = this.twoFactor;
+  if (!this.twoFactorEnabled || !twoFactor?.secret) return null;
+
+  const step = verifyTOTP(code, twoFactor.secret, { time, afterStep: twoFactor.lastUsedStep ?? -1 });
+  if (step !== null) {
+    twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const backupHash = hashToken(normalizeBackupCode(code));
+  const index = twoFactor.backupCodes.indexOf(backupHash);
+  if (index !== -1) {
+    twoFactor.backupCodes.splice(index, 1);
+    return 'backup';
+  }
+
+  return null;
+};
+
+// Give the admin role to the accounts listed in ADMIN_EMAILS, so a fresh
+// installation has someone who can use the admin console
+userSchema.statics.promoteConfiguredAdmins = async function(emails = process.env.ADMIN_EMAILS) {
+  const list = (emails || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+  if (list.length === 0) return 0;
+
+  const { modifiedCount } = await this.updateMany(
+    { email: { $in: list }, role: { $ne: 'admin' } },
+    { $set: { role: 'admin' } }
+  );
+  return modifiedCount;
+};
+
 export default mongoose.model('User', userSchema);
@@ -0,0 +1,40 @@
+import express from 'express';
+import {
+  listUsers,
+  getUser,
+  updateUserRole,
+  updateUserPlan,
+  disableUser,
+  enableUser,
+  listDownloads,
+  getDownload,
+  cancelDownload,
+  getSystemStats,
+  listAuditLogs
+} from '../controllers/adminController.js';
+import { protect, authorize, requireSession } from '../middlewares/authMiddleware.js';
+import { adminValidation } from '../utils/validator.js';
+
+const router = express.Router();
+
+// All routes require a logged-in admin
+router.use(protect, requireSession, authorize('admin'));
+
+// Users
+router.get('/users', adminValidation.listUsers, listUsers);
+router.get('/users/:id', adminValidation.id, getUser);
+router.patch('/users/:id/role', adminValidation.updateRole, updateUserRole);
+router.patch('/users/:id/plan', adminValidation.updatePlan, updateUserPlan);
+router.post('/users/:id/disable', adminValidation.disableUser, disableUser);
+router.post('/users/:id/enable', adminValidation.id, enableUser);
+
+// Downloads of every user
+router.get('/downloads', adminValidation.listDownloads, listDownloads);
+router.get('/downloads/:id', adminValidation.id, getDownload);
+router.post('/downloads/:id/cancel', adminValidation.cancelDownload, cancelDownload);
+
+// System
+router.get('/stats', getSystemStats);
+router.get('/audit-logs', adminValidation.listAuditLogs, listAuditLogs);
+
+export default router;
@@ -2,18 +2,84 @@ import express from 'express';
 import { 
   signup, 
   login, 
+  oidcLogin, 
+  oidcCallback, 
+  verifyTwoFactorLogin, 
+  refresh, 
   logout, 
-  getProfile 
+  getProfile, 
+  updateProfile, 
+  changePassword, 
+  deleteAccount, 
+  exportAccount, 
+  getUsage, 
+  verifyEmail, 
+  resendVerification, 
+  forgotPassword, 
+  resetPassword 
 } from '../controllers/authController.js';
-import { protect } from '../middlewares/authMiddleware.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
+} from '../controllers/twoFactorController.js';
+import {
+  listApiKeys,
+  createApiKey,
+  getApiKey,
+  updateApiKey,
+  deleteApiKey
+} from '../controllers/apiKeyController.js';
+import {
+  listSessions,
+  revokeSession,
+  revokeOtherSessions
+} from '../controllers/sessionController.js';
+import { protect, requireSession } from '../middlewares/authMiddleware.js';
 import { authValidation } from '../utils/validator.js';
-import { authLimiter } from '../middlewares/rateLimiter.js';
+import { authLimiter, mailLimiter } from '../middlewares/rateLimiter.js';
 
 const router = express.Router();
 
 router.post('/signup', authValidation.signup, signup);
 router.post('/login', authLimiter, authValidation.login, login);
-router.post('/logout', protect, logout);
+router.post('/login/2fa', authLimiter, authValidation.twoFactorLogin, verifyTwoFactorLogin);
+router.post('/refresh', authLimiter, refresh);
+router.post('/logout', protect, requireSession, logout);
 router.get('/profile', protect, getProfile);
+router.patch('/profile', protect, requireSession, authValidation.updateProfile, updateProfile);
+router.post('/change-password', protect, requireSession, authLimiter, authValidation.changePassword, changePassword);
+router.delete('/account', protect, requireSession, authLimiter, authValidation.deleteAccount, deleteAccount);
+router.get('/export', protect, requireSession, exportAccount);
+router.get('/usage', protect, getUsage);
+router.post('/verify-email', authValidation.verifyEmail, verifyEmail);
+router.post('/verify-email/resend', protect, mailLimiter, resendVerification);
+router.post('/forgot-password', mailLimiter, authValidation.forgotPassword, forgotPassword);
+router.post('/reset-password', authLimiter, authValidation.resetPassword, resetPassword);
+
+// Single sign-on (OpenID Connect)
+router.get('/oidc/login', authLimiter, oidcLogin);
+router.get('/oidc/callback', authLimiter, oidcCallback);
+
+// Two-factor authentication
+router.get('/2fa', protect, requireSession, getTwoFactorStatus);
+router.post('/2fa/setup', protect, requireSession, setupTwoFactor);
+router.post('/2fa/confirm', protect, requireSession, authLimiter, authValidation.twoFactorCode, confirmTwoFactor);
+router.post('/2fa/disable', protect, requireSession, authLimiter, authValidation.twoFactorDisable, disableTwoFactor);
+router.post('/2fa/backup-codes', protect, requireSession, authLimiter, authValidation.twoFactorCode, regenerateBackupCodes);
+
+// Active logins
+router.get('/sessions', protect, requireSession, listSessions);
+router.delete('/sessions', protect, requireSession, revokeOtherSessions);
+router.delete('/sessions/:id', protect, requireSession, authValidation.sessionId, revokeSession);
+
+// Personal API keys
+router.get('/keys', protect, requireSession, listApiKeys);
+router.post('/keys', protect, requireSession, authValidation.createApiKey, createApiKey);
+router.get('/keys/:id', protect, requireSession, authValidation.apiKeyId, getApiKey);
+router.patch('/keys/:id', protect, requireSession, authValidation.updateApiKey, updateApiKey);
+router.delete('/keys/:id', protect, requireSession, authValidation.apiKeyId, deleteApiKey);
 
 export default router;
\ No newline at end of file
@@ -4,11 +4,18 @@ import {
   downloadMultiple, 
   getDownloadHistory,
   getDownloadStats,
+  getDownloadStatus,
+  streamDownloadEvents,
+  resumeDownload,
+  getDownloadFile,
+  getDownloadSubtitle,
   deleteDownloadRecord 
 } from '../controllers/downloadController.js';
-import { protect } from '../middlewares/authMiddleware.js';
+import { protect, requireScope, requireVerifiedEmail, limitUnverified } from '../middlewares/authMiddleware.js';
 import { downloadValidation } from '../utils/validator.js';
 import { downloadLimiter } from '../middlewares/rateLimiter.js';
+import { blockPrivateUrls } from '../middlewares/ssrfMiddleware.js';
+import { enforceQuota } from '../middlewares/quotaMiddleware.js';
 
 const router = express.Router();
 
@@ -19,16 +26,31 @@ router.use(protect);
 router.use(downloadLimiter);
 
 // Single file download
-router.post('/single', downloadValidation.single, downloadSingle);
+router.post('/single', requireScope('download:write'), limitUnverified, downloadValidation.single, enforceQuota({ queued: true }), blockPrivateUrls, downloadSingle);
 
 // Multiple files download
-router.post('/multiple', downloadValidation.multiple, downloadMultiple);
+router.post('/multiple', requireScope('download:write'), requireVerifiedEmail, downloadValidation.multiple, enforceQuota(), blockPrivateUrls, downloadMultiple);
 
 // Download history
-router.get('/history', getDownloadHistory);
-router.get('/stats', getDownloadStats);
+router.get('/history', requireScope('download:read'), getDownloadHistory);
+router.get('/stats', requireScope('download:read'), getDownloadStats);
+
+// Download job status
+router.get('/:id', requireScope('download:read'), getDownloadStatus);
+
+// Live download progress (Server-Sent Events)
+router.get('/:id/events', requireScope('download:read'), streamDownloadEvents);
+
+// Fetch a stored file again
+router.get('/:id/file', requireScope('download:read'), getDownloadFile);
+
+// Fetch a stored subtitle file
+router.get('/:id/subtitles/:language', requireScope('download:read'), getDownloadSubtitle);
+
+// Resume a failed download
+router.post('/:id/resume', requireScope('download:write'), resumeDownload);
 
 // Delete download record
-router.delete('/:id', deleteDownloadRecord);
+router.delete('/:id', requireScope('download:write'), deleteDownloadRecord);
 
 export default router;
\ No newline at end of file
@@ -3,11 +3,25 @@ import {
   checkVideoUrl,
   downloadVideo,
   batchDownloadVideos,
-  getVideoFormats
+  getVideoFormats,
+  getVideoSubtitles,
+  expandPlaylist,
+  downloadPlaylist,
+  getPlaylist,
+  cancelPlaylist
 } from '../controllers/videoController.js';
-import { protect } from '../middlewares/authMiddleware.js';
+import { protect, requireScope, requireVerifiedEmail, limitUnverified } from '../middlewares/authMiddleware.js';
+import {
+  listSubscriptions,
+  createSubscription,
+  getSubscription,
+  updateSubscription,
+  deleteSubscription
+} from '../controllers/subscriptionController.js';
 import { videoValidation } from '../utils/validator.js';
 import { videoLimiter } from '../middlewares/rateLimiter.js';
+import { blockPrivateUrls } from '../middlewares/ssrfMiddleware.js';
+import { enforceQuota } from '../middlewares/quotaMiddleware.js';
 
 const router = express.Router();
 
@@ -18,15 +32,35 @@ router.use(protect);
 router.use(videoLimiter);
 
 // Check if URL is a social media video
-router.post('/check', checkVideoUrl);
+router.post('/check', requireScope('video:read'), blockPrivateUrls, checkVideoUrl);
 
 // Get available formats for a video
-router.get('/formats', getVideoFormats);
+router.get('/formats', requireScope('video:read'), blockPrivateUrls, getVideoFormats);
+
+// List subtitle and automatic caption languages for a video
+router.get('/subtitles', requireScope('video:read'), videoValidation.subtitles, blockPrivateUrls, getVideoSubtitles);
 
 // Download single video
-router.post('/download', videoValidation.download, downloadVideo);
+router.post('/download', requireScope('video:write'), limitUnverified, videoValidation.download, enforceQuota({ queued: true }), blockPrivateUrls, downloadVideo);
 
 // Batch download videos
-router.post('/batch', videoValidation.batch, batchDownloadVideos);
+router.post('/batch', requireScope('video:write'), requireVerifiedEmail, videoValidation.batch, enforceQuota(), blockPrivateUrls, batchDownloadVideos);
+
+// Resolve a playlist, channel or profile into its entries
+router.post('/playlist/expand', requireScope('video:read'), videoValidation.playlistExpand, blockPrivateUrls, expandPlaylist);
+
+// Queue selected playlist items
+router.post('/playlist/download', requireScope('video:write'), requireVerifiedEmail, videoValidation.playlistDownload, enforceQuota(), blockPrivateUrls, downloadPlaylist);
+
+// Playlist progress and cancellation
+router.get('/playlist/:id', requireScope('video:read'), videoValidation.playlistId, getPlaylist);
+router.post('/playlist/:id/cancel', requireScope('video:write'), videoValidation.playlistId, cancelPlaylist);
+
+// Channel and playlist subscriptions
+router.get('/subscriptions', requireScope('video:read'), listSubscriptions);
+router.post('/subscriptions', requireScope('video:write'), requireVerifiedEmail, videoValidation.createSubscription, blockPrivateUrls, createSubscription);
+router.get('/subscriptions/:id', requireScope('video:read'), videoValidation.subscriptionId, getSubscription);
+router.patch('/subscriptions/:id', requireScope('video:write'), videoValidation.updateSubscription, updateSubscription);
+router.delete('/subscriptions/:id', requireScope('video:write'), videoValidation.subscriptionId, deleteSubscription);
 
 export default router;
\ No newline at end of file
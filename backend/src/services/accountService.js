@@ -0,0 +1,109 @@
+import User from '../models/User.js';
+import Download from '../models/Download.js';
+import Session from '../models/Session.js';
+import RefreshToken from '../models/RefreshToken.js';
+import ApiKey from '../models/ApiKey.js';
+import Subscription from '../models/Subscription.js';
+import jobQueue from './jobQueue.js';
+import subscriptionRunner from './subscriptionRunner.js';
+import fileLibrary from './fileLibrary.js';
+import logger from '../utils/logger.js';
+import { removePartialDownload } from '../utils/downloadUtils.js';
+
+// Internal job and storage details are left out of the export
+const EXPORT_DOWNLOAD_FIELDS = '-__v -user -job -resume -storage.key -subtitles.key -scan.quarantineFile';
+
+class AccountService {
+  // Permanently remove a user and everything they own. Audit log entries
+  // are kept; they only hold the actor's id and email.
+  async deleteAccount(user) {
+    const userId = user._id;
+
+    // Stop subscriptions first so no new downloads are queued meanwhile
+    const subscriptions = await Subscription.find({ user: userId }).select('_id');
+    for (const subscription of subscriptions) {
+      subscriptionRunner.unschedule(subscription._id.toString());
+    }
+    await Subscription.deleteMany({ user: userId });
+
+    // Then stop queued and running work so no worker stores a file for a
+    // record that is about to disappear
+    const activeJobs = await Download.find({ user: userId, status: { $in: ['pending', 'downloading'] } });
+    for (const job of activeJobs) {
+      await jobQueue.cancel(job, 'Account deleted');
+    }
+
+    let files = 0;
+    const downloads = Download.find({ user: userId }).select('storage subtitles resume').cursor();
+    for await (const download of downloads) {
+      if (download.storage?.key) files++;
+      await fileLibrary.remove(download);
+      await removePartialDownload(download.resume?.tempFileName);
+    }
+
+    const { deletedCount: records } = await Download.deleteMany({ user: userId });
+    await RefreshToken.deleteMany({ user: userId });
+    await Session.deleteMany({ user: userId });
+    await ApiKey.deleteMany({ user: userId });
+    await User.deleteOne({ _id: userId });
+
+    logger.info(`Account deleted: ${user.email} (${records} download records, ${files} stored files)`);
+
+    return { records, files };
+  }
+
+  // Everything we hold about the user, written to `res` as one JSON document.
+  // Downloads are streamed from a cursor so long histories are not buffered.
+  async writeExport(userId, res) {
+    const [user, sessions, apiKeys, subscriptions] = await Promise.all([
+      User.findById(userId).select('+loginHistory +knownDevices'),
+      Session.find({ user: userId }).select('-__v -user').sort({ createdAt: -1 }).lean(),
+      ApiKey.find({ user: userId }).select('-__v -user').sort({ createdAt: -1 }).lean(),
+      Subscription.find({ user: userId }).select('-__v -user').sort({ createdAt: -1 }).lean()
+    ]);
+
+    const profile = {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      emailVerifiedAt: user.emailVerifiedAt,
+      role: user.role,
+      plan: user.plan,
+      twoFactorEnabled: user.twoFactorEnabled,
+      singleSignOn: user.oidc?.subject ? { issuer: user.oidc.issuer, linkedAt: user.oidc.linkedAt } : null,
+      createdAt: user.createdAt
+    };
+
+    // Waits for the client to catch up; gives up if it disconnects
+    const write = (chunk) => new Promise((resolve) => {
+      if (res.write(chunk)) return resolve();
+
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.once('drain', done);
+      res.once('close', done);
+    });
+
+    await write(`{"exportedAt":${JSON.stringify(new Date())},"profile":${JSON.stringify(profile)}`);
+    await write(`,"loginHistory":${JSON.stringify(user.loginHistory)},"knownDevices":${JSON.stringify(user.knownDevices)}`);
+    await write(`,"sessions":${JSON.stringify(sessions)},"apiKeys":${JSON.stringify(apiKeys)}`);
+    await write(`,"subscriptions":${JSON.stringify(subscriptions)},"downloads":[`);
+
+    let first = true;
+    const downloads = Download.find({ user: userId }).select(EXPORT_DOWNLOAD_FIELDS).sort({ createdAt: 1 }).lean().cursor();
+    for await (const download of downloads) {
+      if (res.destroyed) return;
+      await write(`${first ? '' : ','}${JSON.stringify(download)}`);
+      first = false;
+    }
+
+    res.end(']}');
+  }
+}
+
+// Singleton instance
+export default new AccountService();
@@ -0,0 +1,24 @@
+import AuditLog from '../models/AuditLog.js';
+import logger from '../utils/logger.js';
+
+class AuditLogger {
+  // Failing to write the audit entry is logged but never fails the action itself
+  async record(req, action, { targetType, targetId, details } = {}) {
+    try {
+      await AuditLog.create({
+        actor: req.user._id,
+        actorEmail: req.user.email,
+        action,
+        target: targetType ? { type: targetType, id: targetId } : undefined,
+        details,
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      });
+    } catch (error) {
+      logger.error(`Failed to write audit log entry ${action}: ${error.message}`);
+    }
+  }
+}
+
+// Singleton instance
+export default new AuditLogger();
@@ -0,0 +1,149 @@
+import fs from 'fs/promises';
+import VideoDownloader from './videoDownloader.js';
+import transcoder from './transcoder.js';
+import Download from '../models/Download.js';
+import quotaService from './quotaService.js';
+import { downloadFile, downloadFileSegmented } from '../utils/downloadUtils.js';
+import { assertUrlResolvesPublic } from '../utils/ssrfGuard.js';
+import { resolveClipRange } from '../utils/clipUtils.js';
+
+// Job handlers executed by the job queue. Each handler receives the claimed
+// Download record plus a context ({ onProgress, signal }) and resolves with the downloaded file ({ filePath, fileName, fileSize }).
+
+// Turn a plan allowance into VideoDownloader options, refusing videos that
+// are longer than the plan allows. For clips the requested range is resolved
+// against the video's duration, and only the clip's length counts.
+export const getVideoLimits = async (url, { maxFileSize, maxVideoDuration, maxVideoResolution }, clip) => {
+  const limits = { maxFileSize: maxFileSize ?? Infinity, maxHeight: maxVideoResolution ?? undefined };
+
+  if (maxVideoDuration === null && !clip) {
+    return limits;
+  }
+
+  const { duration } = await VideoDownloader.getVideoInfo(url);
+
+  if (clip) {
+    limits.clip = { ...resolveClipRange(clip, duration), mode: clip.mode };
+  }
+
+  const length = limits.clip ? limits.clip.length : duration;
+  if (maxVideoDuration !== null && length > maxVideoDuration) {
+    throw new Error(`${clip ? 'Clip' : 'Video'} is ${Math.ceil(length)}s long, your plan allows up to ${maxVideoDuration}s`);
+  }
+
+  return limits;
+};
+
+export const processFileJob = async (record, { onProgress, signal } = {}) => {
+  const { timeout, customFileName, segmented, connections, checksum } = record.job.options || {};
+
+  // Plan limits are checked right before the transfer starts
+  const { maxFileSize } = await quotaService.getAllowance(record.user);
+  const maxSize = maxFileSize ?? Infinity;
+
+  // Segmented downloads fetch several ranges at once and are not resumed
+  if (segmented) {
+    return downloadFileSegmented(record.fileUrl, {
+      timeout,
+      maxSize,
+      customFileName,
+      connections,
+      onProgress,
+      checksum,
+      signal
+    });
+  }
+
+  try {
+    const result = await downloadFile(record.fileUrl, {
+      timeout,
+      maxSize,
+      customFileName,
+      userId: record.user,
+      onProgress,
+      checksum,
+      signal,
+      resumeFrom: record.resume?.tempFileName ? record.toObject().resume : undefined,
+      // Persist validators as soon as headers arrive so a crashed worker can resume too
+      onResumeState: async (state) => {
+        record.resume = { ...state, bytesDownloaded: 0 };
+        await Download.updateOne({ _id: record._id }, { $set: { resume: record.resume } });
+      }
+    });
+
+    record.resume = undefined;
+    return result;
+  } catch (error) {
+    if (record.resume) {
+      record.resume.bytesDownloaded = error.bytesDownloaded || 0;
+      record.resume.resumable = !!error.resumable;
+    }
+    error.retryable = !!error.resumable;
+    throw error;
+  }
+};
+
+export const processVideoJob = async (record, { onProgress, signal } = {}) => {
+  const {
+    quality = 'best',
+    format = 'mp4',
+    fileName,
+    extractAudio = false,
+    subtitles,
+    clip,
+    transcode
+  } = record.job.options || {};
+  const url = record.fileUrl;
+
+  // Fail early on a blocked destination; yt-dlp's own connections, redirects
+  // included, are checked by the egress proxy
+  await assertUrlResolvesPublic(url);
+
+  const limits = await getVideoLimits(url, await quotaService.getAllowance(record.user), clip);
+
+  const downloaded = await VideoDownloader.downloadVideo(url, {
+    quality,
+    format,
+    fileName,
+    subtitles,
+    onProgress,
+    signal,
+    ...limits
+  });
+
+  // Convert into the requested format, keeping only the audio when extracting
+  let result;
+  try {
+    result = await transcoder.process(downloaded, {
+      ...transcode,
+      format,
+      audioOnly: extractAudio,
+      maxHeight: limits.maxHeight,
+      maxFileSize: limits.maxFileSize
+    }, { onProgress, signal });
+  } catch (error) {
+    for (const file of [downloaded, ...(downloaded.subtitles || [])]) {
+      await fs.unlink(file.filePath).catch(() => {});
+    }
+    throw error;
+  }
+
+  if (limits.clip) {
+    const { start, end, mode } = limits.clip;
+    record.clip = { start, end, mode };
+  }
+
+  record.metadata.duration = result.duration;
+  record.metadata.thumbnail = result.thumbnail;
+  record.metadata.quality = quality;
+  record.metadata.format = result.format;
+  record.metadata.codec = result.codec;
+  record.metadata.resolution = result.resolution;
+
+  return result;
+};
+
+export default {
+  file: processFileJob,
+  video: processVideoJob
+};
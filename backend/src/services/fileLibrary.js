@@ -0,0 +1,158 @@
+import fs from 'fs/promises';
+import path from 'path';
+import cron from 'node-cron';
+import mongoose from 'mongoose';
+import mime from 'mime-types';
+import Download from '../models/Download.js';
+import storage from './storage/index.js';
+import logger from '../utils/logger.js';
+import { sanitizeFileName } from '../utils/downloadUtils.js';
+import { LIBRARY_QUOTA_BYTES, LIBRARY_RETENTION_DAYS } from '../config/constants.js';
+
+// Per-user storage for finished downloads. Files are written through the
+// configured storage driver under <userId>/ and linked from Download.storage.
+class FileLibrary {
+  constructor() {
+    this.quotaBytes = parseInt(process.env.LIBRARY_QUOTA_BYTES) || LIBRARY_QUOTA_BYTES;
+    this.retentionDays = parseInt(process.env.LIBRARY_RETENTION_DAYS) || LIBRARY_RETENTION_DAYS;
+  }
+
+  async getUsage(userId) {
+    const [usage] = await Download.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId.toString()), 'storage.key': { $exists: true } } },
+      { $group: { _id: null, used: { $sum: '$storage.size' }, files: { $sum: 1 } } }
+    ]);
+
+    const used = usage?.used || 0;
+
+    return {
+      used,
+      files: usage?.files || 0,
+      quota: this.quotaBytes,
+      remaining: Math.max(0, this.quotaBytes - used)
+    };
+  }
+
+  // Upload a finished download, and any separate subtitle files, into the
+  // user's library and link them from the record
+  async store(record, { filePath, fileName, fileSize, subtitles = [] }) {
+    try {
+      const { remaining } = await this.getUsage(record.user);
+      if (fileSize > remaining) {
+        throw new Error(`Storage quota exceeded: ${Math.round(remaining / (1024 * 1024))}MB remaining`);
+      }
+
+      const key = this.buildKey(record, fileName);
+
+      await storage.put(key, filePath, {
+        contentType: mime.lookup(fileName) || 'application/octet-stream'
+      });
+      await fs.unlink(filePath).catch(() => {});
+
+      record.subtitles = [];
+      for (const subtitle of subtitles) {
+        const subtitleKey = this.buildKey(record, subtitle.fileName);
+        await storage.put(subtitleKey, subtitle.filePath, {
+          contentType: mime.lookup(subtitle.fileName) || 'text/plain'
+        });
+        await fs.unlink(subtitle.filePath).catch(() => {});
+
+        record.subtitles.push({
+          language: subtitle.language,
+          format: subtitle.format,
+          automatic: subtitle.automatic,
+          key: subtitleKey,
+          size: subtitle.fileSize
+        });
+      }
+
+      const storedAt = new Date();
+      record.storage = {
+        key,
+        size: fileSize,
+        storedAt,
+        expiresAt: new Date(storedAt.getTime() + this.retentionDays * 24 * 60 * 60 * 1000)
+      };
+
+      return record.storage;
+    } catch (error) {
+      await fs.unlink(filePath).catch(() => {});
+      for (const subtitle of subtitles) {
+        await fs.unlink(subtitle.filePath).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  buildKey(record, fileName) {
+    return path.posix.join(record.user.toString(), `${record._id}_${sanitizeFileName(fileName)}`);
+  }
+
+  isAvailable(record) {
+    if (!record.storage?.key) return false;
+    return !record.storage.expiresAt || record.storage.expiresAt >= new Date();
+  }
+
+  // Readable stream of a record's stored file, or null when missing/expired
+  async openStream(record) {
+    if (!this.isAvailable(record)) return null;
+
+    try {
+      return await storage.stream(record.storage.key);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Readable stream of a stored subtitle file, or null when missing/expired
+  async openSubtitleStream(record, subtitle) {
+    if (!this.isAvailable(record) || !subtitle?.key) return null;
+
+    try {
+      return await storage.stream(subtitle.key);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async remove(record) {
+    const keys = [record.storage?.key, ...(record.subtitles || []).map(subtitle => subtitle.key)].filter(Boolean);
+
+    for (const key of keys) {
+      await storage.delete(key).catch((error) => {
+        logger.warn(`Failed to delete stored file ${key}: ${error.message}`);
+      });
+    }
+  }
+
+  async purgeExpired() {
+    const expired = await Download.find({
+      'storage.key': { $exists: true },
+      'storage.expiresAt': { $lt: new Date() }
+    });
+
+    for (const record of expired) {
+      await this.remove(record);
+      record.storage = undefined;
+      record.subtitles = [];
+      await record.save();
+    }
+
+    if (expired.length > 0) {
+      logger.info(`Purged ${expired.length} expired library files`);
+    }
+  }
+}
+
+const fileLibrary = new FileLibrary();
+
+// Scheduled purge of expired files (run daily at 3 AM)
+cron.schedule('0 3 * * *', () => {
+  logger.info('Running scheduled library cleanup');
+  fileLibrary.purgeExpired().catch(error => logger.error(`Library cleanup failed: ${error.message}`));
+});
+
+// Singleton instance
+export default fileLibrary;
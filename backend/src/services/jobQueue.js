@@ -0,0 +1,447 @@
+import os from 'os';
+import fs from 'fs/promises';
+import { randomBytes } from 'crypto';
+import Download from '../models/Download.js';
+import jobHandlers from './downloadJobs.js';
+import progressEvents from './progressEvents.js';
+import fileLibrary from './fileLibrary.js';
+import contentScanner from './scanner/index.js';
+import logger from '../utils/logger.js';
+import { buildIntegrity } from '../utils/checksumUtils.js';
+import { removePartialDownload } from '../utils/downloadUtils.js';
+import {
+  MAX_CONCURRENT_DOWNLOADS,
+  JOB_POLL_INTERVAL,
+  JOB_HEARTBEAT_INTERVAL,
+  JOB_STALE_TIMEOUT,
+  PROGRESS_UPDATE_INTERVAL
+} from '../config/constants.js';
+
+// Only records created through the queue carry a job kind
+const JOB_FILTER = { 'job.kind': { $exists: true } };
+
+class JobQueue {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}:${randomBytes(4).toString('hex')}`;
+    this.handlers = { ...jobHandlers };
+    this.maxConcurrent = parseInt(process.env.MAX_CONCURRENT_DOWNLOADS) || MAX_CONCURRENT_DOWNLOADS;
+    this.active = new Map();
+    this.controllers = new Map();
+    this.started = false;
+    this.polling = false;
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  register(kind, handler) {
+    this.handlers[kind] = handler;
+  }
+
+  async enqueue({ user, kind, url, fileName, type = 'regular', metadata = {}, options = {}, parent, playlist, subscription }) {
+    if (!this.handlers[kind]) {
+      throw new Error(`Unknown job kind: ${kind}`);
+    }
+
+    const record = await Download.create({
+      user,
+      fileUrl: url,
+      fileName: fileName || 'pending',
+      status: 'pending',
+      type,
+      metadata,
+      parent,
+      playlist,
+      subscription,
+      job: { kind, options }
+    });
+
+    logger.info(`Job queued: ${record._id} (${kind}) for user ${user}`);
+
+    this.notify();
+    return record;
+  }
+
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    await this.recoverStaleJobs();
+
+    this.pollTimer = setInterval(() => this.poll(), JOB_POLL_INTERVAL);
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch(error => logger.error(`Job heartbeat failed: ${error.message}`));
+      this.abortCancelledJobs().catch(error => logger.error(`Job cancellation check failed: ${error.message}`));
+      this.recoverStaleJobs().catch(error => logger.error(`Job recovery failed: ${error.message}`));
+    }, JOB_HEARTBEAT_INTERVAL);
+
+    logger.info(`Job queue started (worker ${this.workerId}, max ${this.maxConcurrent} concurrent)`);
+    this.notify();
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+    this.started = false;
+    logger.info(`Job queue stopped (${this.active.size} jobs still running)`);
+  }
+
+  // Wake the poller without waiting for the next interval
+  notify() {
+    if (this.started) {
+      setImmediate(() => this.poll());
+    }
+  }
+
+  async poll() {
+    if (this.polling || !this.started) return;
+    this.polling = true;
+
+    try {
+      while (this.started) {
+        const record = await this.claim();
+        if (!record) break;
+
+        // Jobs run side by side; run() handles its own failures
+        this.run(record).catch(error => logger.error(`Job ${record._id} crashed: ${error.message}`));
+      }
+    } catch (error) {
+      logger.error(`Job polling failed: ${error.message}`);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Atomically move the oldest pending job to this worker, respecting the
+  // global concurrency limit shared by every backend instance
+  async claim() {
+    const running = await Download.countDocuments({ ...JOB_FILTER, status: 'downloading' });
+    if (running >= this.maxConcurrent) return null;
+
+    const now = new Date();
+    const record = await Download.findOneAndUpdate(
+      { ...JOB_FILTER, status: 'pending' },
+      {
+        $set: {
+          status: 'downloading',
+          'job.workerId': this.workerId,
+          'job.startedAt': now,
+          'job.heartbeatAt': now
+        },
+        $inc: { 'job.attempts': 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+
+    if (!record) return null;
+
+    // Another instance may have claimed at the same time; give the job back
+    const runningAfter = await Download.countDocuments({ ...JOB_FILTER, status: 'downloading' });
+    if (runningAfter > this.maxConcurrent) {
+      await Download.updateOne(
+        { _id: record._id, 'job.workerId': this.workerId },
+        { $set: { status: 'pending', 'job.workerId': null }, $inc: { 'job.attempts': -1 } }
+      );
+      return null;
+    }
+
+    return record;
+  }
+
+  async run(record) {
+    const id = record._id.toString();
+    const controller = new AbortController();
+    this.active.set(id, record);
+    this.controllers.set(id, controller);
+    this.publishStatus(record);
+    this.refreshParent(record);
+
+    let result;
+    try {
+      const handler = this.handlers[record.job.kind];
+      result = await handler(record, {
+        onProgress: this.createProgressReporter(record),
+        signal: controller.signal
+      });
+      controller.signal.throwIfAborted();
+
+      record.integrity = await buildIntegrity(result, record.job.options?.checksum);
+      await contentScanner.inspect(record, result);
+      controller.signal.throwIfAborted();
+
+      // Keep the finished file in the user's library
+      await fileLibrary.store(record, result);
+
+      record.fileName = result.fileName;
+      record.fileSize = result.fileSize;
+      record.status = 'completed';
+      record.completedAt = new Date();
+      record.error = undefined;
+      record.progress = {
+        speed: record.progress?.speed,
+        bytesReceived: result.fileSize,
+        totalBytes: result.fileSize,
+        eta: 0,
+        percent: 100,
+        updatedAt: new Date()
+      };
+
+      // Only a job that is still running may complete, so a cancel that
+      // landed while the file was stored is not overwritten
+      const saved = await Download.findOneAndUpdate(
+        { _id: record._id, status: 'downloading' },
+        record.getChanges(),
+        { new: true }
+      );
+
+      if (!saved) {
+        await fileLibrary.remove(record);
+        record.status = 'cancelled';
+        logger.info(`Job cancelled: ${id}`);
+        return;
+      }
+
+      logger.info(`Job completed: ${id} (${result.fileName}) for user ${record.user}`);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        await this.discardCancelled(record, result, controller.signal.reason);
+        return;
+      }
+
+      // Interrupted downloads that kept their partial file go back in the queue
+      const retry = error.retryable && record.job.attempts < record.job.maxAttempts;
+
+      record.status = error.blocked ? 'blocked' : retry ? 'pending' : 'failed';
+      record.error = error.message;
+
+      // As on completion, a cancel that landed first wins
+      const saved = await Download.findOneAndUpdate(
+        { _id: record._id, status: 'downloading' },
+        record.getChanges(),
+        { new: true }
+      ).catch(saveError => {
+        logger.error(`Failed to save job state for ${id}: ${saveError.message}`);
+        return record;
+      });
+
+      if (!saved) {
+        await removePartialDownload(record.resume?.tempFileName);
+        record.status = 'cancelled';
+        logger.info(`Job cancelled: ${id}`);
+        return;
+      }
+
+      if (retry) {
+        logger.warn(`Job interrupted: ${id} - ${error.message}, re-queued (attempt ${record.job.attempts}/${record.job.maxAttempts})`);
+      } else if (!error.blocked) {
+        logger.error(`Job failed: ${id} - ${error.message}`);
+      }
+    } finally {
+      this.active.delete(id);
+      this.controllers.delete(id);
+      this.publishStatus(record);
+      this.refreshParent(record);
+      this.notify();
+    }
+  }
+
+  // Remove whatever a cancelled job left behind
+  async discardCancelled(record, result, reason) {
+    for (const file of [result, ...(result?.subtitles || [])]) {
+      if (file?.filePath) {
+        await fs.unlink(file.filePath).catch(() => {});
+      }
+    }
+    await removePartialDownload(record.resume?.tempFileName);
+
+    record.status = 'cancelled';
+    record.error = reason?.message || 'Download cancelled';
+    record.resume = undefined;
+    await record.save().catch(saveError => {
+      logger.error(`Failed to save job state for ${record._id}: ${saveError.message}`);
+    });
+
+    logger.info(`Job cancelled: ${record._id}`);
+  }
+
+  // Stop a pending or running job. The record is marked cancelled right away;
+  // the worker running it (this or another instance) aborts the download.
+  async cancel(record, reason = 'Download cancelled') {
+    const { modifiedCount } = await Download.updateOne(
+      { _id: record._id, ...JOB_FILTER, status: { $in: ['pending', 'downloading'] } },
+      { $set: { status: 'cancelled', error: reason, completedAt: new Date() } }
+    );
+
+    if (!modifiedCount) return false;
+
+    record.status = 'cancelled';
+    record.error = reason;
+    this.abortLocal(record._id.toString(), reason);
+    this.publishStatus(record);
+    this.refreshParent(record);
+
+    logger.info(`Job cancellation requested: ${record._id} (${reason})`);
+    return true;
+  }
+
+  // Cancel every unfinished item of a playlist, then the playlist record itself
+  async cancelPlaylist(parent, reason = 'Playlist cancelled') {
+    // Marked first so the items' status updates leave it alone
+    await Download.updateOne(
+      { _id: parent._id },
+      { $set: { status: 'cancelled', error: reason, completedAt: new Date() } }
+    );
+    parent.status = 'cancelled';
+
+    const items = await Download.find({ parent: parent._id, status: { $in: ['pending', 'downloading'] } });
+
+    let cancelled = 0;
+    for (const item of items) {
+      if (await this.cancel(item, reason)) cancelled++;
+    }
+
+    logger.info(`Playlist cancelled: ${parent._id} (${cancelled} items)`);
+    return cancelled;
+  }
+
+  // A playlist record follows its items: downloading while any is unfinished,
+  // then completed if at least one item succeeded and failed otherwise
+  async refreshParent(record) {
+    if (!record.parent) return;
+
+    try {
+      const counts = await Download.aggregate([
+        { $match: { parent: record.parent } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]);
+
+      const count = (...statuses) => counts
+        .filter(entry => statuses.includes(entry._id))
+        .reduce((total, entry) => total + entry.count, 0);
+
+      const total = count('pending', 'downloading', 'completed', 'failed', 'blocked', 'cancelled');
+      const unfinished = count('pending', 'downloading');
+      const completed = count('completed');
+      const update = { $set: {} };
+
+      if (unfinished > 0) {
+        update.$set.status = count('pending') === total ? 'pending' : 'downloading';
+      } else {
+        update.$set.status = completed > 0 ? 'completed' : 'failed';
+        update.$set.completedAt = new Date();
+
+        if (completed < total) {
+          update.$set.error = `${total - completed} of ${total} items did not complete`;
+        } else {
+          update.$unset = { error: 1 };
+        }
+      }
+
+      // A cancelled playlist stays cancelled
+      await Download.updateOne({ _id: record.parent, status: { $ne: 'cancelled' } }, update);
+    } catch (error) {
+      logger.warn(`Failed to update playlist ${record.parent}: ${error.message}`);
+    }
+  }
+
+  abortLocal(id, reason) {
+    this.controllers.get(id)?.abort(new Error(reason));
+  }
+
+  // Jobs cancelled through another instance are stopped on the next heartbeat
+  async abortCancelledJobs() {
+    if (this.active.size === 0) return;
+
+    const cancelled = await Download.find({
+      _id: { $in: [...this.active.keys()] },
+      status: 'cancelled'
+    }).select('error');
+
+    for (const record of cancelled) {
+      this.abortLocal(record._id.toString(), record.error || 'Download cancelled');
+    }
+  }
+
+  publishStatus(record) {
+    progressEvents.publish(record._id, 'status', progressEvents.buildEvent(record));
+  }
+
+  // Progress callback handed to job handlers. Events are throttled and the
+  // latest values are stored on the record so other instances can read them.
+  createProgressReporter(record) {
+    let lastReport = 0;
+
+    return (progress) => {
+      const now = Date.now();
+      if (now - lastReport < PROGRESS_UPDATE_INTERVAL) return;
+      lastReport = now;
+
+      record.progress = { ...progress, updatedAt: new Date(now) };
+      progressEvents.publish(record._id, 'progress', progressEvents.buildEvent(record, progress));
+
+      Download.updateOne(
+        { _id: record._id },
+        { $set: { progress: record.progress } }
+      ).catch(error => logger.warn(`Failed to store progress for ${record._id}: ${error.message}`));
+    };
+  }
+
+  // Put a failed job back in the queue. File downloads continue from their
+  // partial file when the server supports range requests.
+  async retry(record) {
+    record.status = 'pending';
+    record.error = undefined;
+    record.completedAt = undefined;
+    record.job.attempts = 0;
+    record.job.workerId = null;
+    await record.save();
+
+    logger.info(`Job re-queued: ${record._id} for user ${record.user}`);
+
+    this.publishStatus(record);
+    this.notify();
+    return record;
+  }
+
+  async heartbeat() {
+    if (this.active.size === 0) return;
+
+    await Download.updateMany(
+      { _id: { $in: [...this.active.keys()] }, 'job.workerId': this.workerId },
+      { $set: { 'job.heartbeatAt': new Date() } }
+    );
+  }
+
+  // Jobs whose worker stopped sending heartbeats (crash, restart) are put back
+  // in the queue, or failed once they have used up their attempts
+  async recoverStaleJobs() {
+    const cutoff = new Date(Date.now() - JOB_STALE_TIMEOUT);
+    const staleJobs = await Download.find({
+      ...JOB_FILTER,
+      status: 'downloading',
+      'job.heartbeatAt': { $lt: cutoff }
+    });
+
+    for (const record of staleJobs) {
+      const exhausted = record.job.attempts >= record.job.maxAttempts;
+      const update = exhausted
+        ? { status: 'failed', error: 'Download worker stopped unexpectedly' }
+        : { status: 'pending', 'job.workerId': null };
+
+      const { modifiedCount } = await Download.updateOne(
+        { _id: record._id, status: 'downloading', 'job.heartbeatAt': record.job.heartbeatAt },
+        { $set: update }
+      );
+
+      if (modifiedCount) {
+        logger.warn(`Recovered stale job ${record._id}: ${exhausted ? 'failed' : 're-queued'}`);
+      }
+    }
+
+    if (staleJobs.length > 0) {
+      this.notify();
+    }
+  }
+}
+
+// Singleton instance
+export default new JobQueue();
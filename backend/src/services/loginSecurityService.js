@@ -0,0 +1,109 @@
+import User from '../models/User.js';
+import mailer from './mail/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middlewares/errorMiddleware.js';
+import {
+  LOGIN_LOCKOUT_THRESHOLD,
+  LOGIN_LOCKOUT_BASE,
+  LOGIN_LOCKOUT_MAX,
+  LOGIN_FAILURE_RESET,
+  LOGIN_HISTORY_SIZE,
+  MAX_KNOWN_DEVICES
+} from '../config/constants.js';
+
+const formatWait = (ms) => {
+  const minutes = Math.ceil(ms / 60000);
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+};
+
+// Per-account protection against password guessing. Counters live on the
+// user so they hold no matter how many IPs the attempts come from.
+class LoginSecurityService {
+  // Lock duration after the given number of consecutive failures
+  getLockDuration(failures) {
+    if (failures < LOGIN_LOCKOUT_THRESHOLD) return 0;
+    return Math.min(LOGIN_LOCKOUT_MAX, LOGIN_LOCKOUT_BASE * 2 ** (failures - LOGIN_LOCKOUT_THRESHOLD));
+  }
+
+  // Checked before the password, so a locked account cannot be guessed at
+  assertNotLocked(user, res, now = new Date()) {
+    if (!user.isLocked(now)) return;
+
+    const wait = user.lockedUntil.getTime() - now.getTime();
+    res.set('Retry-After', String(Math.ceil(wait / 1000)));
+    throw new AppError(`Too many failed login attempts, try again in ${formatWait(wait)}`, 429);
+  }
+
+  async recordFailure(user, { ip } = {}, now = new Date()) {
+    const recent = { $gt: ['$lastFailedLoginAt', new Date(now.getTime() - LOGIN_FAILURE_RESET)] };
+
+    // Counted in one atomic update so parallel attempts are all seen
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      [{
+        $set: {
+          failedLoginCount: { $cond: [recent, { $add: [{ $ifNull: ['$failedLoginCount', 0] }, 1] }, 1] },
+          lastFailedLoginAt: now
+        }
+      }],
+      { new: true, updatePipeline: true }
+    ).select('failedLoginCount');
+
+    const failures = updated?.failedLoginCount || 0;
+    const duration = this.getLockDuration(failures);
+
+    if (duration > 0) {
+      const lockedUntil = new Date(now.getTime() + duration);
+      await User.updateOne({ _id: user._id }, { $set: { lockedUntil } });
+      logger.warn(`Account ${user.email} locked until ${lockedUntil.toISOString()} after ${failures} failed logins (last from ${ip})`);
+    }
+
+    return failures;
+  }
+
+  // Clears the failure counter, records the login and warns the user by
+  // mail when it came from a device that has not logged in before
+  async recordSuccess(user, { ip, userAgent = '' } = {}, method = 'password', now = new Date()) {
+    const { knownDevices } = await User.findById(user._id).select('knownDevices');
+    const known = knownDevices.some(device => device.userAgent === userAgent);
+
+    const update = {
+      $set: { failedLoginCount: 0 },
+      $unset: { lastFailedLoginAt: 1, lockedUntil: 1 },
+      $push: {
+        loginHistory: { $each: [{ at: now, ip, userAgent, method }], $slice: -LOGIN_HISTORY_SIZE }
+      }
+    };
+
+    if (known) {
+      await User.updateOne({ _id: user._id }, update);
+      await User.updateOne(
+        { _id: user._id, 'knownDevices.userAgent': userAgent },
+        { $set: { 'knownDevices.$.lastSeenAt': now } }
+      );
+      return { newDevice: false };
+    }
+
+    // The least recently seen device makes room for the new one
+    update.$push.knownDevices = {
+      $each: [{ userAgent, firstSeenAt: now, lastSeenAt: now }],
+      $sort: { lastSeenAt: 1 },
+      $slice: -MAX_KNOWN_DEVICES
+    };
+    await User.updateOne({ _id: user._id }, update);
+
+    // The very first login (or the first since devices were tracked) is
+    // not worth a warning
+    if (knownDevices.length > 0) {
+      logger.info(`Login from a new device for ${user.email} (${ip})`);
+
+      mailer.sendNewDeviceLoginEmail(user, { ip, userAgent, at: now })
+        .catch(error => logger.error(`Failed to send new device email to ${user.email}: ${error.message}`));
+    }
+
+    return { newDevice: true };
+  }
+}
+
+// Singleton instance
+export default new LoginSecurityService();
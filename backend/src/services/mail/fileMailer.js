@@ -0,0 +1,32 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import logger from '../../utils/logger.js';
+
+// Local development driver: messages are written as JSON files to a
+// directory, or only logged when no directory is configured
+class FileMailer {
+  constructor({ dir } = {}) {
+    this.name = dir ? 'file' : 'console';
+    this.dir = dir ? path.resolve(dir) : null;
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${randomBytes(4).toString('hex')}`;
+
+    if (!this.dir) {
+      logger.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { messageId };
+    }
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(
+      path.join(this.dir, `${messageId}.json`),
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    );
+
+    return { messageId };
+  }
+}
+
+export default FileMailer;
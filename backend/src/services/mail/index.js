@@ -0,0 +1,94 @@
+import path from 'path';
+import SmtpMailer from './smtpMailer.js';
+import FileMailer from './fileMailer.js';
+import logger from '../../utils/logger.js';
+import { EMAIL_VERIFICATION_EXPIRE_HOURS, PASSWORD_RESET_EXPIRE_HOURS } from '../../config/constants.js';
+
+// Every driver implements send({ from, to, subject, text, html })
+
+const createDriver = (name) => {
+  switch (name) {
+    case 'smtp':
+      return new SmtpMailer({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+
+    case 'file':
+      return new FileMailer({ dir: process.env.MAIL_DIR || path.join(process.cwd(), 'mail') });
+
+    case 'console':
+      return new FileMailer();
+
+    default:
+      throw new Error(`Unknown mail driver: ${name}`);
+  }
+};
+
+const buildLink = (pathname, token) => {
+  const url = new URL(pathname, process.env.CLIENT_URL || 'http://localhost:3000');
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+const formatHours = (hours) => (hours === 1 ? '1 hour' : `${hours} hours`);
+
+// Request data such as the user agent may contain markup
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+class Mailer {
+  constructor() {
+    this.driver = createDriver(process.env.MAIL_DRIVER || 'console');
+    this.from = process.env.MAIL_FROM || 'File Downloader <no-reply@localhost>';
+
+    logger.info(`Using ${this.driver.name} mail driver`);
+  }
+
+  async send({ to, subject, text, html }) {
+    const result = await this.driver.send({ from: this.from, to, subject, text, html });
+    logger.info(`Mail sent to ${to}: ${subject}`);
+    return result;
+  }
+
+  sendVerificationEmail(user, token) {
+    const link = buildLink('/verify-email', token);
+
+    return this.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in ${formatHours(EMAIL_VERIFICATION_EXPIRE_HOURS)}.`,
+      html: `<p>Hi ${user.username},</p><p>Confirm your email address by opening <a href="${link}">this link</a>.</p><p>The link expires in ${formatHours(EMAIL_VERIFICATION_EXPIRE_HOURS)}.</p>`
+    });
+  }
+
+  sendPasswordResetEmail(user, token) {
+    const link = buildLink('/reset-password', token);
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.username},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in ${formatHours(PASSWORD_RESET_EXPIRE_HOURS)}. If you did not ask for a reset, ignore this email.`,
+      html: `<p>Hi ${user.username},</p><p>Reset your password by opening <a href="${link}">this link</a>.</p><p>The link expires in ${formatHours(PASSWORD_RESET_EXPIRE_HOURS)}. If you did not ask for a reset, ignore this email.</p>`
+    });
+  }
+
+  sendNewDeviceLoginEmail(user, { ip, userAgent, at }) {
+    const device = userAgent || 'Unknown device';
+    const time = at.toUTCString();
+
+    return this.send({
+      to: user.email,
+      subject: 'New login to your account',
+      text: `Hi ${user.username},\n\nYour account was just used to log in from a new device.\n\nDevice: ${device}\nIP address: ${ip}\nTime: ${time}\n\nIf this was not you, change your password and sign out your other sessions from your account settings.`,
+      html: `<p>Hi ${user.username},</p><p>Your account was just used to log in from a new device.</p><p>Device: ${escapeHtml(device)}<br>IP address: ${escapeHtml(ip)}<br>Time: ${time}</p><p>If this was not you, change your password and sign out your other sessions from your account settings.</p>`
+    });
+  }
+}
+
+export { createDriver, SmtpMailer, FileMailer };
+
+// Singleton instance
+export default new Mailer();
@@ -0,0 +1,24 @@
+import nodemailer from 'nodemailer';
+
+class SmtpMailer {
+  constructor({ host, port, secure, user, pass }) {
+    if (!host) {
+      throw new Error('SMTP mailer requires SMTP_HOST');
+    }
+
+    this.name = 'smtp';
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transport.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+export default SmtpMailer;
@@ -0,0 +1,253 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import logger from '../utils/logger.js';
+import { OIDC_DISCOVERY_TTL } from '../config/constants.js';
+
+// Signing algorithms accepted for ID tokens. Symmetric and "none" are never allowed.
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const createOidcError = (message, cause) => {
+  const error = new Error(message);
+  error.code = 'EOIDC';
+  if (cause) error.cause = cause;
+  return error;
+};
+
+// Relying party for a single OpenID Connect provider: discovery, authorization
+// code flow with PKCE (S256) and ID token validation against the provider's JWKS.
+// The issuer is configured by the operator, so it may be a local mock provider.
+export class OidcClient {
+  constructor({ issuer, clientId, clientSecret, redirectUri, scopes = 'openid email profile', timeout = 10000 } = {}) {
+    this.issuer = issuer?.replace(/\/$/, '');
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.redirectUri = redirectUri;
+    this.scopes = scopes;
+    this.http = axios.create({ timeout });
+    this.metadata = null;
+    this.metadataFetchedAt = 0;
+    this.keys = new Map();
+  }
+
+  isEnabled() {
+    return !!(this.issuer && this.clientId && this.redirectUri);
+  }
+
+  async discover() {
+    if (this.metadata && Date.now() - this.metadataFetchedAt < OIDC_DISCOVERY_TTL) {
+      return this.metadata;
+    }
+
+    let metadata;
+    try {
+      ({ data: metadata } = await this.http.get(`${this.issuer}/.well-known/openid-configuration`));
+    } catch (error) {
+      throw createOidcError(`OIDC discovery failed: ${error.message}`, error);
+    }
+
+    // The document must describe the issuer we were configured with
+    if (metadata.issuer?.replace(/\/$/, '') !== this.issuer) {
+      throw createOidcError(`OIDC discovery returned issuer ${metadata.issuer}, expected ${this.issuer}`);
+    }
+
+    for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+      if (!metadata[field]) {
+        throw createOidcError(`OIDC discovery document is missing ${field}`);
+      }
+    }
+
+    this.metadata = metadata;
+    this.metadataFetchedAt = Date.now();
+    this.keys.clear();
+    return metadata;
+  }
+
+  async loadKeys() {
+    const { jwks_uri: jwksUri } = await this.discover();
+
+    let jwks;
+    try {
+      ({ data: jwks } = await this.http.get(jwksUri));
+    } catch (error) {
+      throw createOidcError(`Failed to fetch OIDC signing keys: ${error.message}`, error);
+    }
+
+    this.keys.clear();
+    for (const jwk of jwks.keys || []) {
+      if (jwk.use && jwk.use !== 'sig') continue;
+
+      try {
+        this.keys.set(jwk.kid || '', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        logger.warn(`Skipping unusable OIDC signing key ${jwk.kid}: ${error.message}`);
+      }
+    }
+  }
+
+  // Keys are reloaded when a token names a kid we have not seen (key rotation)
+  async getSigningKey(kid = '') {
+    if (!this.keys.has(kid)) {
+      await this.loadKeys();
+    }
+
+    const key = this.keys.get(kid) || (this.keys.size === 1 && !kid ? [...this.keys.values()][0] : null);
+    if (!key) {
+      throw createOidcError(`No OIDC signing key found for kid ${kid || '(none)'}`);
+    }
+
+    return key;
+  }
+
+  // Everything the callback needs to finish the flow is returned to the caller,
+  // which keeps it in a signed cookie until the provider redirects back
+  async createAuthorizationRequest() {
+    const metadata = await this.discover();
+
+    const state = base64url(crypto.randomBytes(16));
+    const nonce = base64url(crypto.randomBytes(16));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', this.clientId);
+    url.searchParams.set('redirect_uri', this.redirectUri);
+    url.searchParams.set('scope', this.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return { url: url.toString(), state, nonce, codeVerifier };
+  }
+
+  async exchangeCode(code, codeVerifier) {
+    const metadata = await this.discover();
+
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+      code_verifier: codeVerifier,
+      client_id: this.clientId
+    });
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+    const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+
+    if (this.clientSecret) {
+      if (authMethods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      } else {
+        params.set('client_secret', this.clientSecret);
+      }
+    }
+
+    try {
+      const { data } = await this.http.post(metadata.token_endpoint, params.toString(), { headers });
+
+      if (!data.id_token) {
+        throw createOidcError('OIDC token response did not include an id_token');
+      }
+
+      return data;
+    } catch (error) {
+      if (error.code === 'EOIDC') throw error;
+
+      const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+      throw createOidcError(`OIDC code exchange failed: ${reason}`, error);
+    }
+  }
+
+  async validateIdToken(idToken, { nonce }) {
+    const metadata = await this.discover();
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw createOidcError('Malformed ID token');
+    }
+
+    const allowed = (metadata.id_token_signing_alg_values_supported || ['RS256'])
+      .filter(algorithm => SUPPORTED_ALGORITHMS.includes(algorithm));
+
+    if (!allowed.includes(decoded.header.alg)) {
+      throw createOidcError(`ID token signed with unsupported algorithm ${decoded.header.alg}`);
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: allowed,
+        issuer: metadata.issuer,
+        audience: this.clientId,
+        clockTolerance: 60
+      });
+    } catch (error) {
+      throw createOidcError(`Invalid ID token: ${error.message}`, error);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw createOidcError('ID token nonce does not match');
+    }
+
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== this.clientId) {
+      throw createOidcError('ID token was issued to a different client');
+    }
+
+    if (!claims.sub) {
+      throw createOidcError('ID token has no subject');
+    }
+
+    return claims;
+  }
+
+  // Some providers only put email claims in the userinfo response
+  async fetchUserInfo(accessToken) {
+    const { userinfo_endpoint: endpoint } = await this.discover();
+    if (!endpoint || !accessToken) return {};
+
+    try {
+      const { data } = await this.http.get(endpoint, {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+      return data;
+    } catch (error) {
+      logger.warn(`OIDC userinfo request failed: ${error.message}`);
+      return {};
+    }
+  }
+
+  // Runs the callback half of the flow and returns the identity claims
+  async completeAuthorization({ code, codeVerifier, nonce }) {
+    const tokens = await this.exchangeCode(code, codeVerifier);
+    const claims = await this.validateIdToken(tokens.id_token, { nonce });
+
+    if (claims.email) {
+      return claims;
+    }
+
+    const userInfo = await this.fetchUserInfo(tokens.access_token);
+
+    // userinfo must describe the same subject as the ID token
+    if (userInfo.sub !== claims.sub) {
+      return claims;
+    }
+
+    return { ...userInfo, ...claims, email: userInfo.email, email_verified: userInfo.email_verified };
+  }
+}
+
+// Singleton instance
+export default new OidcClient({
+  issuer: process.env.OIDC_ISSUER,
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scopes: process.env.OIDC_SCOPES
+});
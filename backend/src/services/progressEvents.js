@@ -0,0 +1,46 @@
+import { EventEmitter } from 'events';
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'blocked', 'cancelled'];
+
+// In-process hub for download progress. Workers publish here, SSE
+// connections on the same instance subscribe by Download id.
+class ProgressEvents extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open SSE connection
+    this.setMaxListeners(0);
+  }
+
+  publish(downloadId, type, data) {
+    this.emit(downloadId.toString(), { type, data });
+  }
+
+  subscribe(downloadId, listener) {
+    const key = downloadId.toString();
+    this.on(key, listener);
+    return () => this.off(key, listener);
+  }
+
+  // Event payload shared by workers and the SSE endpoint
+  buildEvent(record, progress = record.progress) {
+    return {
+      id: record._id,
+      status: record.status,
+      stage: progress?.stage ?? 'download',
+      bytesReceived: progress?.bytesReceived ?? 0,
+      totalBytes: progress?.totalBytes ?? null,
+      speed: progress?.speed ?? null,
+      eta: progress?.eta ?? null,
+      percent: progress?.percent ?? null,
+      fileName: record.fileName,
+      error: record.error || null
+    };
+  }
+
+  isTerminal(status) {
+    return TERMINAL_STATUSES.includes(status);
+  }
+}
+
+// Singleton instance
+export default new ProgressEvents();
@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+import Download from '../models/Download.js';
+import User from '../models/User.js';
+import { AppError } from '../middlewares/errorMiddleware.js';
+import { PLANS, DEFAULT_PLAN } from '../config/constants.js';
+
+// Failed and cancelled downloads do not count against the allowance, nor do
+// playlist records (their items are counted one by one)
+const COUNTED_STATUSES = ['pending', 'downloading', 'completed', 'blocked'];
+
+const startOfDay = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+const startOfMonth = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+const remainingOf = (limit, used) => (limit === null ? null : Math.max(0, limit - used));
+
+const smallest = (...values) => {
+  const limited = values.filter(value => value !== null && value !== undefined);
+  return limited.length > 0 ? Math.min(...limited) : null;
+};
+
+const createQuotaError = (message) => new AppError(message, 429);
+
+// Plan based limits per user. Usage is always computed from the user's
+// Download records, so there are no counters to keep in sync.
+class QuotaService {
+  getLimits(user) {
+    const plan = PLANS[user.plan] ? user.plan : DEFAULT_PLAN;
+    const limits = { ...PLANS[plan] };
+
+    for (const [key, value] of Object.entries(user.quotaOverrides?.toObject?.() || user.quotaOverrides || {})) {
+      if (key in limits && typeof value === 'number') {
+        limits[key] = value;
+      }
+    }
+
+    return { plan, limits };
+  }
+
+  async getUsage(userId, now = new Date()) {
+    const user = new mongoose.Types.ObjectId(userId.toString());
+    const dayStart = startOfDay(now);
+    const monthStart = startOfMonth(now);
+
+    const [[totals], activeJobs] = await Promise.all([
+      Download.aggregate([
+        { $match: { user, createdAt: { $gte: monthStart }, status: { $in: COUNTED_STATUSES }, type: { $ne: 'playlist' } } },
+        {
+          $group: {
+            _id: null,
+            monthlyDownloads: { $sum: 1 },
+            monthlyBytes: { $sum: { $ifNull: ['$fileSize', 0] } },
+            dailyDownloads: { $sum: { $cond: [{ $gte: ['$createdAt', dayStart] }, 1, 0] } },
+            dailyBytes: { $sum: { $cond: [{ $gte: ['$createdAt', dayStart] }, { $ifNull: ['$fileSize', 0] }, 0] } }
+          }
+        }
+      ]),
+      Download.countDocuments({ user, 'job.kind': { $exists: true }, status: { $in: ['pending', 'downloading'] } })
+    ]);
+
+    return {
+      dailyBytes: totals?.dailyBytes || 0,
+      monthlyBytes: totals?.monthlyBytes || 0,
+      dailyDownloads: totals?.dailyDownloads || 0,
+      monthlyDownloads: totals?.monthlyDownloads || 0,
+      activeJobs
+    };
+  }
+
+  async getSummary(user, now = new Date()) {
+    const { plan, limits } = this.getLimits(user);
+    const usage = await this.getUsage(user._id, now);
+    const monthStart = startOfMonth(now);
+
+    return {
+      plan,
+      limits,
+      usage,
+      remaining: {
+        dailyBytes: remainingOf(limits.dailyBytes, usage.dailyBytes),
+        monthlyBytes: remainingOf(limits.monthlyBytes, usage.monthlyBytes),
+        dailyDownloads: remainingOf(limits.dailyDownloads, usage.dailyDownloads),
+        monthlyDownloads: remainingOf(limits.monthlyDownloads, usage.monthlyDownloads),
+        concurrentJobs: remainingOf(limits.concurrentJobs, usage.activeJobs)
+      },
+      resetsAt: {
+        daily: new Date(startOfDay(now).getTime() + 24 * 60 * 60 * 1000),
+        monthly: new Date(Date.UTC(monthStart.getUTCFullYear(), monthStart.getUTCMonth() + 1, 1))
+      }
+    };
+  }
+
+  // Request-time check before any Download record is created
+  async assertCanStart(user, { count = 1, queued = false } = {}) {
+    const { remaining } = await this.getSummary(user);
+
+    if (remaining.dailyDownloads !== null && remaining.dailyDownloads < count) {
+      throw createQuotaError(`Daily download limit reached (${remaining.dailyDownloads} remaining)`);
+    }
+
+    if (remaining.monthlyDownloads !== null && remaining.monthlyDownloads < count) {
+      throw createQuotaError(`Monthly download limit reached (${remaining.monthlyDownloads} remaining)`);
+    }
+
+    if (remaining.dailyBytes === 0) {
+      throw createQuotaError('Daily data allowance used up');
+    }
+
+    if (remaining.monthlyBytes === 0) {
+      throw createQuotaError('Monthly data allowance used up');
+    }
+
+    if (queued && remaining.concurrentJobs !== null && remaining.concurrentJobs < count) {
+      throw createQuotaError('Too many downloads in progress, wait for one to finish');
+    }
+  }
+
+  // Limits for a single download, checked by the job handlers right before
+  // the transfer starts. The size limit shrinks with the remaining allowance.
+  async getAllowance(userOrId) {
+    const user = userOrId instanceof User ? userOrId : await User.findById(userOrId);
+    if (!user) {
+      throw new Error('Download owner no longer exists');
+    }
+
+    const { limits, remaining } = await this.getSummary(user);
+
+    if (remaining.dailyBytes === 0 || remaining.monthlyBytes === 0) {
+      throw new Error(`${remaining.dailyBytes === 0 ? 'Daily' : 'Monthly'} data allowance used up`);
+    }
+
+    return {
+      maxFileSize: smallest(limits.maxFileSize, remaining.dailyBytes, remaining.monthlyBytes),
+      maxVideoDuration: limits.maxVideoDuration,
+      maxVideoResolution: limits.maxVideoResolution
+    };
+  }
+}
+
+// Singleton instance
+export default new QuotaService();
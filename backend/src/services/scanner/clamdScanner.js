@@ -0,0 +1,76 @@
+import net from 'net';
+import { createReadStream } from 'fs';
+
+const CHUNK_SIZE = 64 * 1024;
+
+// Talks to a ClamAV daemon over its unix socket or TCP port. INSTREAM mode
+// sends the file contents; path mode asks a local clamd to read the file itself.
+class ClamdScanner {
+  constructor({ socketPath, host, port, mode = 'stream', timeout = 60000 }) {
+    this.name = 'clamd';
+    this.connectOptions = socketPath ? { path: socketPath } : { host: host || '127.0.0.1', port: port || 3310 };
+    this.mode = mode;
+    this.timeout = timeout;
+  }
+
+  async scanFile(filePath) {
+    const response = await this.send(async (socket) => {
+      if (this.mode === 'path') {
+        socket.write(`zSCAN ${filePath}\0`);
+        return;
+      }
+
+      socket.write('zINSTREAM\0');
+
+      for await (const data of createReadStream(filePath, { highWaterMark: CHUNK_SIZE })) {
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(data.length);
+        socket.write(size);
+        if (!socket.write(data)) {
+          await new Promise(resolve => socket.once('drain', resolve));
+        }
+      }
+
+      // Zero-length chunk terminates the stream
+      socket.write(Buffer.alloc(4));
+    });
+
+    return this.parseResponse(response);
+  }
+
+  // "stream: OK", "stream: Eicar-Signature FOUND", "... ERROR"
+  parseResponse(response) {
+    const reply = response.replace(/\0/g, '').trim();
+
+    if (reply.endsWith('OK')) {
+      return { infected: false };
+    }
+
+    const found = reply.match(/:\s*(.+)\s+FOUND$/);
+    if (found) {
+      return { infected: true, signature: found[1] };
+    }
+
+    throw new Error(`clamd error: ${reply || 'empty response'}`);
+  }
+
+  send(writeRequest) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.connectOptions);
+      const chunks = [];
+
+      socket.setTimeout(this.timeout, () => {
+        socket.destroy(new Error('clamd timed out'));
+      });
+
+      socket.on('connect', () => {
+        writeRequest(socket).catch(error => socket.destroy(error));
+      });
+      socket.on('data', chunk => chunks.push(chunk));
+      socket.on('end', () => resolve(Buffer.concat(chunks).toString()));
+      socket.on('error', reject);
+    });
+  }
+}
+
+export default ClamdScanner;
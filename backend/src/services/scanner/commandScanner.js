@@ -0,0 +1,46 @@
+import { execFile } from 'child_process';
+
+// Runs any command-line scanner. "{file}" in the arguments is replaced by the
+// file path; the exit code decides the verdict (e.g. clamscan: 0 clean, 1 infected).
+class CommandScanner {
+  constructor({ command, args = [], infectedCodes = [1], timeout = 120000 }) {
+    if (!command) {
+      throw new Error('Command scanner requires SCANNER_COMMAND');
+    }
+
+    this.name = `command:${command}`;
+    this.command = command;
+    this.args = args;
+    this.infectedCodes = infectedCodes;
+    this.timeout = timeout;
+  }
+
+  scanFile(filePath) {
+    const args = this.args.includes('{file}')
+      ? this.args.map(arg => (arg === '{file}' ? filePath : arg))
+      : [...this.args, filePath];
+
+    return new Promise((resolve, reject) => {
+      execFile(this.command, args, { timeout: this.timeout }, (error, stdout, stderr) => {
+        if (!error) {
+          return resolve({ infected: false });
+        }
+
+        if (this.infectedCodes.includes(error.code)) {
+          return resolve({ infected: true, signature: this.extractSignature(stdout) });
+        }
+
+        reject(new Error(`Scanner exited with ${error.code ?? error.signal}: ${(stderr || error.message).trim()}`));
+      });
+    });
+  }
+
+  // Best effort: clamscan style "path: Signature FOUND", else first output line
+  extractSignature(output = '') {
+    const found = output.match(/:\s*(.+?)\s+FOUND/);
+    if (found) return found[1];
+    return output.trim().split('\n')[0] || 'unknown';
+  }
+}
+
+export default CommandScanner;
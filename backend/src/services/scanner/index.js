@@ -0,0 +1,121 @@
+import fs from 'fs/promises';
+import path from 'path';
+import ClamdScanner from './clamdScanner.js';
+import CommandScanner from './commandScanner.js';
+import logger from '../../utils/logger.js';
+import { sanitizeFileName } from '../../utils/downloadUtils.js';
+
+const createScanner = (name) => {
+  switch (name) {
+    case 'none':
+      return null;
+
+    case 'clamd':
+      return new ClamdScanner({
+        socketPath: process.env.CLAMD_SOCKET,
+        host: process.env.CLAMD_HOST,
+        port: parseInt(process.env.CLAMD_PORT) || undefined,
+        mode: process.env.CLAMD_SCAN_MODE || 'stream'
+      });
+
+    case 'command':
+      return new CommandScanner({
+        command: process.env.SCANNER_COMMAND,
+        args: (process.env.SCANNER_ARGS || '').split(' ').filter(Boolean),
+        infectedCodes: (process.env.SCANNER_INFECTED_CODES || '1').split(',').map(code => parseInt(code))
+      });
+
+    default:
+      throw new Error(`Unknown scanner: ${name}`);
+  }
+};
+
+// Scanning stage between download and delivery. Infected files are moved to
+// the quarantine directory and never reach the user's library.
+class ContentScanner {
+  constructor() {
+    this.scanner = createScanner(process.env.SCANNER || 'none');
+    this.quarantineDir = path.resolve(process.env.QUARANTINE_DIR || path.join(process.cwd(), 'quarantine'));
+    // When the scanner itself fails, block delivery unless explicitly told otherwise
+    this.failOpen = process.env.SCANNER_FAIL_OPEN === 'true';
+
+    if (this.scanner) {
+      logger.info(`Using ${this.scanner.name} content scanner`);
+    }
+  }
+
+  // Scan a downloaded file and its separate subtitle files, record the
+  // verdict on the Download record and throw a `blocked` error when any of
+  // them is infected. Nothing is kept once a file fails.
+  async inspect(record, { filePath, fileName, subtitles = [] }) {
+    if (!this.scanner) {
+      record.scan = { status: 'skipped', scannedAt: new Date() };
+      return record.scan;
+    }
+
+    const files = [{ filePath, fileName }, ...subtitles];
+    let scanError = null;
+
+    for (const file of files) {
+      let verdict;
+      try {
+        verdict = await this.scanner.scanFile(file.filePath);
+      } catch (error) {
+        logger.error(`Content scan failed for ${record._id}: ${error.message}`);
+        record.scan = { status: 'error', engine: this.scanner.name, scannedAt: new Date(), error: error.message };
+        scanError = error;
+
+        if (this.failOpen) continue;
+
+        await this.discard(files);
+        throw new Error(`Malware scan failed: ${error.message}`);
+      }
+
+      if (verdict.infected) {
+        record.scan = {
+          status: 'infected',
+          engine: this.scanner.name,
+          signature: verdict.signature,
+          scannedAt: new Date()
+        };
+        record.scan.quarantineFile = await this.quarantine(record, file.filePath, file.fileName);
+        await this.discard(files);
+        logger.warn(`Blocked infected download ${record._id}: ${verdict.signature}`);
+
+        const error = new Error(`File blocked by malware scan: ${verdict.signature}`);
+        error.blocked = true;
+        throw error;
+      }
+    }
+
+    if (!scanError) {
+      record.scan = { status: 'clean', engine: this.scanner.name, scannedAt: new Date() };
+    }
+
+    return record.scan;
+  }
+
+  async discard(files) {
+    await Promise.all(files.map(file => fs.unlink(file.filePath).catch(() => {})));
+  }
+
+  async quarantine(record, filePath, fileName) {
+    const quarantineFile = `${record._id}_${sanitizeFileName(fileName || 'file')}`;
+    const destination = path.join(this.quarantineDir, quarantineFile);
+
+    try {
+      await fs.mkdir(this.quarantineDir, { recursive: true, mode: 0o700 });
+      await fs.copyFile(filePath, destination);
+      await fs.chmod(destination, 0o400);
+      return quarantineFile;
+    } catch (error) {
+      logger.error(`Failed to quarantine ${record._id}: ${error.message}`);
+      return null;
+    } finally {
+      await fs.unlink(filePath).catch(() => {});
+    }
+  }
+}
+
+// Singleton instance
+export default new ContentScanner();
@@ -0,0 +1,134 @@
+import Session from '../models/Session.js';
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/User.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middlewares/errorMiddleware.js';
+import { generateToken, generateRefreshToken, hashToken } from '../utils/tokenUtils.js';
+import { REFRESH_TOKEN_EXPIRE_DAYS } from '../config/constants.js';
+
+class SessionService {
+  constructor() {
+    this.refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || REFRESH_TOKEN_EXPIRE_DAYS;
+  }
+
+  // Start a new session and issue its first token pair
+  async create(user, { ip, userAgent } = {}) {
+    const session = await Session.create({
+      user: user._id,
+      expiresAt: new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000),
+      ip,
+      userAgent
+    });
+
+    return this.issueTokens(session);
+  }
+
+  async issueTokens(session) {
+    const refreshToken = generateRefreshToken();
+
+    await RefreshToken.create({
+      tokenHash: hashToken(refreshToken),
+      session: session._id,
+      user: session.user,
+      expiresAt: session.expiresAt
+    });
+
+    return {
+      session,
+      accessToken: generateToken(session.user, session._id),
+      refreshToken,
+      refreshTokenExpiresAt: session.expiresAt
+    };
+  }
+
+  // Exchange a refresh token for a new pair. Every refresh token is single
+  // use; presenting one that was already exchanged means it was copied, so
+  // the whole session is revoked.
+  async rotate(refreshToken, { ip, userAgent } = {}) {
+    if (!refreshToken) {
+      throw new AppError('Refresh token is required', 401);
+    }
+
+    const tokenHash = hashToken(refreshToken);
+
+    // Mark the token as used in the same operation that reads it, so two
+    // concurrent refreshes cannot both succeed
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash, usedAt: { $exists: false } },
+      { $set: { usedAt: new Date() } }
+    );
+
+    if (!stored) {
+      const reused = await RefreshToken.findOne({ tokenHash });
+
+      if (reused) {
+        await this.revoke(reused.session, 'refresh_token_reuse');
+        logger.warn(`Refresh token reuse detected for user ${reused.user}, session ${reused.session} revoked`);
+      }
+
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const session = await Session.findById(stored.session);
+
+    if (!session || !session.isActive() || stored.expiresAt <= new Date()) {
+      throw new AppError('Session expired, please log in again', 401);
+    }
+
+    const user = await User.findById(stored.user);
+
+    if (!user) {
+      await this.revoke(session._id, 'user_deleted');
+      throw new AppError('User not found', 401);
+    }
+
+    if (user.disabled) {
+      await this.revoke(session._id, 'account_disabled');
+      throw new AppError('Account disabled', 403);
+    }
+
+    session.lastUsedAt = new Date();
+    if (ip) session.ip = ip;
+    if (userAgent) session.userAgent = userAgent;
+    await session.save();
+
+    return { user, ...(await this.issueTokens(session)) };
+  }
+
+  // Used by the auth middleware on every request
+  async isActive(sessionId) {
+    if (!sessionId) return false;
+
+    const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+    return !!session && session.isActive();
+  }
+
+  async revoke(sessionId, reason = 'logout') {
+    const now = new Date();
+
+    await Session.updateOne(
+      { _id: sessionId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: now, revokedReason: reason } }
+    );
+    await RefreshToken.updateMany(
+      { session: sessionId, usedAt: { $exists: false } },
+      { $set: { usedAt: now } }
+    );
+  }
+
+  async revokeAll(userId, reason = 'logout_all', { except } = {}) {
+    const filter = { user: userId, revokedAt: { $exists: false } };
+    if (except) filter._id = { $ne: except };
+
+    const sessions = await Session.find(filter).select('_id');
+
+    for (const session of sessions) {
+      await this.revoke(session._id, reason);
+    }
+
+    return sessions.length;
+  }
+}
+
+// Singleton instance
+export default new SessionService();
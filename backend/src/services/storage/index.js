@@ -0,0 +1,46 @@
+import path from 'path';
+import LocalStorage from './localStorage.js';
+import S3Storage from './s3Storage.js';
+import MirrorStorage from './mirrorStorage.js';
+import logger from '../../utils/logger.js';
+
+// Every driver implements put, get, stream, stat, exists, delete and list
+
+const createDriver = (name) => {
+  switch (name) {
+    case 'local':
+      return new LocalStorage({
+        rootDir: process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'storage')
+      });
+
+    case 's3':
+      return new S3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        // MinIO and most self-hosted S3 servers need path-style URLs
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        prefix: process.env.S3_PREFIX || ''
+      });
+
+    case 'mirror':
+      return new MirrorStorage({
+        primary: createDriver(process.env.STORAGE_MIRROR_PRIMARY || 'local'),
+        mirror: new LocalStorage({
+          rootDir: process.env.STORAGE_MIRROR_DIR || path.join(process.cwd(), 'storage-mirror')
+        })
+      });
+
+    default:
+      throw new Error(`Unknown storage driver: ${name}`);
+  }
+};
+
+const storage = createDriver(process.env.STORAGE_DRIVER || 'local');
+
+logger.info(`Using ${storage.name} storage driver`);
+
+export { createDriver, LocalStorage, S3Storage, MirrorStorage };
+export default storage;
@@ -0,0 +1,94 @@
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import path from 'path';
+
+// Stores objects as plain files below rootDir; keys map to relative paths
+class LocalStorage {
+  constructor({ rootDir }) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  // source is a local file path, a Buffer or a readable stream
+  async put(key, source) {
+    const destination = this.resolvePath(key);
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+
+    if (typeof source === 'string') {
+      await fs.copyFile(source, destination);
+    } else if (Buffer.isBuffer(source)) {
+      await fs.writeFile(destination, source);
+    } else {
+      await pipeline(source, createWriteStream(destination));
+    }
+
+    const stats = await fs.stat(destination);
+    return { key, size: stats.size };
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolvePath(key));
+  }
+
+  async stream(key) {
+    const filePath = this.resolvePath(key);
+    // Fail early with ENOENT instead of on the first read
+    await fs.access(filePath);
+    return createReadStream(filePath);
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.stat(this.resolvePath(key));
+      return { key, size: stats.size, lastModified: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  async delete(key) {
+    await fs.unlink(this.resolvePath(key)).catch((error) => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  async list(prefix = '') {
+    const results = [];
+
+    const walk = async (dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else {
+          const key = path.relative(this.rootDir, fullPath).split(path.sep).join('/');
+          if (key.startsWith(prefix)) {
+            const stats = await fs.stat(fullPath);
+            results.push({ key, size: stats.size, lastModified: stats.mtime });
+          }
+        }
+      }
+    };
+
+    await walk(this.rootDir);
+    return results;
+  }
+}
+
+export default LocalStorage;
@@ -0,0 +1,66 @@
+import logger from '../../utils/logger.js';
+
+// Writes every object to a primary and a mirror driver. Reads come from the
+// primary and fall back to the mirror when the primary copy is missing.
+class MirrorStorage {
+  constructor({ primary, mirror }) {
+    this.name = `mirror(${primary.name},${mirror.name})`;
+    this.primary = primary;
+    this.mirror = mirror;
+  }
+
+  async put(key, source, options = {}) {
+    // Streams can only be consumed once: write the primary, then copy from it
+    const result = await this.primary.put(key, source, options);
+
+    try {
+      const copySource = typeof source === 'string' || Buffer.isBuffer(source)
+        ? source
+        : await this.primary.stream(key);
+      await this.mirror.put(key, copySource, options);
+    } catch (error) {
+      logger.error(`Failed to mirror ${key}: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  async withFallback(method, key) {
+    try {
+      const result = await this.primary[method](key);
+      if (result !== null) return result;
+    } catch (error) {
+      logger.warn(`Primary storage ${method} failed for ${key}, using mirror: ${error.message}`);
+    }
+    return this.mirror[method](key);
+  }
+
+  async get(key) {
+    return this.withFallback('get', key);
+  }
+
+  async stream(key) {
+    return this.withFallback('stream', key);
+  }
+
+  async stat(key) {
+    return this.withFallback('stat', key);
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  async delete(key) {
+    await Promise.all([
+      this.primary.delete(key),
+      this.mirror.delete(key).catch(error => logger.warn(`Failed to delete mirrored ${key}: ${error.message}`))
+    ]);
+  }
+
+  async list(prefix = '') {
+    return this.primary.list(prefix);
+  }
+}
+
+export default MirrorStorage;
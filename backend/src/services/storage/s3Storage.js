@@ -0,0 +1,136 @@
+import { createReadStream } from 'fs';
+import {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+
+// S3-compatible object storage (AWS S3, MinIO, ...)
+class S3Storage {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) {
+    if (!bucket) {
+      throw new Error('S3 storage requires a bucket (S3_BUCKET)');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      endpoint,
+      forcePathStyle,
+      credentials: accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined
+    });
+  }
+
+  objectKey(key) {
+    if (key.split('/').includes('..')) {
+      throw new Error('Invalid storage key');
+    }
+    return `${this.prefix}${key}`;
+  }
+
+  isNotFound(error) {
+    return error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+  }
+
+  // source is a local file path, a Buffer or a readable stream
+  async put(key, source, { contentType } = {}) {
+    const body = typeof source === 'string' ? createReadStream(source) : source;
+
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Body: body,
+        ContentType: contentType
+      }
+    });
+    await upload.done();
+
+    const stats = await this.stat(key);
+    return { key, size: stats?.size ?? 0 };
+  }
+
+  async get(key) {
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async stream(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return response.Body;
+    } catch (error) {
+      if (this.isNotFound(error)) {
+        const notFound = new Error(`Object not found: ${key}`);
+        notFound.code = 'ENOENT';
+        throw notFound;
+      }
+      throw error;
+    }
+  }
+
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return { key, size: response.ContentLength, lastModified: response.LastModified };
+    } catch (error) {
+      if (this.isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+  }
+
+  async list(prefix = '') {
+    const results = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.objectKey(prefix),
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of response.Contents || []) {
+        results.push({
+          key: object.Key.slice(this.prefix.length),
+          size: object.Size,
+          lastModified: object.LastModified
+        });
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return results;
+  }
+}
+
+export default S3Storage;
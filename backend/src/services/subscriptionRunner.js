@@ -0,0 +1,198 @@
+import cron from 'node-cron';
+import Subscription from '../models/Subscription.js';
+import User from '../models/User.js';
+import VideoDownloader from './videoDownloader.js';
+import jobQueue from './jobQueue.js';
+import quotaService from './quotaService.js';
+import logger from '../utils/logger.js';
+import { assertUrlResolvesPublic } from '../utils/ssrfGuard.js';
+import {
+  SUBSCRIPTION_MIN_INTERVAL,
+  SUBSCRIPTION_SCAN_LIMIT,
+  SUBSCRIPTION_MAX_PER_RUN,
+  SUBSCRIPTION_ARCHIVE_SIZE
+} from '../config/constants.js';
+
+// Every instance schedules every enabled subscription with node-cron; when a
+// schedule fires, the instance that claims the run in MongoDB does the check.
+// The schedules are re-synced every minute so edits made through another
+// instance are picked up.
+class SubscriptionRunner {
+  constructor() {
+    this.tasks = new Map();
+    this.syncTask = null;
+  }
+
+  async start() {
+    if (this.syncTask) return;
+
+    await this.sync();
+    this.syncTask = cron.schedule('* * * * *', () => {
+      this.sync().catch(error => logger.error(`Subscription sync failed: ${error.message}`));
+    });
+
+    logger.info(`Subscription runner started (${this.tasks.size} subscriptions)`);
+  }
+
+  stop() {
+    this.syncTask?.destroy();
+    this.syncTask = null;
+
+    for (const id of [...this.tasks.keys()]) {
+      this.unschedule(id);
+    }
+  }
+
+  async sync() {
+    const subscriptions = await Subscription.find({ enabled: true }).select('schedule timezone');
+    const seen = new Set();
+
+    for (const subscription of subscriptions) {
+      seen.add(subscription._id.toString());
+      this.schedule(subscription);
+    }
+
+    for (const id of [...this.tasks.keys()]) {
+      if (!seen.has(id)) this.unschedule(id);
+    }
+  }
+
+  // (Re)create the cron task when the schedule changed; disabled
+  // subscriptions are removed
+  schedule(subscription) {
+    const id = subscription._id.toString();
+    const existing = this.tasks.get(id);
+
+    if (subscription.enabled === false) {
+      this.unschedule(id);
+      return;
+    }
+
+    if (existing?.schedule === subscription.schedule && existing?.timezone === subscription.timezone) {
+      return;
+    }
+
+    this.unschedule(id);
+
+    const task = cron.schedule(subscription.schedule, ({ date }) => {
+      this.run(id, date).catch(error => logger.error(`Subscription ${id} failed: ${error.message}`));
+    }, { name: `subscription:${id}`, timezone: subscription.timezone || undefined, noOverlap: true });
+
+    this.tasks.set(id, { task, schedule: subscription.schedule, timezone: subscription.timezone });
+  }
+
+  unschedule(id) {
+    this.tasks.get(id)?.task.destroy();
+    this.tasks.delete(id);
+  }
+
+  // Claim the run so only one instance checks, and so schedules more
+  // frequent than the minimum interval are throttled
+  async run(id, date = new Date()) {
+    const subscription = await Subscription.findOneAndUpdate(
+      {
+        _id: id,
+        enabled: true,
+        $or: [
+          { lastRunAt: { $exists: false } },
+          { lastRunAt: { $lte: new Date(date.getTime() - SUBSCRIPTION_MIN_INTERVAL) } }
+        ]
+      },
+      { $set: { lastRunAt: date } },
+      { new: true }
+    ).select('+archive');
+
+    if (!subscription) return null;
+
+    return this.check(subscription);
+  }
+
+  // Look for entries that are not in the archive yet and queue the ones
+  // that pass the filters. Returns the number of downloads queued.
+  async check(subscription) {
+    const update = { $set: { lastCheckedAt: new Date() } };
+    let skipped = [];
+    const queued = [];
+
+    try {
+      const user = await User.findById(subscription.user);
+      if (!user || user.disabled) {
+        throw new Error('Subscription owner is disabled or no longer exists');
+      }
+
+      // Fail early on a blocked destination; yt-dlp's own connections are
+      // checked by the egress proxy
+      await assertUrlResolvesPublic(subscription.url);
+      const playlist = await VideoDownloader.getPlaylistInfo(subscription.url, { limit: SUBSCRIPTION_SCAN_LIMIT });
+
+      const archive = new Set(subscription.archive);
+      const fresh = playlist.entries.filter(entry => entry.id && !archive.has(entry.id));
+
+      // Filtered entries are archived straight away; matching ones only
+      // once they are queued, so a capped or refused run tries them again
+      skipped = fresh.filter(entry => !subscription.matches(entry));
+
+      // Queue no more than the owner's plan lets run side by side; the rest
+      // wait for a later run
+      const { remaining } = await quotaService.getSummary(user);
+      const wanted = fresh
+        .filter(entry => subscription.matches(entry))
+        .slice(0, Math.min(SUBSCRIPTION_MAX_PER_RUN, remaining.concurrentJobs ?? Infinity));
+
+      if (wanted.length > 0) {
+        await quotaService.assertCanStart(user, { count: wanted.length, queued: true });
+      }
+
+      for (const entry of wanted) {
+        await jobQueue.enqueue({
+          user: user._id,
+          kind: 'video',
+          url: entry.url,
+          fileName: 'pending_video',
+          type: subscription.extractAudio ? 'audio' : 'video',
+          metadata: {
+            platform: subscription.platform,
+            quality: subscription.quality,
+            format: subscription.format,
+            duration: entry.duration,
+            thumbnail: entry.thumbnail
+          },
+          options: {
+            quality: subscription.quality,
+            format: subscription.format,
+            extractAudio: subscription.extractAudio
+          },
+          subscription: subscription._id
+        });
+        queued.push(entry.id);
+      }
+
+      if (queued.length > 0) {
+        logger.info(`Subscription ${subscription._id} queued ${queued.length} new downloads for user ${user._id}`);
+      }
+
+      update.$unset = { lastError: 1 };
+    } catch (error) {
+      logger.warn(`Subscription ${subscription._id} check failed: ${error.message}`);
+      update.$set.lastError = error.message;
+    } finally {
+      // Whatever was queued before a failure is archived too, so it is not
+      // downloaded twice
+      const handled = [...skipped.map(entry => entry.id), ...queued];
+      if (handled.length > 0) {
+        update.$push = { archive: { $each: handled, $slice: -SUBSCRIPTION_ARCHIVE_SIZE } };
+      }
+      update.$set.lastQueuedCount = queued.length;
+      update.$inc = { totalQueued: queued.length };
+
+      await Subscription.updateOne({ _id: subscription._id }, update).catch(error => {
+        logger.error(`Failed to save subscription ${subscription._id}: ${error.message}`);
+      });
+    }
+
+    return queued.length;
+  }
+}
+
+// Singleton instance
+export default new SubscriptionRunner();
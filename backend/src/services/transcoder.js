@@ -0,0 +1,266 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import ffmpeg from 'fluent-ffmpeg';
+import logger from '../utils/logger.js';
+import { createTranscodeProgressTracker } from '../utils/progressUtils.js';
+import { TRANSCODE_PRESETS, AUDIO_FORMATS, TEMP_DIR } from '../config/constants.js';
+
+// Codecs used when neither a preset nor the request picks one, and the codecs
+// each container can hold
+const CONTAINERS = {
+  mp4: { videoCodec: 'libx264', audioCodec: 'aac', video: ['libx264', 'libx265', 'libaom-av1', 'mpeg4'], audio: ['aac', 'libmp3lame', 'libopus'], subtitleCodec: 'mov_text' },
+  mov: { videoCodec: 'libx264', audioCodec: 'aac', video: ['libx264', 'libx265', 'mpeg4'], audio: ['aac', 'libmp3lame', 'pcm_s16le'], subtitleCodec: 'mov_text' },
+  mkv: { videoCodec: 'libx264', audioCodec: 'aac', video: ['libx264', 'libx265', 'libvpx-vp9', 'libaom-av1', 'mpeg4'], audio: ['aac', 'libmp3lame', 'libopus', 'libvorbis', 'flac', 'pcm_s16le'], subtitleCodec: 'ass' },
+  webm: { videoCodec: 'libvpx-vp9', audioCodec: 'libopus', video: ['libvpx-vp9', 'libaom-av1'], audio: ['libopus', 'libvorbis'] },
+  avi: { videoCodec: 'mpeg4', audioCodec: 'libmp3lame', video: ['mpeg4', 'libx264'], audio: ['libmp3lame', 'pcm_s16le'] },
+  mp3: { audioCodec: 'libmp3lame', audioBitrate: '192k', audio: ['libmp3lame'] },
+  aac: { audioCodec: 'aac', audioBitrate: '192k', audio: ['aac'] },
+  wav: { audioCodec: 'pcm_s16le', audio: ['pcm_s16le'] },
+  flac: { audioCodec: 'flac', audio: ['flac'] },
+  ogg: { audioCodec: 'libvorbis', audioBitrate: '192k', audio: ['libvorbis', 'libopus', 'flac'] }
+};
+
+// ffprobe's demuxer names for each container. mp4 and mov share a demuxer and
+// are told apart by the file's brand, mkv and webm by the codecs inside.
+const DEMUXERS = {
+  mp4: 'mp4',
+  mov: 'mov',
+  mkv: 'matroska',
+  webm: 'webm',
+  avi: 'avi',
+  mp3: 'mp3',
+  aac: 'aac',
+  wav: 'wav',
+  flac: 'flac',
+  ogg: 'ogg'
+};
+const WEBM_CODECS = ['vp8', 'vp9', 'av1', 'opus', 'vorbis'];
+
+// ffmpeg muxer names that differ from the file extension
+const MUXERS = { mkv: 'matroska', aac: 'adts' };
+
+// "720p" caps the height and keeps the aspect ratio; "1280x720" is exact
+const parseResolution = (resolution) => {
+  const match = String(resolution).match(/^(?:(\d+)x)?(\d+)p?$/);
+  if (!match) throw new Error(`Invalid resolution: ${resolution}`);
+  return { width: match[1] ? parseInt(match[1]) : null, height: parseInt(match[2]) };
+};
+
+class Transcoder {
+  isAudioFormat(format) {
+    return AUDIO_FORMATS.includes(format);
+  }
+
+  // Merge container defaults, the preset and the request's own parameters
+  // into the settings for one ffmpeg run. `maxHeight` is the plan's limit.
+  resolveSettings({ format = 'mp4', preset, audioOnly = false, videoCodec, audioCodec, videoBitrate, audioBitrate, resolution, maxHeight } = {}) {
+    const presetSettings = preset ? TRANSCODE_PRESETS[preset] : {};
+    if (!presetSettings) {
+      throw new Error(`Unknown transcoding preset: ${preset}`);
+    }
+
+    const outputFormat = presetSettings.format || format;
+    const container = CONTAINERS[outputFormat];
+    if (!container) {
+      throw new Error(`Unsupported output format: ${outputFormat}`);
+    }
+
+    const settings = {
+      format: outputFormat,
+      audioOnly: audioOnly || !!presetSettings.audioOnly || this.isAudioFormat(outputFormat),
+      videoCodec: videoCodec || presetSettings.videoCodec || container.videoCodec,
+      audioCodec: audioCodec || presetSettings.audioCodec || container.audioCodec,
+      videoBitrate: videoBitrate || presetSettings.videoBitrate,
+      audioBitrate: audioBitrate || presetSettings.audioBitrate || container.audioBitrate,
+      audioChannels: presetSettings.audioChannels,
+      audioFrequency: presetSettings.audioFrequency,
+      // Constant quality unless a bitrate is asked for
+      crf: videoBitrate ? undefined : presetSettings.crf,
+      subtitleCodec: container.subtitleCodec
+    };
+
+    if (settings.audioOnly) {
+      settings.videoCodec = undefined;
+      settings.videoBitrate = undefined;
+      settings.crf = undefined;
+    } else if (!container.video?.includes(settings.videoCodec)) {
+      throw new Error(`${outputFormat} cannot hold ${settings.videoCodec} video`);
+    }
+
+    if (!container.audio.includes(settings.audioCodec)) {
+      throw new Error(`${outputFormat} cannot hold ${settings.audioCodec} audio`);
+    }
+
+    if (!settings.audioOnly) {
+      const size = resolution ? parseResolution(resolution) : { width: null, height: presetSettings.maxHeight || null };
+      const limit = Math.min(size.height || Infinity, maxHeight || Infinity);
+
+      if (size.width && size.height <= limit) {
+        settings.scale = `scale=${size.width}:${size.height}`;
+      } else if (Number.isFinite(limit)) {
+        // Never upscale; -2 keeps the width even, which H.264 requires
+        settings.scale = `scale=-2:'min(ih,${limit})'`;
+      }
+    }
+
+    return settings;
+  }
+
+  // Is the file already what the settings ask for? Only checked when the
+  // request did not customise the encoding.
+  matchesSettings(probe, settings) {
+    if (!this.matchesContainer(probe, settings.format)) return false;
+
+    const hasVideo = probe.streams.some(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+    return settings.audioOnly ? !hasVideo : true;
+  }
+
+  matchesContainer(probe, format) {
+    const demuxers = (probe.format?.format_name || '').split(',');
+    const brand = (probe.format?.tags?.major_brand || '').trim();
+
+    switch (format) {
+      case 'mp4':
+        return demuxers.includes('mp4') && brand !== 'qt';
+      case 'mov':
+        return demuxers.includes('mov') && brand === 'qt';
+      case 'webm':
+        return demuxers.includes('webm') && probe.streams.every(stream =>
+          stream.codec_type === 'data' || WEBM_CODECS.includes(stream.codec_name));
+      default:
+        return demuxers.includes(DEMUXERS[format]);
+    }
+  }
+
+  probe(filePath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(filePath, (error, data) => (error ? reject(error) : resolve(data)));
+    });
+  }
+
+  // Check that the output really is the requested container and holds the
+  // expected streams
+  async verify(filePath, settings) {
+    const probe = await this.probe(filePath);
+
+    if (!this.matchesContainer(probe, settings.format)) {
+      throw new Error(`Output is ${probe.format?.format_name || 'unknown'}, expected ${settings.format}`);
+    }
+
+    const streamTypes = probe.streams.map(stream => stream.codec_type);
+    if (!streamTypes.includes('audio') && !streamTypes.includes('video')) {
+      throw new Error('Output has no audio or video streams');
+    }
+
+    return probe;
+  }
+
+  // Run ffmpeg with the resolved settings. Progress is reported through
+  // onProgress with stage "transcode".
+  async transcode(inputPath, settings, { onProgress, signal, duration } = {}) {
+    const tempId = randomBytes(8).toString('hex');
+    const outputPath = path.join(TEMP_DIR, `${tempId}_transcoded.${settings.format}`);
+    const trackProgress = onProgress ? createTranscodeProgressTracker(duration) : null;
+
+    signal?.throwIfAborted();
+
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg(inputPath).format(MUXERS[settings.format] || settings.format);
+
+      if (settings.audioOnly) {
+        command.noVideo();
+      } else {
+        command.videoCodec(settings.videoCodec);
+        command.outputOptions(['-map 0:v:0?', '-map 0:a:0?']);
+
+        if (settings.videoBitrate) command.videoBitrate(settings.videoBitrate);
+        if (settings.crf !== undefined) command.outputOptions([`-crf ${settings.crf}`]);
+        if (settings.scale) command.videoFilters(settings.scale);
+
+        // Keep embedded subtitles where the container can hold them
+        if (settings.subtitleCodec) {
+          command.outputOptions(['-map 0:s?', `-c:s ${settings.subtitleCodec}`]);
+        } else {
+          command.outputOptions(['-sn']);
+        }
+
+        if (settings.videoCodec === 'libx264') {
+          command.outputOptions(['-pix_fmt yuv420p', '-preset veryfast']);
+        }
+        if (settings.format === 'mp4' || settings.format === 'mov') {
+          command.outputOptions(['-movflags +faststart']);
+        }
+      }
+
+      command.audioCodec(settings.audioCodec);
+      if (settings.audioBitrate) command.audioBitrate(settings.audioBitrate);
+      if (settings.audioChannels) command.audioChannels(settings.audioChannels);
+      if (settings.audioFrequency) command.audioFrequency(settings.audioFrequency);
+
+      signal?.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+
+      command
+        .on('progress', (progress) => trackProgress && onProgress(trackProgress(progress)))
+        .on('end', resolve)
+        .on('error', (error) => {
+          fs.unlink(outputPath).catch(() => {});
+          reject(new Error(`Transcoding failed: ${error.message}`));
+        })
+        .save(outputPath);
+    });
+
+    const stats = await fs.stat(outputPath);
+
+    return { filePath: outputPath, fileSize: stats.size };
+  }
+
+  // Turn a downloaded file into the requested format. The file is transcoded
+  // when a preset or custom parameters are given, or when it is not already
+  // in the requested container; the result is always verified and must still
+  // fit in options.maxFileSize.
+  async process(download, options = {}, { onProgress, signal } = {}) {
+    const { preset, videoCodec, audioCodec, videoBitrate, audioBitrate, resolution, maxFileSize = Infinity } = options;
+    const settings = this.resolveSettings(options);
+    const customised = !!(preset || videoCodec || audioCodec || videoBitrate || audioBitrate || resolution);
+
+    let probe = await this.probe(download.filePath);
+    let { filePath, fileSize } = download;
+
+    if (customised || !this.matchesSettings(probe, settings)) {
+      logger.info(`Transcoding ${download.fileName} to ${settings.format}${preset ? ` (${preset} preset)` : ''}`);
+
+      const output = await this.transcode(download.filePath, settings, { onProgress, signal, duration: download.duration });
+      await fs.unlink(download.filePath).catch(() => {});
+      ({ filePath, fileSize } = output);
+
+      try {
+        probe = await this.verify(filePath, settings);
+
+        // A higher bitrate or a lossless format can outgrow the download
+        if (fileSize > maxFileSize) {
+          throw new Error(`File size exceeds limit of ${maxFileSize / (1024 * 1024)}MB`);
+        }
+      } catch (error) {
+        await fs.unlink(filePath).catch(() => {});
+        throw error;
+      }
+    }
+
+    const video = probe.streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+    const audio = probe.streams.find(stream => stream.codec_type === 'audio');
+
+    return {
+      ...download,
+      filePath,
+      fileSize,
+      fileName: `${path.parse(download.fileName).name}.${settings.format}`,
+      format: settings.format,
+      codec: [video?.codec_name, audio?.codec_name].filter(Boolean).join('/'),
+      resolution: video ? `${video.width}x${video.height}` : undefined
+    };
+  }
+}
+
+// Singleton instance
+export default new Transcoder();
@@ -3,15 +3,21 @@ import { promisify } from 'util';
 import fs from 'fs/promises';
 import path from 'path';
 import { createWriteStream } from 'fs';
+import readline from 'readline';
 import { pipeline } from 'stream/promises';
 import { randomBytes } from 'crypto';
 import ytdl from '@distube/ytdl-core';
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegStatic from 'ffmpeg-static';
 import ytdlp from 'yt-dlp-exec';
+import transcoder from './transcoder.js';
 import logger from '../utils/logger.js';
 import { sanitizeFileName } from '../utils/downloadUtils.js';
-import { MAX_FILE_SIZE } from '../config/constants.js';
+import { getEgressProxyUrl } from '../utils/egressProxy.js';
+import { createProgressTracker, parseYtdlpProgress } from '../utils/progressUtils.js';
+import { convertSubtitles, SUBTITLE_FORMATS } from '../utils/subtitleUtils.js';
+import { formatTimecode } from '../utils/clipUtils.js';
+import { MAX_FILE_SIZE, MAX_PLAYLIST_ENTRIES, TEMP_DIR } from '../config/constants.js';
 
 const execAsync = promisify(exec);
 
@@ -91,6 +97,7 @@ class VideoDownloader {
     try {
       const info = await ytdlp(url, {
         dumpJson: true,
+        proxy: await getEgressProxyUrl(),
         noCheckCertificates: true,
         preferFreeFormats: true,
         youtubeSkipDashManifest: true,
@@ -109,7 +116,10 @@ class VideoDownloader {
         tags: info.tags || [],
         description: info.description || '',
         webpageUrl: info.webpage_url || url,
-        extractor: info.extractor || 'generic'
+        extractor: info.extractor || 'generic',
+        // Language code -> available tracks ({ ext, url, name })
+        subtitles: info.subtitles || {},
+        automaticCaptions: info.automatic_captions || {}
       };
     } catch (error) {
       logger.error(`Failed to get video info: ${error.message}`);
@@ -117,16 +127,148 @@ class VideoDownloader {
     }
   }
 
+  // Resolve a playlist, channel or profile URL into its entries without
+  // fetching each video (flat extraction). A single video URL comes back as
+  // a playlist of one.
+  async getPlaylistInfo(url, { limit = MAX_PLAYLIST_ENTRIES } = {}) {
+    let info;
+    try {
+      info = await ytdlp(url, {
+        dumpSingleJson: true,
+        flatPlaylist: true,
+        playlistEnd: limit,
+        proxy: await getEgressProxyUrl(),
+        noCheckCertificates: true,
+        referer: url
+      });
+    } catch (error) {
+      logger.error(`Failed to expand playlist: ${error.message}`);
+      throw new Error(`Could not fetch playlist information: ${error.message}`);
+    }
+
+    const rawEntries = info._type === 'playlist' ? (info.entries || []) : [info];
+
+    const entries = rawEntries
+      .map((entry, position) => ({
+        index: position + 1,
+        id: entry.id,
+        url: entry.webpage_url || entry.url,
+        title: entry.title || 'Untitled',
+        duration: entry.duration || null,
+        thumbnail: entry.thumbnail || entry.thumbnails?.at(-1)?.url || null,
+        uploader: entry.uploader || entry.channel || null
+      }))
+      // Nested playlists (e.g. a channel's tabs) and private entries have no video URL
+      .filter(entry => /^https?:\/\//i.test(entry.url || ''));
+
+    return {
+      id: info.id,
+      title: info.title || 'Untitled playlist',
+      uploader: info.uploader || info.channel || null,
+      webpageUrl: info.webpage_url || url,
+      extractor: info.extractor_key || info.extractor || 'generic',
+      // Total reported by the site; entries may be capped by `limit`
+      entryCount: info.playlist_count || entries.length,
+      entries
+    };
+  }
+
+  // Subtitle languages a video offers, uploaded by its author or generated
+  // automatically by the platform
+  async getSubtitles(url) {
+    const info = await this.getVideoInfo(url);
+
+    const listTracks = (tracks, automatic) => Object.entries(tracks)
+      // YouTube lists its live chat replay as a subtitle track
+      .filter(([language]) => language !== 'live_chat')
+      .map(([language, formats]) => ({
+        language,
+        name: formats.find(format => format.name)?.name || language,
+        formats: [...new Set(formats.map(format => format.ext))],
+        automatic
+      }));
+
+    return {
+      title: info.title,
+      duration: info.duration,
+      subtitles: listTracks(info.subtitles, false),
+      automaticCaptions: listTracks(info.automaticCaptions, true)
+    };
+  }
+
+  // yt-dlp arguments for the `subtitles` download option:
+  // { languages, mode: 'embed' | 'separate', format, automatic }
+  getSubtitleArgs({ languages = ['en'], mode = 'separate', automatic = false } = {}, format) {
+    const args = ['--write-subs', '--sub-langs', languages.join(','), '--sub-format', 'vtt/srt/best'];
+
+    if (automatic) {
+      args.push('--write-auto-subs');
+    }
+
+    // Embedding needs a container with subtitle streams, so the result is
+    // remuxed into the requested one instead of only being renamed
+    if (mode === 'embed') {
+      args.push('--embed-subs', '--merge-output-format', format, '--remux-video', format);
+    }
+
+    return args;
+  }
+
+  // Convert the subtitle files yt-dlp wrote next to the video
+  // (<name>.<language>.<ext>) into the requested format
+  async collectSubtitles(tempId, files, { format = 'srt' } = {}, info) {
+    const subtitles = [];
+
+    for (const file of files) {
+      const match = file.match(/\.([\w-]+)\.(vtt|srt|ass)$/i);
+      if (!file.startsWith(tempId) || !match) continue;
+
+      const [, language, ext] = match;
+      const sourcePath = path.join(TEMP_DIR, file);
+      const fileName = `${sanitizeFileName(info.title)}.${language}.${format}`;
+      const filePath = path.join(TEMP_DIR, `${tempId}_${fileName}`);
+
+      try {
+        const content = await fs.readFile(sourcePath, 'utf8');
+        await fs.writeFile(filePath, convertSubtitles(content, format, ext.toLowerCase()));
+      } catch (error) {
+        logger.warn(`Skipping ${language} subtitles: ${error.message}`);
+        continue;
+      } finally {
+        if (sourcePath !== filePath) {
+          await fs.unlink(sourcePath).catch(() => {});
+        }
+      }
+
+      const stats = await fs.stat(filePath);
+      subtitles.push({
+        language,
+        format,
+        automatic: !info.subtitles[language],
+        filePath,
+        fileName,
+        fileSize: stats.size
+      });
+    }
+
+    return subtitles;
+  }
+
   async downloadWithYtdlp(url, options = {}) {
     const {
       quality = 'best',
       format = 'mp4',
       outputPath,
       fileName,
-      maxFileSize = MAX_FILE_SIZE
+      maxFileSize = MAX_FILE_SIZE,
+      maxHeight,
+      subtitles,
+      clip,
+      onProgress,
+      signal
     } = options;
 
-    const tempDir = path.join(process.cwd(), 'temp');
+    const tempDir = TEMP_DIR;
     const tempId = randomBytes(8).toString('hex');
     const outputTemplate = fileName 
       ? path.join(tempDir, `${tempId}_${fileName}`)
@@ -139,14 +281,34 @@ class VideoDownloader {
         '--prefer-free-formats',
         '--youtube-skip-dash-manifest',
         '--referer', url,
-        '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+        '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+        // Every connection yt-dlp makes is checked against the SSRF rules
+        '--proxy', await getEgressProxyUrl()
       ];
 
       // Add quality/format options
       if (quality === 'audio') {
         args.push('--extract-audio', '--audio-format', 'mp3');
       } else {
-        args.push('--format', `bestvideo[height<=${this.parseQuality(quality)}]+bestaudio/best[height<=${this.parseQuality(quality)}]`);
+        const height = Math.min(this.parseQuality(quality), maxHeight || Infinity);
+        args.push('--format', `bestvideo[height<=${height}]+bestaudio/best[height<=${height}]`);
+      }
+
+      if (subtitles) {
+        args.push(...this.getSubtitleArgs(subtitles, format));
+      }
+
+      // Only fetch the requested range; accurate clips re-encode around the cuts
+      if (clip) {
+        args.push('--download-sections', `*${formatTimecode(clip.start)}-${formatTimecode(clip.end)}`);
+        if (clip.mode !== 'fast') {
+          args.push('--force-keyframes-at-cuts');
+        }
+      }
+
+      // Let yt-dlp skip formats that are known to be too large
+      if (Number.isFinite(maxFileSize)) {
+        args.push('--max-filesize', String(maxFileSize));
       }
 
       // Add output options
@@ -155,15 +317,30 @@ class VideoDownloader {
         '--no-part',
         '--no-mtime',
         '--console-title',
-        '--progress'
+        '--progress',
+        '--newline'
       );
 
-      // Execute yt-dlp
-      const result = await ytdlp.exec(args);
+      // Execute yt-dlp, forwarding its progress lines
+      signal?.throwIfAborted();
+      const subprocess = ytdlp.exec(args);
+      
+      signal?.addEventListener('abort', () => subprocess.kill('SIGTERM'), { once: true });
+
+      if (onProgress && subprocess.stdout) {
+        readline.createInterface({ input: subprocess.stdout }).on('line', (line) => {
+          const progress = parseYtdlpProgress(line);
+          if (progress) {
+            onProgress(progress);
+          }
+        });
+      }
+
+      await subprocess;
 
       // Find the downloaded file
       const files = await fs.readdir(tempDir);
-      const downloadedFile = files.find(file => file.startsWith(tempId));
+      const downloadedFile = files.find(file => file.startsWith(tempId) && !this.isSubtitleFile(file));
       
       if (!downloadedFile) {
         throw new Error('Downloaded file not found');
@@ -178,9 +355,11 @@ class VideoDownloader {
         throw new Error(`File size (${stats.size} bytes) exceeds limit`);
       }
 
-      // Get file info
+      // Get file info. The name keeps the container yt-dlp actually produced;
+      // converting to the requested format is the transcoder's job.
       const info = await this.getVideoInfo(url);
-      const finalFileName = fileName || sanitizeFileName(info.title) + `.${format}`;
+      const baseName = fileName ? path.parse(fileName).name : sanitizeFileName(info.title);
+      const finalFileName = `${baseName}${path.extname(downloadedFile) || `.${format}`}`;
       const finalPath = path.join(tempDir, `${tempId}_${finalFileName}`);
 
       // Rename if needed
@@ -188,18 +367,26 @@ class VideoDownloader {
         await fs.rename(filePath, finalPath);
       }
 
+      // Embedded tracks are removed by yt-dlp; separate ones are left for us
+      const subtitleFiles = subtitles
+        ? await this.collectSubtitles(tempId, files, subtitles, info)
+        : [];
+
       return {
         success: true,
         filePath: finalPath,
         fileName: finalFileName,
         fileSize: stats.size,
-        duration: info.duration,
+        duration: clip ? clip.length : info.duration,
         thumbnail: info.thumbnail,
+        subtitles: subtitleFiles,
         metadata: info
       };
 
     } catch (error) {
       logger.error(`yt-dlp download failed: ${error.message}`);
+      // Partial media, fragments and subtitles of a failed or cancelled run
+      await this.removeTempFiles(tempId);
       throw new Error(`Video download failed: ${error.message}`);
     }
   }
@@ -211,11 +398,17 @@ class VideoDownloader {
       throw new Error('URL is not from a supported social media platform');
     }
 
-    // Use yt-dlp for all platforms except YouTube (where we can use ytdl-core as fallback)
-    if (platform === 'youtube') {
+    if (options.clip) {
+      return await this.downloadClip(url, options);
+    }
+
+    // Use yt-dlp for all platforms except YouTube (where we can use ytdl-core as fallback).
+    // ytdl-core cannot fetch captions, so subtitle requests always go through yt-dlp.
+    if (platform === 'youtube' && !options.subtitles) {
       try {
         return await this.downloadYouTubeVideo(url, options);
       } catch (error) {
+        if (options.signal?.aborted) throw error;
         logger.warn(`YouTube download failed, falling back to yt-dlp: ${error.message}`);
         return await this.downloadWithYtdlp(url, options);
       }
@@ -225,12 +418,79 @@ class VideoDownloader {
     return await this.downloadWithYtdlp(url, options);
   }
 
+  // Download a time range ({ start, end, length, mode }) of a video. yt-dlp
+  // fetches only that range where the site allows it; otherwise the whole
+  // video is downloaded and cut with ffmpeg.
+  async downloadClip(url, options = {}) {
+    const { clip, ...fullOptions } = options;
+
+    try {
+      return await this.downloadWithYtdlp(url, options);
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      logger.warn(`Section download failed, cutting the full video instead: ${error.message}`);
+    }
+
+    const full = await this.downloadVideo(url, fullOptions);
+
+    try {
+      const cut = await this.cutClip(full.filePath, clip, { signal: options.signal });
+
+      return {
+        ...full,
+        filePath: cut.filePath,
+        fileSize: cut.fileSize,
+        duration: clip.length
+      };
+    } finally {
+      await fs.unlink(full.filePath).catch(() => {});
+    }
+  }
+
+  // Cut [start, end) out of a downloaded file. "fast" copies the streams and
+  // starts at the keyframe before `start`; "accurate" re-encodes so the clip
+  // starts and ends exactly on the requested times.
+  async cutClip(inputPath, { start, end, mode = 'accurate' }, { signal } = {}) {
+    const tempId = randomBytes(8).toString('hex');
+    const outputPath = path.join(TEMP_DIR, `${tempId}_clip${path.extname(inputPath)}`);
+
+    signal?.throwIfAborted();
+
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg(inputPath)
+        .seekInput(start)
+        .duration(end - start);
+
+      if (mode === 'fast') {
+        command.outputOptions(['-c copy', '-avoid_negative_ts make_zero']);
+      }
+
+      signal?.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+
+      command
+        .on('end', resolve)
+        .on('error', (error) => {
+          fs.unlink(outputPath).catch(() => {});
+          reject(new Error(`Clip cutting failed: ${error.message}`));
+        })
+        .save(outputPath);
+    });
+
+    const stats = await fs.stat(outputPath);
+
+    return { filePath: outputPath, fileSize: stats.size };
+  }
+
   async downloadYouTubeVideo(url, options = {}) {
     const {
       quality = 'highest',
       format = 'mp4',
       outputPath,
-      fileName
+      fileName,
+      maxFileSize = MAX_FILE_SIZE,
+      maxHeight,
+      onProgress,
+      signal
     } = options;
 
     try {
@@ -238,12 +498,17 @@ class VideoDownloader {
       const info = await ytdl.getInfo(url);
       const videoDetails = info.videoDetails;
       
+      // Only consider formats within the allowed resolution
+      const formats = maxHeight
+        ? info.formats.filter(candidate => !candidate.height || candidate.height <= maxHeight)
+        : info.formats;
+
       // Choose format
       let chosenFormat;
       if (quality === 'audio') {
-        chosenFormat = ytdl.chooseFormat(info.formats, { quality: 'highestaudio' });
+        chosenFormat = ytdl.chooseFormat(formats, { quality: 'highestaudio' });
       } else {
-        chosenFormat = ytdl.chooseFormat(info.formats, { 
+        chosenFormat = ytdl.chooseFormat(formats, { 
           quality: quality === 'highest' ? 'highest' : 'highestvideo'
         });
       }
@@ -252,10 +517,14 @@ class VideoDownloader {
         throw new Error('No suitable format found');
       }
 
-      // Generate file name
+      if (parseInt(chosenFormat.contentLength) > maxFileSize) {
+        throw new Error(`File size (${chosenFormat.contentLength} bytes) exceeds limit`);
+      }
+
+      // Generate file name, with the extension of the stream's real container
       const safeTitle = sanitizeFileName(videoDetails.title);
-      const finalFileName = fileName || `${safeTitle}.${format}`;
-      const tempDir = path.join(process.cwd(), 'temp');
+      const finalFileName = `${fileName ? path.parse(fileName).name : safeTitle}.${chosenFormat.container || format}`;
+      const tempDir = TEMP_DIR;
       const tempId = randomBytes(8).toString('hex');
       const filePath = path.join(tempDir, `${tempId}_${finalFileName}`);
 
@@ -268,6 +537,20 @@ class VideoDownloader {
         highWaterMark: 1024 * 1024 * 10 // 10MB buffer
       });
 
+      signal?.throwIfAborted();
+      signal?.addEventListener('abort', () => videoStream.destroy(new Error('Download cancelled')), { once: true });
+
+      const trackProgress = onProgress ? createProgressTracker() : null;
+      videoStream.on('progress', (chunkLength, downloaded, total) => {
+        if (downloaded > maxFileSize) {
+          videoStream.destroy(new Error(`File size exceeds limit of ${maxFileSize} bytes`));
+          return;
+        }
+        if (trackProgress) {
+          onProgress(trackProgress(downloaded, total));
+        }
+      });
+
       await pipeline(videoStream, writeStream);
 
       // Get file size
@@ -295,6 +578,10 @@ class VideoDownloader {
     }
   }
 
+  isSubtitleFile(fileName) {
+    return SUBTITLE_FORMATS.includes(path.extname(fileName).slice(1).toLowerCase());
+  }
+
   parseQuality(quality) {
     const qualityMap = {
       '144p': 144,
@@ -312,27 +599,15 @@ class VideoDownloader {
     return qualityMap[quality] || 720;
   }
 
-  async extractAudio(videoPath, outputFormat = 'mp3') {
-    const tempDir = path.join(process.cwd(), 'temp');
-    const tempId = randomBytes(8).toString('hex');
-    const outputPath = path.join(tempDir, `${tempId}_audio.${outputFormat}`);
-
-    return new Promise((resolve, reject) => {
-      ffmpeg(videoPath)
-        .audioBitrate(128)
-        .toFormat(outputFormat)
-        .on('end', () => {
-          resolve({
-            success: true,
-            filePath: outputPath,
-            fileName: `audio.${outputFormat}`
-          });
-        })
-        .on('error', (error) => {
-          reject(new Error(`Audio extraction failed: ${error.message}`));
-        })
-        .save(outputPath);
-    });
+  async extractAudio(videoPath, outputFormat = 'mp3', options = {}) {
+    const settings = transcoder.resolveSettings({ ...options, format: outputFormat, audioOnly: true });
+    const { filePath } = await transcoder.transcode(videoPath, settings, options);
+
+    return {
+      success: true,
+      filePath,
+      fileName: `audio.${settings.format}`
+    };
   }
 
   async getAvailableFormats(url) {
@@ -378,6 +653,14 @@ class VideoDownloader {
     }
   }
 
+  // Delete every file in TEMP_DIR written under the given temp id
+  async removeTempFiles(tempId) {
+    const files = await fs.readdir(TEMP_DIR).catch(() => []);
+    await this.cleanupFiles(files
+      .filter(file => file.startsWith(tempId))
+      .map(file => path.join(TEMP_DIR, file)));
+  }
+
   async cleanupFiles(filePaths) {
     try {
       const deletePromises = filePaths.map(filePath => 
@@ -0,0 +1,77 @@
+import archiver from 'archiver';
+import path from 'path';
+import contentDisposition from 'content-disposition';
+import { sanitizeFileName } from './downloadUtils.js';
+import logger from './logger.js';
+
+const MANIFEST_NAME = 'manifest.json';
+
+// Streams a ZIP archive to the response. Files are added as soon as each
+// download finishes; a manifest.json describing every URL is written last.
+export const createBatchArchive = (res, archiveName = 'downloads.zip') => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const usedNames = new Set([MANIFEST_NAME]);
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', contentDisposition(archiveName));
+
+  archive.on('warning', (error) => {
+    logger.warn(`Archive warning: ${error.message}`);
+  });
+
+  archive.on('error', (error) => {
+    logger.error(`Archive error: ${error.message}`);
+    res.destroy(error);
+  });
+
+  archive.pipe(res);
+
+  // "video.mp4" -> "video (1).mp4" when the name is already taken
+  const uniqueName = (fileName) => {
+    const safeName = sanitizeFileName(fileName || 'file');
+    const ext = path.extname(safeName);
+    const base = safeName.slice(0, safeName.length - ext.length);
+
+    let name = safeName;
+    for (let i = 1; usedNames.has(name.toLowerCase()); i++) {
+      name = sanitizeFileName(`${base} (${i})${ext}`);
+    }
+
+    usedNames.add(name.toLowerCase());
+    return name;
+  };
+
+  return {
+    // source is a file path or a readable stream; returns the entry name used
+    addFile(source, fileName) {
+      const name = uniqueName(fileName);
+
+      if (typeof source === 'string') {
+        archive.file(source, { name });
+      } else {
+        archive.append(source, { name });
+      }
+
+      return name;
+    },
+
+    async finalize(results) {
+      const manifest = {
+        createdAt: new Date().toISOString(),
+        total: results.length,
+        successful: results.filter(r => r.success).length,
+        failed: results.filter(r => !r.success).length,
+        files: results.map(r => ({
+          url: r.url,
+          status: r.success ? 'completed' : 'failed',
+          fileName: r.archiveName || null,
+          fileSize: r.fileSize || null,
+          error: r.error || null
+        }))
+      };
+
+      archive.append(JSON.stringify(manifest, null, 2), { name: MANIFEST_NAME });
+      await archive.finalize();
+    }
+  };
+};
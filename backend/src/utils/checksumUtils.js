@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import { createReadStream } from 'fs';
+
+export const CHECKSUM_ALGORITHMS = {
+  sha256: 64,
+  sha1: 40,
+  md5: 32
+};
+
+// SHA-256 is always computed so every download carries an integrity hash
+export const DEFAULT_CHECKSUM_ALGORITHM = 'sha256';
+
+const algorithmsFor = (checksum) => {
+  const algorithms = new Set([DEFAULT_CHECKSUM_ALGORITHM]);
+  if (checksum?.algorithm) {
+    algorithms.add(checksum.algorithm);
+  }
+  return [...algorithms];
+};
+
+// Incremental hashing of a stream of chunks with one or more algorithms
+export const createHasher = (checksum) => {
+  const hashes = algorithmsFor(checksum).map(algorithm => [algorithm, crypto.createHash(algorithm)]);
+
+  return {
+    update(chunk) {
+      for (const [, hash] of hashes) {
+        hash.update(chunk);
+      }
+    },
+
+    // Feed bytes already on disk (e.g. the partial file of a resumed download)
+    async updateFromFile(filePath) {
+      for await (const chunk of createReadStream(filePath)) {
+        this.update(chunk);
+      }
+    },
+
+    digest() {
+      return Object.fromEntries(hashes.map(([algorithm, hash]) => [algorithm, hash.digest('hex')]));
+    }
+  };
+};
+
+export const hashFile = async (filePath, checksum) => {
+  const hasher = createHasher(checksum);
+  await hasher.updateFromFile(filePath);
+  return hasher.digest();
+};
+
+// Throws when the computed hashes do not match the expected checksum
+export const verifyChecksum = (hashes, checksum) => {
+  if (!checksum?.value) return false;
+
+  const expected = checksum.value.trim().toLowerCase();
+  const actual = hashes[checksum.algorithm];
+
+  if (actual !== expected) {
+    const error = new Error(`Checksum mismatch: expected ${checksum.algorithm} ${expected}, got ${actual}`);
+    error.checksumMismatch = true;
+    throw error;
+  }
+
+  return true;
+};
+
+// Integrity metadata stored on Download records. Results without hashes
+// (e.g. videos) are hashed from the finished file.
+export const buildIntegrity = async (result, checksum) => {
+  const hashes = result.hashes || await hashFile(result.filePath, checksum);
+
+  return {
+    ...hashes,
+    expected: checksum?.value
+      ? { algorithm: checksum.algorithm, value: checksum.value.trim().toLowerCase() }
+      : undefined,
+    verified: !!result.checksumVerified
+  };
+};
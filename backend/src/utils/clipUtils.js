@@ -0,0 +1,58 @@
+// Time ranges for clip downloads. Positions are given in seconds or as
+// timecodes ("90", "1:30", "01:02:03.5") and handled internally in seconds.
+
+export const CLIP_MODES = ['accurate', 'fast'];
+
+export const parseTimecode = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^(?:(?:(\d+):)?(\d{1,2}):)?(\d+(?:\.\d+)?)$/);
+  if (!match) return null;
+
+  const [, hours = '0', minutes = '0', seconds] = match;
+
+  // "1:75" is not a timecode
+  if ((match[2] !== undefined && parseFloat(seconds) >= 60) || (match[1] !== undefined && parseInt(minutes) >= 60)) {
+    return null;
+  }
+
+  return (parseInt(hours) * 60 + parseInt(minutes)) * 60 + parseFloat(seconds);
+};
+
+// "HH:MM:SS.mmm", as accepted by yt-dlp and ffmpeg
+export const formatTimecode = (seconds) => {
+  const millis = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+  return `${pad(Math.floor(millis / 3600000))}:${pad(Math.floor(millis / 60000) % 60)}:`
+    + `${pad(Math.floor(millis / 1000) % 60)}.${pad(millis % 1000, 3)}`;
+};
+
+// Resolve a requested clip against the video's duration. A missing start
+// means the beginning, a missing end the end of the video; an end past the
+// video is cut back to its duration when the duration is known.
+export const resolveClipRange = ({ start, end }, duration) => {
+  const from = start === undefined || start === null ? 0 : parseTimecode(start);
+  let to = end === undefined || end === null ? duration || null : parseTimecode(end);
+
+  if (from === null || (end !== undefined && end !== null && to === null)) {
+    throw new Error('Invalid clip start or end time');
+  }
+  if (!to) {
+    throw new Error('Clip end is required when the video length is unknown');
+  }
+  if (duration && from >= duration) {
+    throw new Error(`Clip starts at ${from}s but the video is only ${duration}s long`);
+  }
+  if (duration && to > duration) {
+    to = duration;
+  }
+  if (to <= from) {
+    throw new Error('Clip end must be after its start');
+  }
+
+  return { start: from, end: to, length: to - from };
+};
@@ -1,19 +1,26 @@
 import axios from 'axios';
 import fs from 'fs/promises';
-import { createWriteStream } from 'fs';
-import { pipeline } from 'stream/promises';
+import { createWriteStream, createReadStream } from 'fs';
+import { pipeline, finished } from 'stream/promises';
 import { randomBytes } from 'crypto';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { 
   DOWNLOAD_TIMEOUT, 
   MAX_FILE_SIZE, 
-  FILE_TYPES 
+  FILE_TYPES,
+  SEGMENTED_CONNECTIONS,
+  MIN_SEGMENT_SIZE,
+  SEGMENT_RETRIES,
+  TEMP_DIR
 } from '../config/constants.js';
 import logger from './logger.js';
+import { createProgressTracker } from './progressUtils.js';
+import { createHasher, hashFile, verifyChecksum } from './checksumUtils.js';
+import { assertUrlAllowed, ssrfRequestOptions } from './ssrfGuard.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const tempDir = path.join(__dirname, '../temp');
+const tempDir = TEMP_DIR;
+
+const USER_AGENT = 'File-Downloader/1.0 (+https://github.com/filedownloader)';
 
 // Ensure temp directory exists
 try {
@@ -96,108 +103,223 @@ const sanitizeFileName = (fileName) => {
     .substring(0, 255);
 };
 
+// Final file name from the custom name, Content-Disposition or URL,
+// with an extension derived from the content type when missing
+const resolveFileName = (url, headers = {}, customFileName) => {
+  let originalFileName = '';
+  
+  // Get original filename from Content-Disposition header
+  const contentDisposition = headers['content-disposition'];
+  if (contentDisposition) {
+    const filenameMatch = contentDisposition.match(/filename[^;=\n]*=((['"]).*?\2|[^;\n]*)/);
+    if (filenameMatch && filenameMatch[1]) {
+      originalFileName = filenameMatch[1].replace(/['"]/g, '');
+    }
+  }
+  
+  // Fallback to extracting from URL
+  if (!originalFileName) {
+    try {
+      const urlObj = new URL(url);
+      const pathname = urlObj.pathname;
+      const urlFileName = path.basename(pathname);
+      if (urlFileName && urlFileName.includes('.')) {
+        originalFileName = urlFileName;
+      }
+    } catch (error) {
+      // URL parsing failed, use default
+    }
+  }
+  
+  // Final fallback
+  if (!originalFileName) {
+    originalFileName = 'downloaded_file';
+  }
+  
+  let finalFileName = customFileName || sanitizeFileName(originalFileName);
+  
+  // Ensure file has an extension
+  if (!path.extname(finalFileName)) {
+    const extension = getFileExtension(url, headers['content-type'] || '');
+    if (extension !== 'bin') {
+      finalFileName = `${finalFileName}.${extension}`;
+    }
+  }
+  
+  return finalFileName;
+};
+
+// Parse "bytes 100-199/1000" into { start, total }
+const parseContentRange = (header = '') => {
+  const match = header.match(/^bytes (\d+)-\d+\/(\d+|\*)$/);
+  if (!match) return null;
+  
+  return {
+    start: parseInt(match[1]),
+    total: match[2] === '*' ? null : parseInt(match[2])
+  };
+};
+
+// Turn axios/network errors into user-facing messages
+const describeDownloadError = (error) => {
+  // Blocked destinations may be wrapped by axios or the redirect handler
+  const blocked = [error, error.cause, error.cause?.cause].find(e => e?.code === 'ESSRF');
+  if (blocked) {
+    return blocked.message;
+  } else if (error.code === 'ECONNABORTED') {
+    return 'Download timeout';
+  } else if (error.code === 'ENOTFOUND') {
+    return 'Cannot resolve URL';
+  } else if (error.response) {
+    return `Server responded with ${error.response.status}`;
+  }
+  return error.message;
+};
+
 export const downloadFile = async (url, options = {}) => {
   const {
     timeout = DOWNLOAD_TIMEOUT,
     maxSize = MAX_FILE_SIZE,
     customFileName,
-    userId
+    userId,
+    onProgress,
+    resumeFrom,
+    onResumeState,
+    checksum,
+    signal
   } = options;
   
-  const tempFileName = randomBytes(16).toString('hex');
+  // Reuse the partial file of an earlier attempt when resuming
+  const tempFileName = resumeFrom?.tempFileName || randomBytes(16).toString('hex');
   const tempPath = path.join(tempDir, tempFileName);
+  const validator = resumeFrom?.etag || resumeFrom?.lastModified;
+  
+  let offset = 0;
+  if (resumeFrom?.tempFileName && validator) {
+    offset = await fs.stat(tempPath).then(stats => stats.size).catch(() => 0);
+  }
   
   let fileSize = 0;
   let contentType = '';
-  let originalFileName = '';
+  let resumable = false;
   
   try {
+    assertUrlAllowed(url);
+    
+    const headers = {
+      'User-Agent': USER_AGENT
+    };
+    
+    if (offset > 0) {
+      headers['Range'] = `bytes=${offset}-`;
+      headers['If-Range'] = validator;
+    }
+    
     const response = await axios({
       method: 'GET',
       url,
+      ...ssrfRequestOptions,
       responseType: 'stream',
       timeout,
       maxContentLength: maxSize,
-      headers: {
-        'User-Agent': 'File-Downloader/1.0 (+https://github.com/filedownloader)'
-      },
-      validateStatus: (status) => status === 200
+      headers,
+      signal,
+      validateStatus: (status) => status === 200 || status === 206 || (offset > 0 && status === 416)
     });
     
-    if (response.status !== 200) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    // The partial file no longer fits the remote file, start over
+    if (response.status === 416) {
+      response.data.destroy();
+      await fs.unlink(tempPath).catch(() => {});
+      logger.info(`Range not satisfiable for ${url}, restarting download`);
+      return downloadFile(url, { ...options, resumeFrom: undefined });
     }
     
-    contentType = response.headers['content-type'] || '';
+    // 206 continues the partial file. 200 means the server ignored the
+    // range or the validators no longer match, so the file is fetched again.
+    const isPartial = response.status === 206;
     const contentLength = parseInt(response.headers['content-length']);
+    let totalBytes = contentLength || null;
+    
+    if (isPartial) {
+      const contentRange = parseContentRange(response.headers['content-range']);
+      
+      if (!contentRange || contentRange.start !== offset) {
+        response.data.destroy();
+        throw new Error('Server returned an unexpected byte range');
+      }
+      
+      totalBytes = contentRange.total;
+      logger.info(`Resuming download of ${url} at byte ${offset}`);
+    } else {
+      if (offset > 0) {
+        logger.info(`Server did not accept range request for ${url}, restarting download`);
+      }
+      offset = 0;
+    }
+    
+    fileSize = offset;
+    contentType = response.headers['content-type'] || '';
     
     if (!isSupportedFileType(contentType, url)) {
       throw new Error('Unsupported file type');
     }
     
-    if (contentLength && contentLength > maxSize) {
+    if (totalBytes && totalBytes > maxSize) {
       throw new Error(`File size exceeds limit of ${maxSize / (1024 * 1024)}MB`);
     }
     
-    // Get original filename from Content-Disposition header
-    const contentDisposition = response.headers['content-disposition'];
-    if (contentDisposition) {
-      const filenameMatch = contentDisposition.match(/filename[^;=\n]*=((['"]).*?\2|[^;\n]*)/);
-      if (filenameMatch && filenameMatch[1]) {
-        originalFileName = filenameMatch[1].replace(/['"]/g, '');
-      }
-    }
+    // Remember what is needed to resume this download later
+    const etag = response.headers['etag'];
+    const lastModified = response.headers['last-modified'];
+    resumable = isPartial || (response.headers['accept-ranges'] === 'bytes' && !!(etag || lastModified));
     
-    // Fallback to extracting from URL
-    if (!originalFileName) {
-      try {
-        const urlObj = new URL(url);
-        const pathname = urlObj.pathname;
-        const urlFileName = path.basename(pathname);
-        if (urlFileName && urlFileName.includes('.')) {
-          originalFileName = urlFileName;
-        }
-      } catch (error) {
-        // URL parsing failed, use default
-      }
+    if (onResumeState) {
+      await onResumeState({
+        tempFileName,
+        etag: etag || resumeFrom?.etag,
+        lastModified: lastModified || resumeFrom?.lastModified,
+        totalBytes,
+        resumable
+      });
     }
     
-    // Final fallback
-    if (!originalFileName) {
-      originalFileName = 'downloaded_file';
+    // Hash while streaming; a resumed download first hashes the bytes it already has
+    const hasher = createHasher(checksum);
+    if (isPartial) {
+      await hasher.updateFromFile(tempPath);
     }
     
-    // Write stream with progress tracking
-    const writer = createWriteStream(tempPath);
+    // Write stream with progress tracking (append when resuming)
+    const writer = createWriteStream(tempPath, { flags: isPartial ? 'a' : 'w' });
+    const trackProgress = createProgressTracker(totalBytes, offset);
     
     response.data.on('data', (chunk) => {
+      hasher.update(chunk);
       fileSize += chunk.length;
       if (fileSize > maxSize) {
-        response.data.destroy();
-        writer.destroy();
-        throw new Error('File size exceeded during download');
+        resumable = false;
+        response.data.destroy(new Error('File size exceeded during download'));
+        return;
+      }
+      
+      if (onProgress) {
+        onProgress(trackProgress(fileSize));
       }
     });
     
     await pipeline(response.data, writer);
     
-    // Generate final filename
-    let finalFileName;
-    
-    if (customFileName) {
-      finalFileName = customFileName;
-    } else {
-      finalFileName = sanitizeFileName(originalFileName);
+    if (totalBytes && fileSize !== totalBytes) {
+      throw new Error(`Incomplete download: received ${fileSize} of ${totalBytes} bytes`);
     }
     
-    // Ensure file has an extension
-    const hasExtension = path.extname(finalFileName);
-    if (!hasExtension) {
-      const extension = getFileExtension(url, contentType);
-      if (extension !== 'bin') {
-        finalFileName = `${finalFileName}.${extension}`;
-      }
-    }
+    // The file is complete, a checksum mismatch must start over rather than resume
+    resumable = false;
+    const hashes = hasher.digest();
+    const checksumVerified = verifyChecksum(hashes, checksum);
+    
+    const finalFileName = resolveFileName(url, response.headers, customFileName);
     
     // Rename temp file with final name
     const finalPath = path.join(tempDir, `${tempFileName}_${finalFileName}`);
@@ -209,28 +331,241 @@ export const downloadFile = async (url, options = {}) => {
       fileName: finalFileName,
       fileSize,
       contentType,
-      originalUrl: url
+      originalUrl: url,
+      hashes,
+      checksumVerified
     };
     
   } catch (error) {
-    // Clean up temp file if exists
+    // Keep the partial file when the download can be resumed later
+    const keepPartial = resumable && fileSize > 0;
+    
+    if (!keepPartial) {
+      try {
+        await fs.unlink(tempPath).catch(() => {});
+      } catch (cleanupError) {
+        logger.error(`Failed to cleanup temp file: ${cleanupError.message}`);
+      }
+    }
+    
+    const errorMessage = describeDownloadError(error);
+    
+    const downloadError = new Error(errorMessage);
+    downloadError.resumable = keepPartial;
+    downloadError.bytesDownloaded = keepPartial ? fileSize : 0;
+    throw downloadError;
+  }
+};
+
+// Remove the partial file kept for a resumable download
+export const removePartialDownload = async (tempFileName) => {
+  if (!tempFileName) return;
+  await fs.unlink(path.join(tempDir, path.basename(tempFileName))).catch(() => {});
+};
+
+// Split totalBytes into at most `count` inclusive byte ranges
+const splitIntoRanges = (totalBytes, count) => {
+  const segmentCount = Math.max(1, Math.min(count, Math.floor(totalBytes / MIN_SEGMENT_SIZE)));
+  const segmentSize = Math.ceil(totalBytes / segmentCount);
+  const ranges = [];
+  
+  for (let start = 0; start < totalBytes; start += segmentSize) {
+    ranges.push({ start, end: Math.min(start + segmentSize, totalBytes) - 1 });
+  }
+  
+  return ranges;
+};
+
+// Fetch one byte range into its own part file, retrying from the start of the range
+const downloadSegment = async (url, range, partPath, { timeout, validator, signal, onData }) => {
+  const expectedBytes = range.end - range.start + 1;
+  
+  for (let attempt = 0; ; attempt++) {
+    let received = 0;
+    
     try {
-      await fs.unlink(tempPath).catch(() => {});
-    } catch (cleanupError) {
-      logger.error(`Failed to cleanup temp file: ${cleanupError.message}`);
+      const headers = {
+        'User-Agent': USER_AGENT,
+        'Range': `bytes=${range.start}-${range.end}`
+      };
+      if (validator) {
+        headers['If-Range'] = validator;
+      }
+      
+      const response = await axios({
+        method: 'GET',
+        url,
+        ...ssrfRequestOptions,
+        responseType: 'stream',
+        timeout,
+        headers,
+        signal,
+        validateStatus: (status) => status === 206
+      });
+      
+      const contentRange = parseContentRange(response.headers['content-range']);
+      if (!contentRange || contentRange.start !== range.start) {
+        response.data.destroy();
+        throw new Error('Server returned an unexpected byte range');
+      }
+      
+      response.data.on('data', (chunk) => {
+        received += chunk.length;
+        onData(chunk.length);
+      });
+      
+      await pipeline(response.data, createWriteStream(partPath));
+      
+      if (received !== expectedBytes) {
+        throw new Error(`Segment ${range.start}-${range.end} incomplete: received ${received} of ${expectedBytes} bytes`);
+      }
+      
+      return;
+    } catch (error) {
+      // Undo this attempt's bytes so overall progress stays accurate
+      onData(-received);
+      
+      if (signal.aborted || attempt >= SEGMENT_RETRIES) {
+        throw error;
+      }
+      
+      logger.warn(`Retrying segment ${range.start}-${range.end} of ${url}: ${error.message}`);
+    }
+  }
+};
+
+// Download a file over several parallel connections, one byte range each.
+// Falls back to downloadFile when the server does not support ranges.
+export const downloadFileSegmented = async (url, options = {}) => {
+  const {
+    timeout = DOWNLOAD_TIMEOUT,
+    maxSize = MAX_FILE_SIZE,
+    customFileName,
+    connections = SEGMENTED_CONNECTIONS,
+    onProgress,
+    checksum,
+    signal
+  } = options;
+  
+  const tempFileName = randomBytes(16).toString('hex');
+  const tempPath = path.join(tempDir, tempFileName);
+  const partPaths = [];
+  const controller = new AbortController();
+  
+  // Cancelling the whole download stops every segment
+  signal?.addEventListener('abort', () => controller.abort(), { once: true });
+  
+  // Nothing is sent, not even the probe, to a blocked destination
+  assertUrlAllowed(url);
+  
+  // Probe for range support and total size
+  const probe = await axios({
+    method: 'HEAD',
+    url,
+    ...ssrfRequestOptions,
+    timeout,
+    signal,
+    headers: { 'User-Agent': USER_AGENT },
+    validateStatus: (status) => status === 200
+  }).catch(() => null);
+  
+  signal?.throwIfAborted();
+  
+  const totalBytes = parseInt(probe?.headers['content-length']);
+  const acceptsRanges = probe?.headers['accept-ranges'] === 'bytes';
+  
+  if (!acceptsRanges || !totalBytes || totalBytes < MIN_SEGMENT_SIZE * 2) {
+    logger.info(`Segmented download not possible for ${url}, using single connection`);
+    return downloadFile(url, options);
+  }
+  
+  try {
+    const contentType = probe.headers['content-type'] || '';
+    
+    if (!isSupportedFileType(contentType, url)) {
+      throw new Error('Unsupported file type');
+    }
+    
+    if (totalBytes > maxSize) {
+      throw new Error(`File size exceeds limit of ${maxSize / (1024 * 1024)}MB`);
+    }
+    
+    const ranges = splitIntoRanges(totalBytes, connections);
+    const trackProgress = createProgressTracker(totalBytes);
+    // Make sure every segment comes from the same version of the file
+    const validator = probe.headers['etag'] || probe.headers['last-modified'];
+    let received = 0;
+    
+    logger.info(`Segmented download of ${url}: ${totalBytes} bytes over ${ranges.length} connections`);
+    
+    let segmentError = null;
+    const segments = ranges.map((range, index) => {
+      const partPath = `${tempPath}.part${index}`;
+      partPaths.push(partPath);
+      
+      return downloadSegment(url, range, partPath, {
+        timeout,
+        validator,
+        signal: controller.signal,
+        onData: (bytes) => {
+          received += bytes;
+          if (onProgress && bytes > 0) {
+            onProgress(trackProgress(received));
+          }
+        }
+      }).catch((error) => {
+        // Stop the other segments as soon as one fails
+        segmentError ??= error;
+        controller.abort();
+      });
+    });
+    
+    // Wait until every segment has stopped writing before the parts are
+    // reassembled or removed
+    await Promise.all(segments);
+    if (segmentError) {
+      throw segmentError;
     }
     
-    // Enhance error messages
-    let errorMessage = error.message;
-    if (error.code === 'ECONNABORTED') {
-      errorMessage = 'Download timeout';
-    } else if (error.code === 'ENOTFOUND') {
-      errorMessage = 'Cannot resolve URL';
-    } else if (error.response) {
-      errorMessage = `Server responded with ${error.response.status}`;
+    // Reassemble the parts in order
+    const writer = createWriteStream(tempPath);
+    for (const partPath of partPaths) {
+      await pipeline(createReadStream(partPath), writer, { end: false });
     }
+    writer.end();
+    await finished(writer);
+    
+    const { size: fileSize } = await fs.stat(tempPath);
+    if (fileSize !== totalBytes) {
+      throw new Error(`Reassembled file is ${fileSize} bytes, expected ${totalBytes}`);
+    }
+    
+    const hashes = await hashFile(tempPath, checksum);
+    const checksumVerified = verifyChecksum(hashes, checksum);
+    
+    const finalFileName = resolveFileName(url, probe.headers, customFileName);
+    const finalPath = path.join(tempDir, `${tempFileName}_${finalFileName}`);
+    await fs.rename(tempPath, finalPath);
+    
+    return {
+      success: true,
+      filePath: finalPath,
+      fileName: finalFileName,
+      fileSize,
+      contentType,
+      originalUrl: url,
+      segments: ranges.length,
+      hashes,
+      checksumVerified
+    };
+    
+  } catch (error) {
+    controller.abort();
+    await fs.unlink(tempPath).catch(() => {});
     
-    throw new Error(errorMessage);
+    throw new Error(describeDownloadError(error));
+  } finally {
+    await Promise.all(partPaths.map(partPath => fs.unlink(partPath).catch(() => {})));
   }
 };
 
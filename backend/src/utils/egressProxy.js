@@ -0,0 +1,122 @@
+import http from 'http';
+import net from 'net';
+import { once } from 'events';
+import logger from './logger.js';
+import { assertUrlAllowed, safeLookup, ssrfRequestOptions } from './ssrfGuard.js';
+
+// yt-dlp, and the ffmpeg it starts for some downloads, resolve hostnames
+// themselves, so checking the URL once beforehand cannot stop DNS rebinding
+// or a redirect to an internal address. Their traffic goes through this
+// local proxy instead, which checks every connection (redirect hops
+// included) and connects to the address safeLookup approved.
+// Anything run without the proxy setting is not covered.
+
+let proxyUrl = null;
+
+const HOP_HEADERS = ['proxy-connection', 'proxy-authorization'];
+
+const refuse = (socket, error) => {
+  const status = error.code === 'ESSRF' ? '403 Forbidden' : '502 Bad Gateway';
+  socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+};
+
+// HTTPS: open a tunnel to host:port
+const handleConnect = (req, clientSocket, head) => {
+  let target;
+  try {
+    target = new URL(`https://${req.url}`);
+    assertUrlAllowed(target.href);
+  } catch (error) {
+    logger.warn(`Proxy refused tunnel to ${req.url}: ${error.message}`);
+    return refuse(clientSocket, error);
+  }
+
+  let connected = false;
+  const upstream = net.connect({
+    host: target.hostname.replace(/^\[|\]$/g, ''),
+    port: parseInt(target.port) || 443,
+    lookup: safeLookup
+  });
+
+  upstream.once('connect', () => {
+    connected = true;
+    clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+    upstream.write(head);
+    upstream.pipe(clientSocket);
+    clientSocket.pipe(upstream);
+  });
+
+  upstream.on('error', (error) => {
+    if (connected) {
+      clientSocket.destroy();
+    } else {
+      refuse(clientSocket, error);
+    }
+  });
+  clientSocket.on('error', () => upstream.destroy());
+};
+
+// Plain HTTP: forward the request. Redirects are passed back to the client,
+// whose next request comes through here again.
+const handleRequest = (req, res) => {
+  try {
+    assertUrlAllowed(req.url);
+    if (new URL(req.url).protocol !== 'http:') {
+      throw new Error('Only http URLs can be forwarded');
+    }
+  } catch (error) {
+    logger.warn(`Proxy refused request to ${req.url}: ${error.message}`);
+    res.writeHead(error.code === 'ESSRF' ? 403 : 400).end();
+    return;
+  }
+
+  const headers = { ...req.headers };
+  for (const header of HOP_HEADERS) {
+    delete headers[header];
+  }
+
+  const upstream = http.request(req.url, {
+    method: req.method,
+    headers,
+    agent: ssrfRequestOptions.httpAgent
+  }, (response) => {
+    res.writeHead(response.statusCode, response.headers);
+    response.pipe(res);
+  });
+
+  upstream.on('error', (error) => {
+    if (!res.headersSent) {
+      res.writeHead(error.code === 'ESSRF' ? 403 : 502);
+    }
+    res.end();
+  });
+
+  req.pipe(upstream);
+};
+
+const startProxy = async () => {
+  const server = http.createServer(handleRequest);
+  server.on('connect', handleConnect);
+
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  // Never keeps the process alive on its own
+  server.unref();
+
+  const { port } = server.address();
+  logger.info(`Egress proxy listening on 127.0.0.1:${port}`);
+
+  return `http://127.0.0.1:${port}`;
+};
+
+// Address of the proxy, started on first use
+export const getEgressProxyUrl = () => {
+  if (!proxyUrl) {
+    proxyUrl = startProxy().catch((error) => {
+      proxyUrl = null;
+      throw error;
+    });
+  }
+  return proxyUrl;
+};
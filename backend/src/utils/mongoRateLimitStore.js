@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import RateLimit from '../models/RateLimit.js';
+
+const DUPLICATE_KEY = 11000;
+
+// express-rate-limit store that keeps counters in MongoDB so every backend
+// instance enforces the same limit. Each window is a single document that
+// is incremented atomically and reset once its window has passed.
+class MongoRateLimitStore {
+  constructor({ prefix = 'rl:' } = {}) {
+    this.prefix = prefix;
+    this.localKeys = false;
+    this.windowMs = 60 * 1000;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  id(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  // Fail fast instead of letting mongoose buffer the query while the
+  // database is unreachable; the limiter then lets the request through
+  assertConnected() {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('Rate limit store unavailable: MongoDB is not connected');
+    }
+  }
+
+  async get(key) {
+    this.assertConnected();
+
+    const entry = await RateLimit.findById(this.id(key)).lean();
+    if (!entry || entry.resetAt <= new Date()) {
+      return undefined;
+    }
+
+    return { totalHits: entry.hits, resetTime: entry.resetAt };
+  }
+
+  async increment(key) {
+    this.assertConnected();
+
+    const now = new Date();
+    const active = { $gt: ['$resetAt', now] };
+
+    const update = () => RateLimit.findOneAndUpdate(
+      { _id: this.id(key) },
+      [{
+        $set: {
+          hits: { $cond: [active, { $add: ['$hits', 1] }, 1] },
+          resetAt: { $cond: [active, '$resetAt', new Date(now.getTime() + this.windowMs)] }
+        }
+      }],
+      { upsert: true, new: true, updatePipeline: true }
+    ).lean();
+
+    let entry;
+    try {
+      entry = await update();
+    } catch (error) {
+      // Two instances upserting the same new key at once; the loser retries
+      // and updates the document the winner created
+      if (error.code !== DUPLICATE_KEY) throw error;
+      entry = await update();
+    }
+
+    return { totalHits: entry.hits, resetTime: entry.resetAt };
+  }
+
+  async decrement(key) {
+    this.assertConnected();
+
+    await RateLimit.updateOne(
+      { _id: this.id(key), hits: { $gt: 0 }, resetAt: { $gt: new Date() } },
+      { $inc: { hits: -1 } }
+    );
+  }
+
+  async resetKey(key) {
+    this.assertConnected();
+
+    await RateLimit.deleteOne({ _id: this.id(key) });
+  }
+}
+
+export default MongoRateLimitStore;
@@ -0,0 +1,46 @@
+// Item selection for playlist downloads, using 1-based positions like
+// yt-dlp's --playlist-items. Accepts an array of positions or a string such
+// as "1-5,8,10-12". Returns the sorted, de-duplicated positions.
+export const parseItemSelection = (selection, itemCount) => {
+  const positions = new Set();
+
+  const add = (position) => {
+    if (!Number.isInteger(position) || position < 1 || position > itemCount) {
+      throw new Error(`Item ${position} is out of range (playlist has ${itemCount} items)`);
+    }
+    positions.add(position);
+  };
+
+  if (selection === undefined || selection === null || selection === '') {
+    for (let position = 1; position <= itemCount; position++) add(position);
+    return [...positions];
+  }
+
+  const parts = Array.isArray(selection) ? selection : String(selection).split(',');
+
+  for (const part of parts) {
+    if (typeof part === 'number') {
+      add(part);
+      continue;
+    }
+
+    const match = String(part).trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid item selection: "${part}"`);
+    }
+
+    const start = parseInt(match[1]);
+    const end = match[2] ? parseInt(match[2]) : start;
+
+    if (end < start) {
+      throw new Error(`Invalid item range: "${part}"`);
+    }
+
+    // Check both ends first so a huge range fails before it is walked
+    add(start);
+    add(end);
+    for (let position = start; position <= end; position++) add(position);
+  }
+
+  return [...positions].sort((a, b) => a - b);
+};
@@ -0,0 +1,102 @@
+const SIZE_UNITS = {
+  B: 1,
+  KiB: 1024,
+  MiB: 1024 ** 2,
+  GiB: 1024 ** 3,
+  TiB: 1024 ** 4,
+  KB: 1000,
+  MB: 1000 ** 2,
+  GB: 1000 ** 3,
+  TB: 1000 ** 4
+};
+
+const toBytes = (value, unit) => {
+  const multiplier = SIZE_UNITS[unit];
+  return multiplier ? Math.round(parseFloat(value) * multiplier) : null;
+};
+
+// "05", "01:05" or "1:02:05" -> seconds
+const parseDuration = (value) => {
+  if (!value || !/^[\d:]+$/.test(value)) return null;
+  return value.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+};
+
+const toPercent = (bytesReceived, totalBytes) => {
+  if (!totalBytes) return null;
+  return Math.min(100, Math.round((bytesReceived / totalBytes) * 1000) / 10);
+};
+
+// Returns a function that turns a running byte count into a progress event
+// ({ bytesReceived, totalBytes, speed, eta, percent }) with speed averaged since start.
+// initialBytes is the size already on disk when a download is resumed.
+export const createProgressTracker = (totalBytes = null, initialBytes = 0) => {
+  const startedAt = Date.now();
+
+  return (bytesReceived, total = totalBytes) => {
+    const elapsed = (Date.now() - startedAt) / 1000;
+    const speed = elapsed > 0 ? Math.round((bytesReceived - initialBytes) / elapsed) : 0;
+    const eta = total && speed ? Math.max(0, Math.round((total - bytesReceived) / speed)) : null;
+
+    return {
+      bytesReceived,
+      totalBytes: total || null,
+      speed,
+      eta,
+      percent: toPercent(bytesReceived, total)
+    };
+  };
+};
+
+// Parse a yt-dlp progress line into the same shape as createProgressTracker, e.g.
+// "[download]  45.3% of ~10.00MiB at  1.23MiB/s ETA 00:05 (frag 3/10)"
+const YTDLP_PROGRESS_REGEX = /^\[download\]\s+([\d.]+)%\s+of\s+~?\s*([\d.]+)([KMGT]?i?B)(?:\s+at\s+(?:([\d.]+)([KMGT]?i?B)\/s|Unknown speed))?(?:\s+(?:ETA|in)\s+([\d:]+|Unknown))?/;
+
+export const parseYtdlpProgress = (line) => {
+  const match = line.trim().match(YTDLP_PROGRESS_REGEX);
+  if (!match) return null;
+
+  const [, percentValue, sizeValue, sizeUnit, speedValue, speedUnit, etaValue] = match;
+  const percent = Math.min(100, parseFloat(percentValue));
+  const totalBytes = toBytes(sizeValue, sizeUnit);
+
+  return {
+    bytesReceived: totalBytes ? Math.round((totalBytes * percent) / 100) : 0,
+    totalBytes,
+    speed: speedValue ? toBytes(speedValue, speedUnit) : null,
+    eta: percent >= 100 ? 0 : parseDuration(etaValue),
+    percent
+  };
+};
+
+// "00:01:02.50" -> seconds
+const parseTimemark = (value) => {
+  const match = String(value || '').match(/^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/);
+  if (!match) return null;
+  return (parseInt(match[1], 10) * 60 + parseInt(match[2], 10)) * 60 + parseFloat(match[3]);
+};
+
+// Returns a function that turns fluent-ffmpeg progress events
+// ({ percent, timemark, targetSize, currentKbps }) into the same shape, tagged
+// with stage "transcode". The percentage is taken from the position in the
+// output when the duration is known, since ffmpeg's own figure is relative
+// to the input. bytesReceived is the size written so far.
+export const createTranscodeProgressTracker = (duration = null) => {
+  const startedAt = Date.now();
+
+  return ({ percent, timemark, targetSize, currentKbps } = {}) => {
+    const position = parseTimemark(timemark);
+    let done = duration && position !== null ? (position / duration) * 100 : percent;
+    done = Number.isFinite(done) ? Math.min(100, Math.max(0, Math.round(done * 10) / 10)) : null;
+
+    const elapsed = (Date.now() - startedAt) / 1000;
+
+    return {
+      stage: 'transcode',
+      bytesReceived: targetSize ? Math.round(targetSize * 1024) : 0,
+      totalBytes: null,
+      speed: currentKbps ? Math.round((currentKbps * 1000) / 8) : null,
+      eta: done > 0 ? Math.max(0, Math.round((elapsed * (100 - done)) / done)) : null,
+      percent: done
+    };
+  };
+};
@@ -0,0 +1,204 @@
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import logger from './logger.js';
+
+// Address ranges a user-supplied URL must never reach: private networks,
+// loopback, link-local (incl. cloud metadata endpoints), CGNAT, multicast and reserved
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const BLOCKED_HOSTNAMES = ['localhost', 'metadata.google.internal', 'metadata'];
+
+const createBlockList = (ranges) => {
+  const blockList = new net.BlockList();
+  for (const [address, prefix, type] of ranges) {
+    blockList.addSubnet(address, prefix, type);
+  }
+  return blockList;
+};
+
+// Comma-separated hostnames ("example.com", "*.example.com"), IPs or CIDRs
+const parseRules = (value = '') => {
+  const hosts = [];
+  const ranges = [];
+
+  for (const entry of value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean)) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIP(address);
+
+    if (type) {
+      ranges.push([address, prefix ? parseInt(prefix) : (type === 4 ? 32 : 128), type === 4 ? 'ipv4' : 'ipv6']);
+    } else {
+      hosts.push(entry);
+    }
+  }
+
+  return { hosts, ranges: createBlockList(ranges), hasRanges: ranges.length > 0 };
+};
+
+const config = {
+  enabled: process.env.SSRF_PROTECTION !== 'false',
+  blocked: createBlockList(BLOCKED_RANGES),
+  allow: parseRules(process.env.SSRF_ALLOWLIST),
+  deny: parseRules(process.env.SSRF_DENYLIST)
+};
+
+const matchesHost = (hostname, patterns) => patterns.some(pattern =>
+  pattern.startsWith('*.')
+    ? hostname.endsWith(pattern.slice(1))
+    : hostname === pattern
+);
+
+// IPv4-mapped IPv6 ("::ffff:127.0.0.1", "::ffff:7f00:1") -> "127.0.0.1"
+const normalizeAddress = (address) => {
+  const lower = address.toLowerCase();
+
+  const dotted = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) return dotted[1];
+
+  const hex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (hex) {
+    const high = parseInt(hex[1], 16);
+    const low = parseInt(hex[2], 16);
+    return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+  }
+
+  return address;
+};
+
+const checkAddress = (rules, address) => {
+  const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  return rules.check(address, type);
+};
+
+const createBlockedError = (message) => {
+  const error = new Error(message);
+  error.code = 'ESSRF';
+  return error;
+};
+
+export const isBlockedAddress = (address) => {
+  const normalized = normalizeAddress(address);
+
+  if (config.allow.hasRanges && checkAddress(config.allow.ranges, normalized)) return false;
+  if (config.deny.hasRanges && checkAddress(config.deny.ranges, normalized)) return true;
+
+  return checkAddress(config.blocked, normalized);
+};
+
+const isBlockedHostname = (hostname) => {
+  if (matchesHost(hostname, config.allow.hosts)) return false;
+  return matchesHost(hostname, config.deny.hosts) ||
+    BLOCKED_HOSTNAMES.includes(hostname) ||
+    hostname.endsWith('.localhost') ||
+    hostname.endsWith('.internal') ||
+    hostname.endsWith('.local');
+};
+
+// Synchronous checks on the URL itself (protocol, hostname rules, IP literals).
+// Hostnames are checked again after DNS resolution by safeLookup.
+export const assertUrlAllowed = (url) => {
+  if (!config.enabled) return;
+
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    throw createBlockedError('Invalid URL');
+  }
+
+  if (!['http:', 'https:'].includes(urlObj.protocol)) {
+    throw createBlockedError(`Protocol ${urlObj.protocol} is not allowed`);
+  }
+
+  const hostname = urlObj.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+
+  if (net.isIP(hostname)) {
+    if (isBlockedAddress(hostname)) {
+      throw createBlockedError(`Destination ${hostname} is not allowed`);
+    }
+  } else if (isBlockedHostname(hostname)) {
+    throw createBlockedError(`Destination ${hostname} is not allowed`);
+  }
+};
+
+// Resolve a URL's host and make sure none of its addresses are blocked
+export const assertUrlResolvesPublic = async (url) => {
+  assertUrlAllowed(url);
+  if (!config.enabled) return;
+
+  const { hostname } = new URL(url);
+  if (net.isIP(hostname.replace(/^\[|\]$/g, '')) || matchesHost(hostname.toLowerCase(), config.allow.hosts)) return;
+
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+
+  if (blocked) {
+    throw createBlockedError(`Destination ${hostname} resolves to a blocked address`);
+  }
+};
+
+// dns.lookup replacement for http(s) agents. The socket connects to the
+// address checked here, so a second DNS answer cannot rebind the request.
+export const safeLookup = (hostname, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (config.enabled && !matchesHost(hostname.toLowerCase(), config.allow.hosts)) {
+      const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+      if (blocked) {
+        logger.warn(`Blocked request to ${hostname} (${blocked.address})`);
+        return callback(createBlockedError(`Destination ${hostname} resolves to a blocked address`));
+      }
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+// Spread into every axios request that fetches a user-supplied URL
+export const ssrfRequestOptions = {
+  httpAgent,
+  httpsAgent,
+  maxRedirects: 5,
+  // Every redirect hop is checked before it is followed
+  beforeRedirect: (options) => {
+    assertUrlAllowed(options.href);
+  }
+};
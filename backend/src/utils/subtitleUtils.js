@@ -0,0 +1,233 @@
+// Conversion between WebVTT, SubRip (SRT) and Advanced SubStation Alpha
+// (ASS). Every format is parsed into a list of cues
+// ({ start, end, text } with times in milliseconds) whose text keeps only
+// line breaks and <b>, <i> and <u> tags, the styling all three formats share.
+
+export const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass'];
+
+const BASIC_TAG = /^<\/?[biu]>$/i;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const splitTime = (ms) => {
+  const total = Math.max(0, Math.round(ms));
+  return {
+    hours: Math.floor(total / 3600000),
+    minutes: Math.floor(total / 60000) % 60,
+    seconds: Math.floor(total / 1000) % 60,
+    millis: total % 1000
+  };
+};
+
+// "01:02:03.456", "02:03.456" (VTT) or "01:02:03,456" (SRT)
+const parseTimestamp = (value) => {
+  const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[.,](\d{1,3})$/);
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return ((parseInt(hours) * 60 + parseInt(minutes)) * 60 + parseInt(seconds)) * 1000
+    + parseInt(fraction.padEnd(3, '0'));
+};
+
+// "0:01:02.34" (centiseconds)
+const parseAssTimestamp = (value) => {
+  const match = value.trim().match(/^(\d+):(\d{1,2}):(\d{1,2})(?:\.(\d{1,3}))?$/);
+  if (!match) return null;
+
+  const [, hours, minutes, seconds, fraction = '0'] = match;
+  return ((parseInt(hours) * 60 + parseInt(minutes)) * 60 + parseInt(seconds)) * 1000
+    + parseInt(fraction.padEnd(3, '0').slice(0, 3));
+};
+
+const formatTimestamp = (ms, separator) => {
+  const { hours, minutes, seconds, millis } = splitTime(ms);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+};
+
+const formatAssTimestamp = (ms) => {
+  const { hours, minutes, seconds, millis } = splitTime(ms);
+  return `${hours}:${pad(minutes)}:${pad(seconds)}.${pad(Math.floor(millis / 10))}`;
+};
+
+const normalize = (text) => String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+const blocks = (text) => normalize(text).split(/\n{2,}/).map(block => block.trim()).filter(Boolean);
+
+// Keep <b>, <i> and <u>; drop voice, class and karaoke timestamp tags
+const stripMarkup = (text) => text.replace(/<[^>]*>/g, tag => (BASIC_TAG.test(tag) ? tag.toLowerCase() : ''));
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lrm;|&rlm;/g, '')
+  .replace(/&amp;/g, '&');
+
+const cleanText = (lines) => lines.map(line => line.trim()).join('\n').trim();
+
+// A cue block: optional identifier line, the timing line, then the text
+const parseCueBlock = (block) => {
+  const lines = block.split('\n');
+  const timingIndex = lines.findIndex(line => line.includes('-->'));
+  if (timingIndex === -1) return null;
+
+  const [from, rest] = lines[timingIndex].split('-->');
+  const start = parseTimestamp(from);
+  // VTT cue settings follow the end time
+  const end = parseTimestamp(rest.trim().split(/\s+/)[0]);
+  if (start === null || end === null) return null;
+
+  return { start, end, lines: lines.slice(timingIndex + 1) };
+};
+
+export const parseVtt = (text) => {
+  const cues = [];
+
+  for (const block of blocks(text)) {
+    if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(block)) continue;
+
+    const cue = parseCueBlock(block);
+    if (!cue) continue;
+
+    const body = cleanText(cue.lines.map(line => decodeEntities(stripMarkup(line))));
+    if (body) cues.push({ start: cue.start, end: cue.end, text: body });
+  }
+
+  return cues;
+};
+
+export const parseSrt = (text) => {
+  const cues = [];
+
+  for (const block of blocks(text)) {
+    const cue = parseCueBlock(block);
+    if (!cue) continue;
+
+    // SRT players also accept <font> tags, which the other formats cannot carry
+    const body = cleanText(cue.lines.map(stripMarkup));
+    if (body) cues.push({ start: cue.start, end: cue.end, text: body });
+  }
+
+  return cues;
+};
+
+// {\i1}, {\b1} and {\u1} become tags; other override codes are dropped
+const assTextToCueText = (text) => text
+  .replace(/\{([^}]*)\}/g, (match, codes) => {
+    let tags = '';
+    for (const [, name, state] of codes.matchAll(/\\([biu])(\d+)/g)) {
+      tags += state === '0' ? `</${name}>` : `<${name}>`;
+    }
+    return tags;
+  })
+  .replace(/\\N/g, '\n')
+  .replace(/\\n/g, ' ')
+  .replace(/\\h/g, ' ');
+
+export const parseAss = (text) => {
+  const cues = [];
+  let inEvents = false;
+  let fields = null;
+
+  for (const line of normalize(text).split('\n')) {
+    const trimmed = line.trim();
+
+    if (/^\[.*\]$/.test(trimmed)) {
+      inEvents = trimmed.toLowerCase() === '[events]';
+      continue;
+    }
+    if (!inEvents) continue;
+
+    if (/^Format:/i.test(trimmed)) {
+      fields = trimmed.slice(trimmed.indexOf(':') + 1).split(',').map(field => field.trim().toLowerCase());
+      continue;
+    }
+    if (!/^Dialogue:/i.test(trimmed) || !fields) continue;
+
+    // The text is the last field and may itself contain commas
+    const values = trimmed.slice(trimmed.indexOf(':') + 1).split(',');
+    const textValue = values.splice(fields.length - 1).join(',');
+    const entry = Object.fromEntries(fields.slice(0, -1).map((field, i) => [field, values[i]?.trim()]));
+
+    const start = parseAssTimestamp(entry.start || '');
+    const end = parseAssTimestamp(entry.end || '');
+    const body = cleanText(assTextToCueText(textValue).split('\n'));
+
+    if (start !== null && end !== null && body) {
+      cues.push({ start, end, text: body });
+    }
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+};
+
+export const formatVtt = (cues) => {
+  const escape = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/<[^>]*>|</g, tag => (BASIC_TAG.test(tag) ? tag : tag.replace(/</g, '&lt;').replace(/>/g, '&gt;')));
+
+  const body = cues.map(cue =>
+    `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${escape(cue.text)}`
+  );
+
+  return ['WEBVTT', ...body].join('\n\n') + '\n';
+};
+
+export const formatSrt = (cues) => cues
+  .map((cue, i) => `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}`)
+  .join('\n\n') + '\n';
+
+export const formatAss = (cues, { title = 'Subtitles' } = {}) => {
+  const header = [
+    '[Script Info]',
+    `Title: ${title}`,
+    'ScriptType: v4.00+',
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    'PlayResX: 1920',
+    'PlayResY: 1080',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    'Style: Default,Arial,64,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,3,1,2,40,40,50,1',
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+  ];
+
+  const toAssText = (text) => text
+    .replace(/<(\/?)([biu])>/gi, (match, closing, name) => `{\\${name.toLowerCase()}${closing ? 0 : 1}}`)
+    .replace(/\n/g, '\\N');
+
+  const events = cues.map(cue =>
+    `Dialogue: 0,${formatAssTimestamp(cue.start)},${formatAssTimestamp(cue.end)},Default,,0,0,0,,${toAssText(cue.text)}`
+  );
+
+  return [...header, ...events].join('\n') + '\n';
+};
+
+export const detectSubtitleFormat = (text) => {
+  const content = normalize(text).trimStart();
+
+  if (content.startsWith('WEBVTT')) return 'vtt';
+  if (/^\[Script Info\]/i.test(content) || /^Dialogue:/im.test(content)) return 'ass';
+  if (/^\d+\n[\d:,]+\s*-->/.test(content)) return 'srt';
+
+  return null;
+};
+
+const parsers = { vtt: parseVtt, srt: parseSrt, ass: parseAss };
+const formatters = { vtt: formatVtt, srt: formatSrt, ass: formatAss };
+
+// Convert subtitle text to another format. The source format is detected
+// when not given.
+export const convertSubtitles = (text, to, from = detectSubtitleFormat(text)) => {
+  if (!parsers[from]) {
+    throw new Error(`Unsupported subtitle format: ${from || 'unknown'}`);
+  }
+  if (!formatters[to]) {
+    throw new Error(`Unsupported subtitle format: ${to}`);
+  }
+
+  return formatters[to](parsers[from](text));
+};
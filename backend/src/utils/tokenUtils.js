@@ -1,11 +1,14 @@
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import { ACCESS_TOKEN_EXPIRE, API_KEY_PREFIX } from '../config/constants.js';
 
-export const generateToken = (userId) => {
+// Access tokens are short-lived and bound to a session (sid) so that
+// revoking the session stops them from being accepted
+export const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_EXPIRE || ACCESS_TOKEN_EXPIRE }
   );
 };
 
@@ -13,10 +16,51 @@ export const generateRefreshToken = () => {
   return crypto.randomBytes(40).toString('hex');
 };
 
+// Personal API key: recognisable prefix followed by 256 random bits
+export const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 8) };
+};
+
+export const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Signed single-purpose tokens for email links (verify-email, reset-password)
+// and 2FA login challenges.
+// The jti is also stored hashed on the user, which makes each token one-time.
+export const generateActionToken = (userId, purpose, expiresInHours) => {
+  const jti = crypto.randomBytes(16).toString('hex');
+  const token = jwt.sign(
+    { id: userId, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: `${expiresInHours}h`, jwtid: jti }
+  );
+
+  return { token, jti };
+};
+
+export const verifyActionToken = (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new Error('Invalid or expired token');
+  }
+
+  if (decoded.purpose !== purpose || !decoded.jti) {
+    throw new Error('Invalid or expired token');
+  }
+
+  return decoded;
+};
+
 export const verifyToken = (token) => {
   try {
     return jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     throw new Error('Invalid token');
   }
-};
\ No newline at end of file
+};
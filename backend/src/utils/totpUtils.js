@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 30 second steps, 6 digits),
+// compatible with Google Authenticator, Authy, 1Password and similar apps.
+// Every function takes the current time as an option so it can be pinned.
+
+export const TOTP_DEFAULTS = {
+  step: 30,
+  digits: 6,
+  algorithm: 'sha1',
+  // Accept codes from one step before/after to allow for clock drift
+  window: 1
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size RFC 4226 recommends for HMAC-SHA1
+export const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+// RFC 4226 HOTP with dynamic truncation
+export const generateHOTP = (secret, counter, { digits = TOTP_DEFAULTS.digits, algorithm = TOTP_DEFAULTS.algorithm } = {}) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** digits).toString().padStart(digits, '0');
+};
+
+export const getTimeStep = (time = Date.now(), step = TOTP_DEFAULTS.step) => Math.floor(time / 1000 / step);
+
+export const generateTOTP = (secret, { time = Date.now(), step = TOTP_DEFAULTS.step, ...options } = {}) => {
+  return generateHOTP(secret, getTimeStep(time, step), options);
+};
+
+// Returns the matching time step, or null. Callers store the step and pass it
+// back as `afterStep` so a code cannot be used twice.
+export const verifyTOTP = (token, secret, {
+  time = Date.now(),
+  step = TOTP_DEFAULTS.step,
+  window = TOTP_DEFAULTS.window,
+  afterStep = -1,
+  ...options
+} = {}) => {
+  const code = String(token ?? '').replace(/\s/g, '');
+  const digits = options.digits || TOTP_DEFAULTS.digits;
+
+  if (!new RegExp(`^\\d{${digits}}$`).test(code)) return null;
+
+  const current = getTimeStep(time, step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const counter = current + offset;
+    if (counter <= afterStep) continue;
+
+    const expected = generateHOTP(secret, counter, options);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return counter;
+    }
+  }
+
+  return null;
+};
+
+// Key URI understood by authenticator apps; clients render it as a QR code
+export const buildOtpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: TOTP_DEFAULTS.algorithm.toUpperCase(),
+    digits: String(TOTP_DEFAULTS.digits),
+    period: String(TOTP_DEFAULTS.step)
+  });
+
+  // Some authenticator apps do not decode "+" as a space
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+};
+
+// One-time recovery codes in "xxxx-xxxx" form
+export const generateBackupCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+};
+
+export const normalizeBackupCode = (code) => String(code ?? '').trim().toLowerCase().replace(/[^0-9a-f]/g, '');
@@ -1,5 +1,19 @@
-import { body, param, validationResult } from 'express-validator';
-import { FILE_TYPES, MAX_FILE_SIZE } from '../config/constants.js';
+import { body, param, query, validationResult } from 'express-validator';
+import cron from 'node-cron';
+import {
+  FILE_TYPES,
+  MAX_FILE_SIZE,
+  MAX_SEGMENTED_CONNECTIONS,
+  API_KEY_SCOPES,
+  API_KEY_MAX_EXPIRE_DAYS,
+  MAX_PLAYLIST_ENTRIES,
+  PLANS,
+  DEFAULT_PLAN,
+  TRANSCODE_PRESETS
+} from '../config/constants.js';
+import { CHECKSUM_ALGORITHMS } from './checksumUtils.js';
+import { SUBTITLE_FORMATS } from './subtitleUtils.js';
+import { CLIP_MODES, parseTimecode } from './clipUtils.js';
 
 export const validate = (validations) => {
   return async (req, res, next) => {
@@ -14,6 +28,70 @@ export const validate = (validations) => {
   };
 };
 
+// Five-field cron expressions only; a seconds field would fire far more
+// often than subscriptions are allowed to run
+const isSchedule = (value) => typeof value === 'string' && value.trim().split(/\s+/).length === 5 && cron.validate(value);
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const subscriptionRules = () => [
+  body('schedule')
+    .optional()
+    .custom(isSchedule)
+    .withMessage('schedule must be a cron expression such as "0 */6 * * *"'),
+  
+  body('timezone')
+    .optional({ values: 'null' })
+    .isString()
+    .custom(isTimeZone)
+    .withMessage('Unknown time zone'),
+  
+  body('quality')
+    .optional()
+    .isIn(['144p', '240p', '360p', '480p', '720p', '1080p', '1440p', '2160p', 'best', 'lowest', 'audio'])
+    .withMessage('Invalid quality option'),
+  
+  body('format')
+    .optional()
+    .isIn(['mp4', 'webm', 'mkv', 'avi', 'mov', 'mp3', 'wav', 'aac', 'flac'])
+    .withMessage('Invalid format option'),
+  
+  body('extractAudio')
+    .optional()
+    .isBoolean()
+    .withMessage('extractAudio must be a boolean'),
+  
+  body('filters')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('filters must be an object'),
+  
+  body('filters.titlePattern')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Title pattern must be at most 200 characters'),
+  
+  body('filters.maxDuration')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('maxDuration must be a positive number of seconds')
+    .toInt()
+];
+
+const passwordRules = (field) => body(field)
+  .isLength({ min: 8 })
+  .withMessage('Password must be at least 8 characters')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain at least one uppercase letter, one lowercase letter and one number');
+
 export const authValidation = {
   signup: validate([
     body('username')
@@ -29,16 +107,119 @@ export const authValidation = {
       .normalizeEmail()
       .withMessage('Please provide a valid email'),
     
-    body('password')
-      .isLength({ min: 8 })
-      .withMessage('Password must be at least 8 characters')
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .withMessage('Password must contain at least one uppercase letter, one lowercase letter and one number')
+    passwordRules('password')
   ]),
   
   login: validate([
     body('email').isEmail().normalizeEmail(),
     body('password').notEmpty()
+  ]),
+  
+  verifyEmail: validate([
+    body('token').isString().notEmpty().withMessage('Token is required')
+  ]),
+  
+  forgotPassword: validate([
+    body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+  ]),
+  
+  resetPassword: validate([
+    body('token').isString().notEmpty().withMessage('Token is required'),
+    passwordRules('password')
+  ]),
+  
+  twoFactorCode: validate([
+    body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+  ]),
+  
+  twoFactorLogin: validate([
+    // Single sign-on logins send the challenge in a cookie instead
+    body('challengeToken').optional().isString().notEmpty().withMessage('Challenge token is required'),
+    body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+  ]),
+  
+  twoFactorDisable: validate([
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+  ]),
+  
+  createApiKey: validate([
+    body('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be 1-100 characters'),
+    
+    body('scopes')
+      .isArray({ min: 1 })
+      .withMessage('At least one scope is required'),
+    
+    body('scopes.*')
+      .isIn(API_KEY_SCOPES)
+      .withMessage(`Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`),
+    
+    body('expiresInDays')
+      .optional()
+      .isInt({ min: 1, max: API_KEY_MAX_EXPIRE_DAYS })
+      .withMessage(`expiresInDays must be between 1 and ${API_KEY_MAX_EXPIRE_DAYS}`)
+      .toInt()
+  ]),
+  
+  updateApiKey: validate([
+    param('id').isMongoId().withMessage('Invalid API key id'),
+    
+    body('name')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be 1-100 characters'),
+    
+    body('scopes')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('At least one scope is required'),
+    
+    body('scopes.*')
+      .isIn(API_KEY_SCOPES)
+      .withMessage(`Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`)
+  ]),
+  
+  apiKeyId: validate([
+    param('id').isMongoId().withMessage('Invalid API key id')
+  ]),
+  
+  sessionId: validate([
+    param('id').isMongoId().withMessage('Invalid session id')
+  ]),
+  
+  updateProfile: validate([
+    body('username')
+      .optional()
+      .trim()
+      .isLength({ min: 3, max: 30 })
+      .withMessage('Username must be 3-30 characters')
+      .matches(/^[a-zA-Z0-9_]+$/)
+      .withMessage('Username can only contain letters, numbers and underscores'),
+    
+    body('email')
+      .optional()
+      .trim()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email'),
+    
+    body('currentPassword').optional().isString()
+  ]),
+  
+  changePassword: validate([
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    passwordRules('newPassword')
+  ]),
+  
+  deleteAccount: validate([
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').optional().isString().trim()
   ])
 };
 
@@ -61,7 +242,32 @@ export const downloadValidation = {
     body('timeout')
       .optional()
       .isInt({ min: 1000, max: 120000 })
-      .withMessage('Timeout must be between 1 and 120 seconds')
+      .withMessage('Timeout must be between 1 and 120 seconds'),
+    
+    body('segmented')
+      .optional()
+      .isBoolean()
+      .withMessage('segmented must be a boolean')
+      .toBoolean(),
+    
+    body('connections')
+      .optional()
+      .isInt({ min: 2, max: MAX_SEGMENTED_CONNECTIONS })
+      .withMessage(`Connections must be between 2 and ${MAX_SEGMENTED_CONNECTIONS}`)
+      .toInt(),
+    
+    body('checksum.algorithm')
+      .if(body('checksum').exists())
+      .isIn(Object.keys(CHECKSUM_ALGORITHMS))
+      .withMessage('Checksum algorithm must be sha256, sha1 or md5'),
+    
+    body('checksum.value')
+      .if(body('checksum').exists())
+      .trim()
+      .isHexadecimal()
+      .withMessage('Checksum value must be hexadecimal')
+      .custom((value, { req }) => value.length === CHECKSUM_ALGORITHMS[req.body.checksum.algorithm])
+      .withMessage('Checksum value does not match the length of the chosen algorithm')
   ]),
   
   multiple: validate([
@@ -73,7 +279,19 @@ export const downloadValidation = {
       .isURL({
         protocols: ['http', 'https'],
         require_protocol: true
-      })
+      }),
+    
+    body('options.timeout')
+      .optional()
+      .isInt({ min: 1000, max: 120000 })
+      .withMessage('Timeout must be between 1 and 120 seconds')
+      .toInt(),
+    
+    body('options.zip')
+      .optional()
+      .isBoolean()
+      .withMessage('options.zip must be a boolean')
+      .toBoolean()
   ])
 };
 export const videoValidation = {
@@ -115,7 +333,95 @@ export const videoValidation = {
     body('extractAudio')
       .optional()
       .isBoolean()
-      .withMessage('extractAudio must be a boolean')
+      .withMessage('extractAudio must be a boolean'),
+    
+    body('subtitles')
+      .optional()
+      .isObject()
+      .withMessage('subtitles must be an object'),
+    
+    body('subtitles.languages')
+      .optional()
+      .isArray({ min: 1, max: 10 })
+      .withMessage('subtitles.languages must list 1-10 language codes'),
+    
+    body('subtitles.languages.*')
+      .matches(/^[A-Za-z0-9-]{2,20}$/)
+      .withMessage('Invalid subtitle language code'),
+    
+    body('subtitles.mode')
+      .optional()
+      .isIn(['embed', 'separate'])
+      .withMessage('subtitles.mode must be embed or separate')
+      .custom((mode, { req }) => mode !== 'embed' || (['mp4', 'mkv'].includes(req.body.format || 'mp4') && !req.body.extractAudio))
+      .withMessage('Subtitles can only be embedded into mp4 or mkv videos'),
+    
+    body('subtitles.format')
+      .optional()
+      .isIn(SUBTITLE_FORMATS)
+      .withMessage(`subtitles.format must be one of ${SUBTITLE_FORMATS.join(', ')}`),
+    
+    body('subtitles.automatic')
+      .optional()
+      .isBoolean()
+      .withMessage('subtitles.automatic must be a boolean'),
+    
+    body('start')
+      .optional()
+      .custom(value => parseTimecode(value) !== null)
+      .withMessage('start must be a number of seconds or a timecode like 1:02:03'),
+    
+    body('end')
+      .optional()
+      .custom(value => parseTimecode(value) !== null)
+      .withMessage('end must be a number of seconds or a timecode like 1:02:03')
+      .custom((value, { req }) => req.body.start === undefined || parseTimecode(value) > parseTimecode(req.body.start))
+      .withMessage('end must be after start'),
+    
+    body('clipMode')
+      .optional()
+      .isIn(CLIP_MODES)
+      .withMessage(`clipMode must be one of ${CLIP_MODES.join(', ')}`),
+    
+    body('transcode')
+      .optional()
+      .isObject()
+      .withMessage('transcode must be an object'),
+    
+    body('transcode.preset')
+      .optional()
+      .isIn(Object.keys(TRANSCODE_PRESETS))
+      .withMessage(`transcode.preset must be one of ${Object.keys(TRANSCODE_PRESETS).join(', ')}`),
+    
+    body(['transcode.videoCodec', 'transcode.audioCodec'])
+      .optional()
+      .matches(/^[a-z0-9_-]{2,20}$/)
+      .withMessage('Invalid codec name'),
+    
+    body('transcode.videoBitrate')
+      .optional()
+      .matches(/^\d{2,5}k$/)
+      .withMessage('transcode.videoBitrate must look like "2500k"'),
+    
+    body('transcode.audioBitrate')
+      .optional()
+      .matches(/^\d{2,3}k$/)
+      .withMessage('transcode.audioBitrate must look like "128k"'),
+    
+    body('transcode.resolution')
+      .optional()
+      .matches(/^(\d{2,4}x\d{2,4}|\d{2,4}p)$/)
+      .withMessage('transcode.resolution must look like "720p" or "1280x720"')
+  ]),
+  
+  subtitles: validate([
+    query('url')
+      .isURL({
+        protocols: ['http', 'https'],
+        require_protocol: true,
+        require_valid_protocol: true
+      })
+      .withMessage('Please provide a valid video URL')
   ]),
   
   batch: validate([
@@ -138,7 +444,153 @@ export const videoValidation = {
     body('options.format')
       .optional()
       .isIn(['mp4', 'webm', 'mkv', 'avi', 'mov'])
-      .withMessage('Invalid format option')
+      .withMessage('Invalid format option'),
+    
+    body('options.zip')
+      .optional()
+      .isBoolean()
+      .withMessage('options.zip must be a boolean')
+      .toBoolean()
+  ]),
+  
+  playlistExpand: validate([
+    body('url')
+      .isURL({
+        protocols: ['http', 'https'],
+        require_protocol: true,
+        require_valid_protocol: true
+      })
+      .withMessage('Please provide a valid playlist URL'),
+    
+    body('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_PLAYLIST_ENTRIES })
+      .withMessage(`limit must be between 1 and ${MAX_PLAYLIST_ENTRIES}`)
+      .toInt()
+  ]),
+  
+  playlistDownload: validate([
+    body('url')
+      .isURL({
+        protocols: ['http', 'https'],
+        require_protocol: true,
+        require_valid_protocol: true
+      })
+      .withMessage('Please provide a valid playlist URL'),
+    
+    body('items')
+      .optional()
+      .custom(value => typeof value === 'string' || (Array.isArray(value) && value.every(Number.isInteger)))
+      .withMessage('items must be a selection like "1-5,8" or an array of positions'),
+    
+    body('quality')
+      .optional()
+      .isIn(['144p', '240p', '360p', '480p', '720p', '1080p', '1440p', '2160p', 'best', 'lowest', 'audio'])
+      .withMessage('Invalid quality option'),
+    
+    body('format')
+      .optional()
+      .isIn(['mp4', 'webm', 'mkv', 'avi', 'mov', 'mp3', 'wav', 'aac', 'flac'])
+      .withMessage('Invalid format option'),
+    
+    body('extractAudio')
+      .optional()
+      .isBoolean()
+      .withMessage('extractAudio must be a boolean')
+  ]),
+  
+  playlistId: validate([
+    param('id').isMongoId().withMessage('Invalid playlist id')
+  ]),
+  
+  createSubscription: validate([
+    body('url')
+      .isURL({
+        protocols: ['http', 'https'],
+        require_protocol: true,
+        require_valid_protocol: true
+      })
+      .withMessage('Please provide a valid channel or playlist URL'),
+    
+    ...subscriptionRules(),
+    
+    body('includeExisting')
+      .optional()
+      .isBoolean()
+      .withMessage('includeExisting must be a boolean')
+  ]),
+  
+  updateSubscription: validate([
+    param('id').isMongoId().withMessage('Invalid subscription id'),
+    
+    ...subscriptionRules(),
+    
+    body('enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('enabled must be a boolean')
+  ]),
+  
+  subscriptionId: validate([
+    param('id').isMongoId().withMessage('Invalid subscription id')
+  ])
+};
+
+export const adminValidation = {
+  id: validate([
+    param('id').isMongoId().withMessage('Invalid id')
+  ]),
+  
+  listUsers: validate([
+    query('role').optional().isIn(['user', 'admin']).withMessage('Invalid role'),
+    query('disabled').optional().isBoolean().withMessage('disabled must be a boolean'),
+    query('search').optional().isString().isLength({ max: 100 }).withMessage('Search too long')
+  ]),
+  
+  updateRole: validate([
+    param('id').isMongoId().withMessage('Invalid id'),
+    body('role').isIn(['user', 'admin']).withMessage('Role must be user or admin')
+  ]),
+  
+  updatePlan: validate([
+    param('id').isMongoId().withMessage('Invalid id'),
+    body('plan').optional().isIn(Object.keys(PLANS)).withMessage(`Plan must be one of: ${Object.keys(PLANS).join(', ')}`),
+    body('overrides').optional().isObject().withMessage('overrides must be an object'),
+    body('overrides.*')
+      .optional({ values: 'null' })
+      .isInt({ min: 0 })
+      .withMessage('Overrides must be non-negative integers or null')
+      .toInt(),
+    body('overrides')
+      .optional()
+      .custom(overrides => Object.keys(overrides).every(key => key in PLANS[DEFAULT_PLAN]))
+      .withMessage('Unknown quota field in overrides')
+  ]),
+  
+  disableUser: validate([
+    param('id').isMongoId().withMessage('Invalid id'),
+    body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason too long')
+  ]),
+  
+  listDownloads: validate([
+    query('user').optional().isMongoId().withMessage('Invalid user id'),
+    query('status').optional().isString(),
+    query('type').optional().isIn(['regular', 'video', 'audio']).withMessage('Invalid type'),
+    query('search').optional().isString().isLength({ max: 200 }).withMessage('Search too long'),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date')
+  ]),
+  
+  cancelDownload: validate([
+    param('id').isMongoId().withMessage('Invalid id'),
+    body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason too long')
+  ]),
+  
+  listAuditLogs: validate([
+    query('actor').optional().isMongoId().withMessage('Invalid actor id'),
+    query('targetId').optional().isMongoId().withMessage('Invalid target id'),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date')
   ])
 };
 